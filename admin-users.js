@@ -0,0 +1,274 @@
+// admin-users.js
+// Named admin accounts (`admin_users`: bcrypt password, role, optional TOTP
+// second factor — totp.js) and the checks in front of every admin route.
+//
+// A login returns `adm1.<user id>.<expires, ms>.<HMAC-SHA256>`, signed with
+// ADMIN_TOKEN_SECRET — a key kept on the server for this alone. The user row
+// is looked up again on every request (from a short cache), so deactivating
+// an account or changing its role takes effect within a minute without
+// revoking tokens.
+//
+// requireAdmin(permission) runs the rest of the request inside an
+// AsyncLocalStorage context holding the user; currentAdmin() reads it back,
+// which is how logEvent() stamps who did what without every route passing it.
+//
+// Until the first superadmin account exists, ADMIN_PASSWORD still logs in as
+// a built-in superadmin ("admin", id 0) so that account can be created; its
+// tokens stop working as soon as one does.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const bcrypt = require('bcrypt');
+const totp = require('./totp');
+
+const TOKEN_TTL_MS = 4 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+
+// What each role may do. `*` is everything.
+//   members       listings, member records, passwords, sessions, keywords
+//   applications  membership applications and their documents
+//   billing       invoices
+//   campaigns     email/WhatsApp campaigns, templates, invitations
+//   analytics     listing analytics
+//   registry      ATP sync, rankings, cache
+//   blog          blog posts, material, comments
+//   settings      admin users, API keys, event log, admin IP, exports
+const PERMISSIONS = ['members', 'applications', 'billing', 'campaigns', 'analytics', 'registry', 'blog', 'settings'];
+const ROLES = {
+    superadmin:       ['*'],
+    reviewer:         ['applications'],
+    campaign_manager: ['campaigns', 'analytics'],
+    blog_editor:      ['blog']
+};
+
+const DUMMY_HASH = '$2b$10$XV7.E70OE5TbChUN27A2YukFcfQdBaf63VnyOoHNpEWVi0XfPb3H2';  // of a random string nobody knows
+const BOOTSTRAP_USER = { id: 0, username: 'admin', display_name: 'ADMIN_PASSWORD', role: 'superadmin', active: true, bootstrap: true };
+
+class AdminAuthError extends Error {
+    constructor(message, status = 401, extra = {}) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+const permissionsOf = user => (ROLES[user.role] || []).includes('*') ? [...PERMISSIONS] : [...(ROLES[user.role] || [])];
+const can = (user, permission) => !permission || permissionsOf(user).includes(permission);
+
+// The public view of a user row — never the hash or the TOTP secret
+const publicUser = u => ({
+    id:            u.id,
+    username:      u.username,
+    display_name:  u.display_name || null,
+    role:          u.role,
+    active:        u.active !== false,
+    totp_enabled:  !!u.totp_secret,
+    last_login_at: u.last_login_at || null,
+    created_at:    u.created_at || null,
+    bootstrap:     !!u.bootstrap
+});
+
+function createAdminAuth(db, { secret, bootstrapPassword }) {
+    if (!secret) throw new Error('admin-users: missing signing secret');
+    const context = new AsyncLocalStorage();
+    let cache = null, cachedAt = 0;
+
+    const sign = payload => crypto.createHmac('sha256', secret).update(`admin:${payload}`).digest('base64url');
+
+    async function users({ fresh = false } = {}) {
+        if (!fresh && cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+        const { data, error } = await db
+            .from('admin_users')
+            .select('id, username, display_name, role, password_hash, totp_secret, totp_pending_secret, active, last_login_at, created_at')
+            .order('id');
+        if (error) throw error;
+        cache = data || [];
+        cachedAt = Date.now();
+        return cache;
+    }
+
+    const hasSuperadmin = list => list.some(u => u.active !== false && u.role === 'superadmin');
+
+    function issueToken(user) {
+        const payload = `${user.id}.${Date.now() + TOKEN_TTL_MS}`;
+        return `adm1.${payload}.${sign(payload)}`;
+    }
+
+    // ── username/password(/code) → { token, user }. Throws AdminAuthError;
+    // `extra.totp_required` tells the login form to ask for the code.
+    async function login({ username, password, code }) {
+        const list = await users({ fresh: true });
+        const name = String(username || '').trim().toLowerCase();
+
+        if (!hasSuperadmin(list) && (!name || name === BOOTSTRAP_USER.username)
+            && bootstrapPassword && password === bootstrapPassword) {
+            return { token: issueToken(BOOTSTRAP_USER), user: publicUser(BOOTSTRAP_USER) };
+        }
+
+        const user = list.find(u => u.username.toLowerCase() === name && u.active !== false);
+        // Unknown users still pay for a bcrypt compare, so timing doesn't say which exist
+        const ok = await bcrypt.compare(String(password || ''), user ? user.password_hash : DUMMY_HASH);
+        if (!user || !ok) throw new AdminAuthError('Wrong username or password');
+        if (user.totp_secret) {
+            if (!code) throw new AdminAuthError('Enter the code from your authenticator app', 401, { totp_required: true });
+            if (!totp.verifyTotp(user.totp_secret, code)) throw new AdminAuthError('Wrong authenticator code', 401, { totp_required: true });
+        }
+        await db.from('admin_users').update({ last_login_at: new Date().toISOString() }).eq('id', user.id);
+        return { token: issueToken(user), user: publicUser(user) };
+    }
+
+    // ── Token → the user row. Throws AdminAuthError.
+    async function authenticate(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 4 || parts[0] !== 'adm1') throw new AdminAuthError('Invalid token');
+        const [, userId, expires, signature] = parts;
+        const expected = Buffer.from(sign(`${userId}.${expires}`));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new AdminAuthError('Invalid token');
+        if (Date.now() > Number(expires)) throw new AdminAuthError('Session expired');
+
+        const list = await users();
+        if (Number(userId) === BOOTSTRAP_USER.id) {
+            if (hasSuperadmin(list)) throw new AdminAuthError('Session expired — log in with your admin account');
+            return BOOTSTRAP_USER;
+        }
+        const user = list.find(u => u.id === Number(userId));
+        if (!user || user.active === false) throw new AdminAuthError('Account disabled');
+        return user;
+    }
+
+    const bearerOf = req => (req.headers['authorization'] || '').replace(/^Bearer\s+/i, '') || null;
+
+    // ── Express middleware: a logged-in admin whose role grants `permission`
+    // (any admin when omitted; any one of them when it is an array). Sets
+    // req.admin.
+    function requireAdmin(permission) {
+        const needed = [].concat(permission || []);
+        const unknown = needed.find(p => !PERMISSIONS.includes(p));
+        if (unknown) throw new Error(`Unknown admin permission "${unknown}"`);
+        return async (req, res, next) => {
+            const token = bearerOf(req);
+            if (!token) return res.status(401).json({ error: 'No token' });
+            let user;
+            try { user = await authenticate(token); }
+            catch (err) {
+                if (err instanceof AdminAuthError) return res.status(err.status).json({ error: err.message });
+                return res.status(500).json({ error: err.message });
+            }
+            if (needed.length && !needed.some(p => can(user, p))) {
+                return res.status(403).json({ error: `Your role (${user.role}) does not allow this`, permission: needed.join(' or ') });
+            }
+            req.admin = user;
+            context.run({ user }, next);
+        };
+    }
+
+    // The admin behind the current request, or null outside an admin route
+    function currentAdmin() {
+        const store = context.getStore();
+        return store ? store.user : null;
+    }
+
+    // ═════════════════════════════════════════════════════════════════════════
+    //  ACCOUNTS
+    // ═════════════════════════════════════════════════════════════════════════
+
+    function checkRole(role) {
+        if (!ROLES[role]) throw new AdminAuthError(`Unknown role "${role}" — use ${Object.keys(ROLES).join(', ')}`, 400);
+    }
+    function checkPassword(password) {
+        if (!password || String(password).length < 10) throw new AdminAuthError('Passwords need at least 10 characters', 400);
+    }
+
+    async function listUsers() {
+        return (await users({ fresh: true })).map(publicUser);
+    }
+
+    async function createUser({ username, display_name, password, role }) {
+        const name = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._-]{3,40}$/.test(name) || name === BOOTSTRAP_USER.username) {
+            throw new AdminAuthError('Usernames are 3–40 letters, digits, dots, dashes or underscores (and not "admin")', 400);
+        }
+        checkRole(role);
+        checkPassword(password);
+        const { data, error } = await db
+            .from('admin_users')
+            .insert({
+                username:      name,
+                display_name:  display_name || null,
+                role,
+                password_hash: await bcrypt.hash(String(password), 10),
+                active:        true,
+                created_at:    new Date().toISOString()
+            })
+            .select('id, username, display_name, role, active, totp_secret, last_login_at, created_at')
+            .single();
+        if (error) throw error.code === '23505' ? new AdminAuthError('That username is taken', 409) : error;
+        cache = null;
+        return publicUser(data);
+    }
+
+    // Role, name, active flag, a new password, or `reset_totp` — by a superadmin
+    async function updateUser(id, { role, display_name, active, password, reset_totp }) {
+        const list = await users({ fresh: true });
+        const user = list.find(u => u.id === id);
+        if (!user) throw new AdminAuthError('No such admin user', 404);
+
+        const updates = {};
+        if (role !== undefined) { checkRole(role); updates.role = role; }
+        if (display_name !== undefined) updates.display_name = display_name || null;
+        if (active !== undefined) updates.active = !!active;
+        if (password) { checkPassword(password); updates.password_hash = await bcrypt.hash(String(password), 10); }
+        if (reset_totp) { updates.totp_secret = null; updates.totp_pending_secret = null; }
+
+        // Never leave the panel without an active superadmin
+        const after = list.map(u => u.id === id ? { ...u, ...updates } : u);
+        if (hasSuperadmin(list) && !hasSuperadmin(after)) throw new AdminAuthError('This would leave no active superadmin', 409);
+
+        const { error } = await db.from('admin_users').update(updates).eq('id', id);
+        if (error) throw error;
+        cache = null;
+        return publicUser({ ...user, ...updates });
+    }
+
+    // ── Own account: password and TOTP. Enrolling is two steps — setupTotp()
+    // hands out a secret, enableTotp() switches it on once a code matches.
+    async function changeOwnPassword(user, currentPassword, newPassword) {
+        if (user.bootstrap) throw new AdminAuthError('Create an admin account first', 400);
+        if (!await bcrypt.compare(String(currentPassword || ''), user.password_hash)) throw new AdminAuthError('Current password is wrong', 400);
+        await updateUser(user.id, { password: newPassword });
+    }
+
+    async function setupTotp(user) {
+        if (user.bootstrap) throw new AdminAuthError('Create an admin account first', 400);
+        const pending = totp.generateSecret();
+        const { error } = await db.from('admin_users').update({ totp_pending_secret: pending }).eq('id', user.id);
+        if (error) throw error;
+        cache = null;
+        return { secret: pending, otpauth_url: totp.otpauthUrl(pending, user.username) };
+    }
+
+    async function enableTotp(user, code) {
+        const fresh = (await users({ fresh: true })).find(u => u.id === user.id);
+        if (!fresh || !fresh.totp_pending_secret) throw new AdminAuthError('Start the authenticator setup first', 400);
+        if (!totp.verifyTotp(fresh.totp_pending_secret, code)) throw new AdminAuthError('Wrong authenticator code', 400);
+        const { error } = await db.from('admin_users')
+            .update({ totp_secret: fresh.totp_pending_secret, totp_pending_secret: null })
+            .eq('id', user.id);
+        if (error) throw error;
+        cache = null;
+    }
+
+    async function disableTotp(user, code) {
+        if (!user.totp_secret || !totp.verifyTotp(user.totp_secret, code)) throw new AdminAuthError('Wrong authenticator code', 400);
+        await updateUser(user.id, { reset_totp: true });
+    }
+
+    return {
+        login, authenticate, requireAdmin, currentAdmin,
+        listUsers, createUser, updateUser, changeOwnPassword, setupTotp, enableTotp, disableTotp
+    };
+}
+
+module.exports = { createAdminAuth, AdminAuthError, ROLES, PERMISSIONS, permissionsOf, can, publicUser };
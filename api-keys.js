@@ -0,0 +1,150 @@
+// api-keys.js
+// Partner keys for the read-only API under /api/v1 (api-v1.js). A key looks
+// like `tps_live_<32 hex>`; only its SHA-256 is stored (`api_keys.key_hash`),
+// plus the first characters (`key_prefix`) so the admin screen can tell keys
+// apart. The plain key is shown once, when it is issued.
+//
+// Partners send it as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// Each key has its own per-minute limit (fixed window, X-RateLimit-* headers,
+// 429 + Retry-After past it), and every request is written to
+// `api_key_events` — the partner-API counterpart of `listing_events`.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX           = 'tps_live_';
+const DEFAULT_RATE_LIMIT   = 60;      // requests per key per minute
+const RATE_WINDOW_MS       = 60 * 1000;
+const RELOAD_INTERVAL_MS   = 5 * 60 * 1000;
+const LAST_USED_RESOLUTION = 60 * 1000;  // write last_used_at at most once a minute per key
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// The key a request carries, or null
+function requestKey(req) {
+    const bearer = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+    return (bearer && bearer[1]) || req.headers['x-api-key'] || null;
+}
+
+function clientIp(req) {
+    return req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress;
+}
+
+function createApiKeys(db) {
+    const active = new Map();   // key_hash → api_keys row, revoked keys left out
+    const windows = new Map();  // key id → { count, reset }
+    const lastUsed = new Map(); // key id → ms last written
+    let loadedAt = 0;
+
+    // ── (Re)load the active keys. Startup, after issue/revoke, and every few
+    // minutes so a key revoked from another process stops working too.
+    async function load() {
+        const { data, error } = await db
+            .from('api_keys')
+            .select('id, name, key_prefix, key_hash, rate_limit_per_minute')
+            .is('revoked_at', null);
+        if (error) throw error;
+        active.clear();
+        (data || []).forEach(k => active.set(k.key_hash, k));
+        loadedAt = Date.now();
+        return active.size;
+    }
+
+    // ── Issue a key → { key, row }. `key` is the only copy of the plain key.
+    async function issue({ name, contact_email = null, rate_limit_per_minute = DEFAULT_RATE_LIMIT, notes = null }) {
+        const key = KEY_PREFIX + crypto.randomBytes(16).toString('hex');
+        const { data, error } = await db
+            .from('api_keys')
+            .insert({
+                name,
+                contact_email,
+                notes,
+                rate_limit_per_minute,
+                key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+                key_hash:   hashKey(key),
+                created_at: new Date().toISOString()
+            })
+            .select('id, name, contact_email, key_prefix, rate_limit_per_minute, created_at, revoked_at, last_used_at, notes')
+            .single();
+        if (error) throw error;
+        await load();
+        return { key, row: data };
+    }
+
+    async function revoke(id) {
+        const { data, error } = await db
+            .from('api_keys')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('revoked_at', null)
+            .select('id');
+        if (error) throw error;
+        await load();
+        return (data || []).length > 0;
+    }
+
+    // Fire-and-forget — a failed usage write must never fail the request
+    function logUsage(apiKey, req, res, listingId) {
+        db.from('api_key_events').insert({
+            api_key_id: apiKey.id,
+            endpoint:   req.baseUrl + (req.route ? req.route.path : req.path),  // the route pattern, not every slug
+            status:     res.statusCode,
+            listing_id: listingId != null ? listingId : null,
+            ip:         clientIp(req),
+            created_at: new Date().toISOString()
+        }).then(({ error }) => {
+            if (error) console.error('api_key_events insert failed:', error.message);
+        });
+
+        const now = Date.now();
+        if (now - (lastUsed.get(apiKey.id) || 0) < LAST_USED_RESOLUTION) return;
+        lastUsed.set(apiKey.id, now);
+        db.from('api_keys').update({ last_used_at: new Date(now).toISOString() }).eq('id', apiKey.id)
+            .then(({ error }) => {
+                if (error) console.error('api_keys last_used_at update failed:', error.message);
+            });
+    }
+
+    // ── Express middleware: checks the key, applies its rate limit, and logs
+    // the request once the response is sent. Handlers may set
+    // res.locals.listingId to have it logged with the request. `onError(res,
+    // status, code, message)` writes the error body in the router's format.
+    function authenticate(onError) {
+        return async (req, res, next) => {
+            const key = requestKey(req);
+            if (!key) return onError(res, 401, 'missing_api_key', 'Send your API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+
+            if (Date.now() - loadedAt > RELOAD_INTERVAL_MS) {
+                try { await load(); }
+                catch (err) { console.error('API key reload failed:', err.message); }  // keep serving the keys we have
+            }
+            const apiKey = active.get(hashKey(String(key)));
+            if (!apiKey) return onError(res, 401, 'invalid_api_key', 'Unknown or revoked API key');
+
+            // Fixed one-minute window per key
+            const now = Date.now();
+            const limit = apiKey.rate_limit_per_minute || DEFAULT_RATE_LIMIT;
+            const rl = windows.get(apiKey.id) || { count: 0, reset: now + RATE_WINDOW_MS };
+            if (now > rl.reset) { rl.count = 0; rl.reset = now + RATE_WINDOW_MS; }
+            rl.count++;
+            windows.set(apiKey.id, rl);
+            res.set({
+                'X-RateLimit-Limit':     String(limit),
+                'X-RateLimit-Remaining': String(Math.max(limit - rl.count, 0)),
+                'X-RateLimit-Reset':     String(Math.ceil(rl.reset / 1000))
+            });
+
+            req.apiKey = apiKey;
+            res.on('finish', () => logUsage(apiKey, req, res, res.locals.listingId));
+
+            if (rl.count > limit) {
+                res.set('Retry-After', String(Math.ceil((rl.reset - now) / 1000)));
+                return onError(res, 429, 'rate_limited', `Rate limit of ${limit} requests per minute exceeded`);
+            }
+            next();
+        };
+    }
+
+    return { load, issue, revoke, authenticate };
+}
+
+module.exports = { createApiKeys, hashKey, KEY_PREFIX, DEFAULT_RATE_LIMIT };
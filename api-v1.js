@@ -0,0 +1,267 @@
+// api-v1.js
+// The read-only partner API, mounted at /api/v1. Every request needs a key
+// (api-keys.js). Answers are `{ data, meta }`, errors `{ error: { code,
+// message } }`, and every 200 carries a strong ETag — send it back as
+// If-None-Match to get a 304 instead of the body.
+//
+// Listings come from the same directory query as /api/rentals
+// (listing-query.js), limited to what a partner may republish: the registry
+// facts, public contact details, coordinates and — for paying members only —
+// the profile and contact details they wrote. Nothing internal (passwords,
+// admin notes, invitation and billing state) leaves through here; GET
+// /api/v1/schemas describes every shape exactly.
+//
+// Breaking changes go to /api/v2; v1 only ever gains optional fields.
+
+const crypto = require('crypto');
+const express = require('express');
+const { ListingQueryError, parsePage, SORTS } = require('./listing-query');
+const { listingPhoneNumbers } = require('./phone');
+const { isActiveMember, inRegistry } = require('./listing-facets');
+const geo = require('./geo');
+
+const SITE_URL  = 'https://trustedpanamastays.com';
+const MAX_AGE_S = 60;  // partners may reuse an answer this long before revalidating
+
+const listingUrl = r => r.slug ? `${SITE_URL}/listing.html?slug=${encodeURIComponent(r.slug)}` : `${SITE_URL}/listing.html?id=${r.id}`;
+
+// ── A listings row → the public v1 shape (SCHEMAS.Listing)
+function publicListing(r, distanceKm) {
+    const member = isActiveMember(r);
+    const numbers = listingPhoneNumbers(r);
+    const contact = member && numbers.member ? numbers.member : numbers.atp;
+    const point = geo.listingPoint(r);
+    const out = {
+        id:           r.id,
+        slug:         r.slug || null,
+        name:         r.name,
+        rental_type:  r.rental_type || null,
+        province:     r.province || null,
+        registry: {
+            source:     r.registry_source === 'mici' ? 'mici' : 'atp',
+            active:     inRegistry(r),
+            first_seen: r.atp_first_seen || null,
+            last_seen:  r.atp_last_seen || null
+        },
+        contact: {
+            phone:    contact.display || null,
+            whatsapp: contact.whatsapp || null,
+            email:    (member && r.email_member) || r.email || null
+        },
+        location: point ? {
+            latitude:  point.lat,
+            longitude: point.lng,
+            precision: r.geo_source === 'member' ? 'exact' : 'town',
+            place:     r.geo_place || null
+        } : null,
+        keywords:        Array.isArray(r.listing_keywords) ? r.listing_keywords : [],
+        verified_member: member,
+        apatel_member:   !!r.apatel_member,
+        profile: member ? {
+            description: { en: r.description_en || null, es: r.description_es || null },
+            photos:      Array.isArray(r.photos) ? r.photos : [],
+            website_url: r.website_url || null,
+            booking_url: r.booking_url || null
+        } : null,
+        url: listingUrl(r)
+    };
+    if (distanceKm !== undefined) out.distance_km = Math.round(distanceKm * 10) / 10;
+    return out;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  SCHEMAS  (JSON Schema 2020-12, served at GET /api/v1/schemas)
+// ═════════════════════════════════════════════════════════════════════════════
+
+const nullable = type => ({ type: [type, 'null'] });
+const envelope = (data, meta = { type: 'object' }) => ({
+    type: 'object', required: ['data', 'meta'], additionalProperties: false,
+    properties: { data, meta }
+});
+
+const SCHEMAS = {
+    Listing: {
+        type: 'object',
+        required: ['id', 'slug', 'name', 'rental_type', 'province', 'registry', 'contact', 'location', 'keywords', 'verified_member', 'apatel_member', 'profile', 'url'],
+        properties: {
+            id:          { type: 'integer' },
+            slug:        nullable('string'),
+            name:        { type: 'string' },
+            rental_type: { ...nullable('string'), description: 'As registered, e.g. "Hostal", "Hotel", "Apartamento"' },
+            province:    nullable('string'),
+            registry: {
+                type: 'object', required: ['source', 'active', 'first_seen', 'last_seen'],
+                properties: {
+                    source:     { enum: ['atp', 'mici'], description: 'ATP tourism register, or MiCI business register' },
+                    active:     { type: 'boolean' },
+                    first_seen: { ...nullable('string'), format: 'date-time', description: 'First ATP report the listing appeared in' },
+                    last_seen:  { ...nullable('string'), format: 'date-time' }
+                }
+            },
+            contact: {
+                type: 'object', required: ['phone', 'whatsapp', 'email'],
+                properties: {
+                    phone:    nullable('string'),
+                    whatsapp: { ...nullable('string'), description: 'International digits for wa.me links' },
+                    email:    nullable('string')
+                }
+            },
+            location: {
+                type: ['object', 'null'], required: ['latitude', 'longitude', 'precision', 'place'],
+                properties: {
+                    latitude:  { type: 'number' },
+                    longitude: { type: 'number' },
+                    precision: { enum: ['exact', 'town'], description: '"exact" when the member pinned it, "town" when placed from the address' },
+                    place:     { ...nullable('string'), description: 'The town, when precision is "town"' }
+                }
+            },
+            keywords:        { type: 'array', items: { type: 'string' } },
+            verified_member: { type: 'boolean', description: 'Paying (or trial) Trusted Panama Stays member' },
+            apatel_member:   { type: 'boolean' },
+            profile: {
+                type: ['object', 'null'], description: 'Written by the member; null unless verified_member',
+                properties: {
+                    description: { type: 'object', properties: { en: nullable('string'), es: nullable('string') } },
+                    photos:      { type: 'array', items: { type: 'string', format: 'uri' } },
+                    website_url: nullable('string'),
+                    booking_url: nullable('string')
+                }
+            },
+            url:         { type: 'string', format: 'uri' },
+            distance_km: { type: 'number', description: 'Only with near=' }
+        }
+    },
+    ListingPage: envelope({ type: 'array', items: { $ref: '#/$defs/Listing' } }, {
+        type: 'object', required: ['total', 'offset', 'limit', 'sort', 'next_offset'],
+        properties: {
+            total:       { type: 'integer' },
+            offset:      { type: 'integer' },
+            limit:       { type: 'integer', maximum: 200 },
+            sort:        { enum: Object.keys(SORTS) },
+            next_offset: nullable('integer')
+        }
+    }),
+    ListingResponse: envelope({ $ref: '#/$defs/Listing' }),
+    ProvinceList: envelope({
+        type: 'array',
+        items: { type: 'object', required: ['province', 'count'], properties: { province: { type: 'string' }, count: { type: 'integer' } } }
+    }),
+    TypeList: envelope({
+        type: 'array',
+        items: { type: 'object', required: ['type', 'count'], properties: { type: { type: 'string' }, count: { type: 'integer' } } }
+    }),
+    Error: {
+        type: 'object', required: ['error'],
+        properties: {
+            error: {
+                type: 'object', required: ['code', 'message'],
+                properties: {
+                    code:    { enum: ['missing_api_key', 'invalid_api_key', 'rate_limited', 'bad_request', 'not_found', 'server_error'] },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// What GET /api/v1 lists
+const ENDPOINTS = [
+    { method: 'GET', path: '/api/v1/listings', schema: 'ListingPage',
+      params: 'search, province, type, keyword, keyword_match=any, member, apatel, has_photos, near=lat,lng, radius (km), bbox=west,south,east,north, sort, limit (≤200), offset' },
+    { method: 'GET', path: '/api/v1/listings/{id or slug}', schema: 'ListingResponse' },
+    { method: 'GET', path: '/api/v1/provinces', schema: 'ProvinceList' },
+    { method: 'GET', path: '/api/v1/types', schema: 'TypeList' },
+    { method: 'GET', path: '/api/v1/schemas' }
+];
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  ROUTER
+// ═════════════════════════════════════════════════════════════════════════════
+
+function sendError(res, status, code, message) {
+    res.status(status).json({ error: { code, message } });
+}
+
+// A strong ETag over the exact body; Express answers 304 itself when the
+// request's If-None-Match matches a set ETag
+function sendCached(res, body) {
+    const json = JSON.stringify(body);
+    res.set({
+        'ETag':          `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+        'Cache-Control': `private, max-age=${MAX_AGE_S}`,
+        'Vary':          'Authorization, X-API-Key'
+    });
+    res.type('application/json').send(json);
+}
+
+const countBy = (rows, key) => Object.entries(rows.reduce((acc, r) => {
+    if (r[key]) acc[r[key]] = (acc[r[key]] || 0) + 1;
+    return acc;
+}, {})).sort((a, b) => a[0].localeCompare(b[0], 'es'));
+
+function createApiV1({ listingIndex, listingQuery, apiKeys }) {
+    const router = express.Router();
+    router.use(apiKeys.authenticate(sendError));
+
+    router.get('/', (req, res) => {
+        sendCached(res, { data: { version: 'v1', endpoints: ENDPOINTS }, meta: { docs: `${SITE_URL}/api/v1/schemas` } });
+    });
+
+    router.get('/schemas', (req, res) => {
+        sendCached(res, {
+            data: { $schema: 'https://json-schema.org/draft/2020-12/schema', $defs: SCHEMAS },
+            meta: { version: 'v1' }
+        });
+    });
+
+    router.get('/listings', (req, res) => {
+        let result;
+        try { result = listingQuery.run(req.query, { scope: inRegistry }); }
+        catch (err) {
+            if (err instanceof ListingQueryError) return sendError(res, 400, 'bad_request', err.message);
+            throw err;
+        }
+        const { rows, sort, origin, distances } = result;
+        const { limit, offset } = parsePage(req.query);
+        sendCached(res, {
+            data: rows.slice(offset, offset + limit).map(r => publicListing(r, origin ? distances.get(r.id) : undefined)),
+            meta: {
+                total:       rows.length,
+                offset,
+                limit,
+                sort,
+                next_offset: offset + limit < rows.length ? offset + limit : null
+            }
+        });
+    });
+
+    router.get('/listings/:idOrSlug', (req, res) => {
+        const key = req.params.idOrSlug;
+        const row = /^\d+$/.test(key)
+            ? listingIndex.get(Number(key))
+            : listingIndex.all().find(r => r.slug === key);
+        if (!row || !inRegistry(row)) return sendError(res, 404, 'not_found', `No listing "${key}"`);
+        res.locals.listingId = row.id;
+        sendCached(res, { data: publicListing(row), meta: {} });
+    });
+
+    router.get('/provinces', (req, res) => {
+        const rows = listingIndex.all().filter(inRegistry);
+        sendCached(res, { data: countBy(rows, 'province').map(([province, count]) => ({ province, count })), meta: { total: rows.length } });
+    });
+
+    router.get('/types', (req, res) => {
+        const rows = listingIndex.all().filter(inRegistry);
+        sendCached(res, { data: countBy(rows, 'rental_type').map(([type, count]) => ({ type, count })), meta: { total: rows.length } });
+    });
+
+    router.use((req, res) => sendError(res, 404, 'not_found', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`));
+    router.use((err, req, res, next) => {  // four arguments: Express's error-handler signature
+        console.error('API v1 error:', err.message);
+        sendError(res, 500, 'server_error', 'Something went wrong on our side');
+    });
+
+    return router;
+}
+
+module.exports = { createApiV1, publicListing, SCHEMAS };
@@ -0,0 +1,130 @@
+// atp-matcher.js
+// Rename detection for the ATP diff: scores how likely a "new" row in the
+// latest report is the same business as a "dropped" listing — a spelling fix,
+// an added "Hostal" prefix, a new address at the same email domain. Pure
+// functions, no DB access; computeAtpDiff() in atp-ingest.js feeds it both lists.
+
+const normalize = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
+
+// Words that say what kind of place it is, not which place. Ignored when
+// comparing names so "HOSTAL LA CASONA" and "LA CASONA" count as the same.
+const GENERIC_NAME_WORDS = new Set([
+    'HOTEL', 'HOSTAL', 'HOSTEL', 'FAMILIAR', 'CABANA', 'CABANAS', 'APARTAMENTO', 'APARTAMENTOS',
+    'APARTAHOTEL', 'APARTA', 'POSADA', 'ALBERGUE', 'MOTEL', 'RESORT', 'SUITES', 'INN', 'LODGE',
+    'BOUTIQUE', 'B&B', 'BED', 'AND', 'BREAKFAST', 'VILLA', 'VILLAS', 'CASA', 'SITIO', 'ACAMPAR',
+    'DE', 'DEL', 'LA', 'EL', 'LOS', 'LAS', 'Y', 'E', 'THE', 'S.A.', 'SA', '&'
+]);
+
+// Shared mailbox providers — the same domain here says nothing about the owner
+const FREE_EMAIL_DOMAINS = new Set([
+    'GMAIL.COM', 'HOTMAIL.COM', 'HOTMAIL.ES', 'OUTLOOK.COM', 'OUTLOOK.ES', 'YAHOO.COM', 'YAHOO.ES',
+    'ICLOUD.COM', 'LIVE.COM', 'MSN.COM', 'AOL.COM', 'PROTONMAIL.COM', 'CWPANAMA.NET'
+]);
+
+const WEIGHTS = { name: 0.45, phone: 0.3, email: 0.25 };
+const PROVINCE_MISMATCH_FACTOR = 0.5;
+const MIN_CANDIDATE_CONFIDENCE = 0.4;   // below this a pair isn't worth showing
+const MAX_CANDIDATES = 3;
+
+function nameTokens(name) {
+    return normalize(name).split(/[^A-Z0-9&.]+/).filter(w => w && !GENERIC_NAME_WORDS.has(w));
+}
+
+// Character bigrams of the distinctive part of the name — catches one-letter
+// spelling fixes that token overlap misses ("BONNITA" vs "BONITA")
+function bigrams(str) {
+    const out = new Map();
+    for (let i = 0; i < str.length - 1; i++) {
+        const g = str.slice(i, i + 2);
+        out.set(g, (out.get(g) || 0) + 1);
+    }
+    return out;
+}
+
+function diceCoefficient(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const ga = bigrams(a), gb = bigrams(b);
+    let overlap = 0, total = 0;
+    ga.forEach((n, g) => { overlap += Math.min(n, gb.get(g) || 0); total += n; });
+    gb.forEach(n => { total += n; });
+    return total ? (2 * overlap) / total : 0;
+}
+
+function nameSimilarity(a, b) {
+    const ta = nameTokens(a), tb = nameTokens(b);
+    if (!ta.length || !tb.length) return 0;
+    const setA = new Set(ta), setB = new Set(tb);
+    const shared = [...setA].filter(t => setB.has(t)).length;
+    const jaccard = shared / new Set([...ta, ...tb]).size;
+    const dice = diceCoefficient(ta.join(''), tb.join(''));
+    return Math.max(jaccard, dice);
+}
+
+// Each "/"-separated number, reduced to its last 7 digits (drops +507 and
+// the mobile 6-prefix differences ATP sometimes introduces between reports)
+function phoneKeys(phone) {
+    return (phone || '').split('/')
+        .map(p => p.replace(/\D/g, ''))
+        .filter(d => d.length >= 7)
+        .map(d => d.slice(-7));
+}
+
+function phoneSimilarity(a, b) {
+    const ka = phoneKeys(a), kb = new Set(phoneKeys(b));
+    return ka.some(k => kb.has(k)) ? 1 : 0;
+}
+
+function emailSimilarity(a, b) {
+    const ea = normalize(a), eb = normalize(b);
+    if (!ea.includes('@') || !eb.includes('@')) return 0;
+    if (ea === eb) return 1;
+    const domain = e => e.split('@')[1];
+    if (domain(ea) === domain(eb) && !FREE_EMAIL_DOMAINS.has(domain(ea))) return 0.6;
+    return 0;
+}
+
+// ── Score one (new row, dropped listing) pair. Returns a 0..1 confidence and
+// the signals behind it, so the admin panel can say why it suggested a match.
+function scoreRenamePair(newRow, dropped) {
+    const name  = nameSimilarity(newRow.name, dropped.name);
+    const phone = phoneSimilarity(newRow.phone, dropped.phone);
+    const email = emailSimilarity(newRow.email, dropped.email);
+
+    // Weigh only the signals both sides actually have — two rows without
+    // emails shouldn't lose a quarter of their score for it
+    const hasPhones = phoneKeys(newRow.phone).length && phoneKeys(dropped.phone).length;
+    const hasEmails = (newRow.email || '').includes('@') && (dropped.email || '').includes('@');
+    const weight = WEIGHTS.name + (hasPhones ? WEIGHTS.phone : 0) + (hasEmails ? WEIGHTS.email : 0);
+    let confidence = (name * WEIGHTS.name + phone * WEIGHTS.phone + email * WEIGHTS.email) / weight;
+    // A shared phone number was the old exact-match rule — keep it a strong hint
+    if (phone) confidence = Math.max(confidence, 0.85);
+    const sameProvince = normalize(newRow.province) === normalize(dropped.province);
+    if (!sameProvince) confidence *= PROVINCE_MISMATCH_FACTOR;
+
+    const reasons = [];
+    if (name >= 0.5) reasons.push(`name ${Math.round(name * 100)}%`);
+    if (phone) reasons.push('same phone');
+    if (email === 1) reasons.push('same email');
+    else if (email) reasons.push('same email domain');
+    if (!sameProvince) reasons.push('different province');
+
+    return { confidence: Math.round(confidence * 100) / 100, reasons };
+}
+
+// ── Ranked dropped-listing candidates for one new row, best first ──
+function rankRenameCandidates(newRow, droppedRows) {
+    return droppedRows
+        .map(d => ({ id: d.id, ...scoreRenamePair(newRow, d) }))
+        .filter(c => c.confidence >= MIN_CANDIDATE_CONFIDENCE)
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, MAX_CANDIDATES);
+}
+
+module.exports = {
+    scoreRenamePair,
+    rankRenameCandidates,
+    nameSimilarity,
+    phoneKeys,
+    normalize
+};
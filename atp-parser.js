@@ -0,0 +1,444 @@
+// atp-parser.js
+// Pure ATP report parser: takes the raw bytes of a "Reporte de Hospedajes
+// vigentes" PDF and returns the rentals in it. No network access, no server
+// state — server.js downloads the PDF and hands the buffer over, and
+// scripts/atp-golden.js runs the exact same code offline against archived
+// reports in fixtures/atp-reports/.
+
+const path = require('path');
+
+// pdfjs-dist v5+ is ESM-only — no CommonJS build exists, so it must be loaded
+// via dynamic import() even from this CommonJS file. Cached after first load
+// so every parse doesn't re-import.
+let _pdfjsLib = null;
+async function getPdfjsLib() {
+    if (!_pdfjsLib) {
+        _pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return _pdfjsLib;
+}
+const PDFJS_STANDARD_FONTS_URL = path.join(
+    path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts'
+) + '/';
+
+// ─── Column layout ───────────────────────────────────────────────────────────
+// The four report columns, left to right, with the header label ATP prints
+// above each. Boundaries are detected per page (detectColumnLayout) — the
+// x positions that used to be hardcoded here (0/184/265/481) shift whenever
+// ATP touches the report template.
+const COLUMNS = [
+    { key: 'NOMBRE',    label: 'NOMBRE' },
+    { key: 'MODALIDAD', label: 'MODALIDAD' },
+    { key: 'CORREO',    label: 'CORREO' },
+    { key: 'TELEFONO',  label: 'TELEFONO' }
+];
+const HEADER_SLACK = 4;         // data text may start a few points left of its header label
+const CLUSTER_TOLERANCE = 3;    // x positions this close are the same column edge
+const CLUSTER_MIN_SUPPORT = 0.25; // a column edge must start text on ≥25% of data rows
+const MIN_FIELD_ACCURACY = 0.9; // share of emails/phones that must land in their column
+
+class AtpLayoutError extends Error {
+    constructor(message, page) {
+        super(page ? `Page ${page}: ${message}` : message);
+        this.name = 'AtpLayoutError';
+        this.page = page || null;
+    }
+}
+
+// The fields a parsed rental carries — also what the golden files compare
+const ATP_FIELDS = ['name', 'rental_type', 'email', 'phone', 'province'];
+
+// ─── PDF parsing helpers ─────────────────────────────────────────────────────
+function groupIntoRows(textItems) {
+    const rows = {};
+    const Y_TOLERANCE = 1.5;
+    textItems.forEach(item => {
+        if (!item.text.trim()) return;
+        const existingKey = Object.keys(rows).find(y => Math.abs(parseFloat(y) - item.y) <= Y_TOLERANCE);
+        const rowY = existingKey || item.y.toString();
+        if (!rows[rowY]) rows[rowY] = [];
+        rows[rowY].push(item);
+    });
+    return Object.entries(rows)
+        .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
+        .map(([y, items]) => ({ y: parseFloat(y), items: items.sort((a, b) => a.x - b.x) }));
+}
+
+function parseRowData(row, columns) {
+    const rental = { name: '', rental_type: '', email: '', phone: '' };
+    row.items.forEach(item => {
+        switch (columnOf(item.x, columns)) {
+            case 'NOMBRE':    rental.name += (rental.name ? ' ' : '') + item.text; break;
+            case 'MODALIDAD': rental.rental_type += (rental.rental_type ? ' ' : '') + item.text; break;
+            case 'CORREO':    rental.email += item.text; break;
+            case 'TELEFONO':  rental.phone += (rental.phone ? ' ' : '') + item.text; break;
+        }
+    });
+    rental.name = rental.name.trim();
+    rental.rental_type = rental.rental_type.trim();
+    rental.email = rental.email.trim();
+    rental.phone = rental.phone.trim();
+    return rental;
+}
+
+function isContinuationRow(rowData, previousRowData) {
+    if (previousRowData.rental_type === 'Hostal' && rowData.rental_type === 'Familiar') return true;
+    if (previousRowData.rental_type === 'Sitio de' && rowData.rental_type === 'acampar') return true;
+    if (!rowData.rental_type) return true;
+    if (previousRowData.email && rowData.email && !rowData.rental_type) {
+        const complete = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(previousRowData.email);
+        if (!complete) return true;
+    }
+    if (previousRowData.phone && rowData.phone && !rowData.rental_type) {
+        if (previousRowData.phone.endsWith('-')) return true;
+        if (previousRowData.phone.endsWith('/') && !rowData.phone.endsWith('/')) return true;
+    }
+    return false;
+}
+
+function mergeRentalRows(prev, cont) {
+    const merged = { ...prev };
+    if (cont.name) merged.name = (prev.name + ' ' + cont.name).trim();
+    if (cont.rental_type) {
+        if (prev.rental_type === 'Hostal' && cont.rental_type === 'Familiar') merged.rental_type = 'Hostal Familiar';
+        else if (prev.rental_type === 'Sitio de' && cont.rental_type === 'acampar') merged.rental_type = 'Sitio de acampar';
+    }
+    if (cont.email) merged.email = (prev.email + cont.email).trim();
+    if (cont.phone) {
+        if (prev.phone.endsWith('/')) merged.phone = (prev.phone + ' ' + cont.phone).trim();
+        else if (prev.phone.endsWith('-')) merged.phone = (prev.phone.slice(0, -1) + cont.phone).trim();
+        else merged.phone = (prev.phone + ' ' + cont.phone).trim();
+    }
+    return merged;
+}
+
+function isHeaderRow(rowText) {
+    if (rowText.includes('Reporte de Hospedajes vigentes') ||
+        rowText.includes('Página') ||
+        rowText.includes('Total por provincia') ||
+        rowText.includes('rep_hos_web')) {
+        return true;
+    }
+    if (rowText.includes('Nombre') && (rowText.includes('Modalidad') || rowText.includes('Correo'))) {
+        return true;
+    }
+    return false;
+}
+
+// ─── Column detection ────────────────────────────────────────────────────────
+const foldText = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
+
+function columnOf(x, columns) {
+    const col = COLUMNS.find(({ key }) => x >= columns[key].start && x < columns[key].end);
+    return col ? col.key : null;
+}
+
+// Column starts (one x per column, left to right) → { KEY: { start, end } }
+function columnsFromStarts(starts) {
+    const columns = {};
+    COLUMNS.forEach(({ key }, i) => {
+        columns[key] = {
+            start: i === 0 ? 0 : starts[i] - HEADER_SLACK,
+            end:   i === COLUMNS.length - 1 ? Infinity : starts[i + 1] - HEADER_SLACK
+        };
+    });
+    return columns;
+}
+
+// Header row → column starts, or null when the row doesn't carry every label
+// as its own text item (some pages merge the header into a single string).
+function startsFromHeader(headerRow) {
+    const starts = COLUMNS.map(({ label }) => {
+        const item = headerRow.items.find(it => foldText(it.text).startsWith(label));
+        return item ? item.x : null;
+    });
+    if (starts.some(x => x === null)) return null;
+    for (let i = 1; i < starts.length; i++) if (starts[i] <= starts[i - 1]) return null;
+    return starts;
+}
+
+// No usable header: cluster the x where text starts on each data row and
+// keep the edges that recur on enough rows. Exactly four must survive.
+function startsFromClusters(dataRows) {
+    const xs = dataRows.flatMap((row, rowIdx) => row.items.map(it => ({ x: it.x, rowIdx })))
+        .sort((a, b) => a.x - b.x);
+    const clusters = [];
+    xs.forEach(p => {
+        const last = clusters[clusters.length - 1];
+        if (last && p.x - last.maxX <= CLUSTER_TOLERANCE) {
+            last.maxX = p.x;
+            last.rows.add(p.rowIdx);
+        } else {
+            clusters.push({ minX: p.x, maxX: p.x, rows: new Set([p.rowIdx]) });
+        }
+    });
+    const strong = clusters.filter(c => c.rows.size >= dataRows.length * CLUSTER_MIN_SUPPORT);
+    if (strong.length !== COLUMNS.length) return null;
+    return strong.map(c => c.minX);
+}
+
+const looksLikeEmail = text => text.includes('@');
+const looksLikePhone = text => /^[\d\s\-\/()+.]+$/.test(text) && text.replace(/\D/g, '').length >= 7;
+
+// A layout is only trusted if the text we can recognise on sight — emails
+// and phone numbers — overwhelmingly lands in the column it belongs to.
+// Returns a 0..1 confidence, or null when the page offers nothing to check.
+function scoreLayout(columns, dataRows) {
+    let checked = 0, correct = 0;
+    dataRows.forEach(row => row.items.forEach(it => {
+        const text = it.text.trim();
+        let expected = null;
+        if (looksLikeEmail(text)) expected = 'CORREO';
+        else if (looksLikePhone(text)) expected = 'TELEFONO';
+        if (!expected) return;
+        checked++;
+        if (columnOf(it.x, columns) === expected) correct++;
+    }));
+    return checked ? correct / checked : null;
+}
+
+// ── Work out where the columns are on one page. Tries the page's own header
+// row, then the previous page's layout (continuation pages usually repeat the
+// header, but not always), then x clustering. Throws AtpLayoutError rather
+// than guessing when nothing scores MIN_FIELD_ACCURACY — a wrong layout
+// would feed mis-assigned names/emails straight into computeAtpDiff().
+function detectColumnLayout(rows, { page = null, previous = null } = {}) {
+    const rowTexts = rows.map(row => row.items.map(it => it.text).join(' '));
+    const headerRow = rows.find((row, i) => /Nombre/i.test(rowTexts[i]) && isHeaderRow(rowTexts[i]));
+    const dataRows = rows.filter((row, i) =>
+        !isHeaderRow(rowTexts[i]) && !rowTexts[i].includes('Provincia:') && !rowTexts[i].includes('Total por'));
+    if (!dataRows.length) return previous;
+
+    const candidates = [];
+    const headerStarts = headerRow && startsFromHeader(headerRow);
+    if (headerStarts) candidates.push({ source: 'header', columns: columnsFromStarts(headerStarts) });
+    if (previous) candidates.push({ source: 'previous', columns: previous.columns });
+    const clusterStarts = startsFromClusters(dataRows);
+    if (clusterStarts) candidates.push({ source: 'clusters', columns: columnsFromStarts(clusterStarts) });
+
+    if (!candidates.length) {
+        throw new AtpLayoutError('no header row and no clear column clusters', page);
+    }
+    let best = null;
+    for (const c of candidates) {
+        const confidence = scoreLayout(c.columns, dataRows);
+        // Nothing on the page to verify against: a real header (or the layout
+        // the previous page proved) is still trustworthy, bare clusters are not
+        if (confidence === null) {
+            if (c.source !== 'clusters') return { ...c, confidence };
+            continue;
+        }
+        if (confidence >= MIN_FIELD_ACCURACY) return { ...c, confidence };
+        if (!best || confidence > best.confidence) best = { ...c, confidence };
+    }
+    if (!best) throw new AtpLayoutError('no emails or phones to verify the column clusters against', page);
+    throw new AtpLayoutError(
+        `could not find a confident column layout (best: ${best.source}, ` +
+        `${Math.round(best.confidence * 100)}% of emails/phones in the right column)`, page);
+}
+
+// "%PDF" magic bytes — the ATP site sometimes serves an HTML error page instead
+function isPdfData(data) {
+    return data.length >= 4 && data[0] === 0x25 && data[1] === 0x50 && data[2] === 0x44 && data[3] === 0x46;
+}
+
+// ── Parse a full ATP report. `buffer` is anything Uint8Array-compatible (an
+// axios arraybuffer response, or fs.readFileSync() of an archived report).
+// `log` receives the same per-page progress lines the server used to print.
+async function parseAtpPdf(buffer, { log = () => {} } = {}) {
+    // Copy first — pdf.js transfers the underlying ArrayBuffer to its worker,
+    // which would leave the caller's buffer detached.
+    const data = new Uint8Array(buffer).slice();
+    if (!isPdfData(data)) throw new Error('Invalid PDF format');
+
+    const pdfjsLib = await getPdfjsLib();
+    const loadingTask = pdfjsLib.getDocument({ data, standardFontDataUrl: PDFJS_STANDARD_FONTS_URL });
+    const pdf = await loadingTask.promise;
+    const numPages = pdf.numPages;
+    log(`PDF loaded with ${numPages} pages...`);
+
+    const allRentals = [];
+    let currentProvince = '';
+    let currentRental = null;
+    let layout = null;
+
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        const textItems = textContent.items.map(item => ({
+            text: item.str,
+            x: Math.round(item.transform[4] * 100) / 100,
+            y: Math.round(item.transform[5] * 100) / 100,
+            page: pageNum
+        }));
+
+        const rows = groupIntoRows(textItems);
+        layout = detectColumnLayout(rows, { page: pageNum, previous: layout });
+        log(`Page ${pageNum}: ${rows.length} rows found` +
+            (layout ? ` (columns from ${layout.source}, ` +
+                      (layout.confidence === null ? 'unverified)' : `${Math.round(layout.confidence * 100)}% confident)`) : ''));
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            const rowText = row.items.map(item => item.text).join(' ');
+
+            if (rowText.includes('Provincia:')) {
+                currentProvince = rowText.replace('Provincia:', '').replace(/Total.*/, '').trim();
+                log(`Found province: ${currentProvince}`);
+                continue;
+            }
+            if (isHeaderRow(rowText) || !currentProvince) continue;
+            if (rowText.includes('Total por')) continue;
+
+            const rowData = parseRowData(row, layout.columns);
+
+            if (currentRental && isContinuationRow(rowData, currentRental)) {
+                currentRental = { ...mergeRentalRows(currentRental, rowData), source: currentRental.source.concat(rowText) };
+                continue;
+            }
+            if (currentRental && rowData.name && rowData.name.trim() &&
+                (rowData.type || rowData.email || rowData.phone)) {
+                allRentals.push(currentRental);
+                currentRental = { ...rowData, province: currentProvince, page: pageNum, source: [rowText] };
+            } else if (!currentRental && rowData.name && rowData.name.trim() &&
+                       (rowData.type || rowData.email || rowData.phone)) {
+                currentRental = { ...rowData, province: currentProvince, page: pageNum, source: [rowText] };
+            } else if (!currentRental && rowData.name && rowData.name.trim()) {
+                currentRental = { ...rowData, province: currentProvince, page: pageNum, source: [rowText] };
+            }
+        }
+    }
+
+    if (currentRental) allRentals.push(currentRental);
+    await loadingTask.destroy();
+
+    // `source` is the raw PDF text of the row(s) each rental was built from,
+    // kept so a quarantined row can be checked against what ATP actually printed
+    const rentals = allRentals.map(r => ({ ...r, source: r.source.join('\n') }));
+    return { rentals, numPages };
+}
+
+// ─── Row confidence ──────────────────────────────────────────────────────────
+// Modalidades ATP actually uses (folded: no accents, upper case). A type
+// outside this list is usually a column bleed, occasionally a new modalidad.
+const KNOWN_RENTAL_TYPES = new Set([
+    'HOTEL', 'HOSTAL', 'HOSTAL FAMILIAR', 'APARTA-HOTEL', 'APARTAHOTEL', 'APARTAMENTOS',
+    'CABANA', 'CABANAS', 'ALQUILER VACACIONAL', 'SITIO DE ACAMPAR', 'ALBERGUE',
+    'POSADA', 'PENSION', 'MOTEL', 'RESORT'
+]);
+// Words that open a property name. A second one that starts a new phrase
+// usually means two rows were glued together by the continuation logic
+// ("HOTEL SOL HOSTAL LUNA"); joined by a connector it's just a long name
+// ("HOTEL Y POSADA DEL MAR").
+const NAME_LEAD_WORD = /^(HOTEL|HOSTAL|CABANAS?|APARTA-?HOTEL|APARTAMENTOS|POSADA|ALBERGUE|MOTEL)$/;
+const NAME_CONNECTOR = /^(Y|&|E|DE|DEL|LA|EL|LOS|LAS)$/;
+
+function looksLikeMergedName(name) {
+    const words = name.split(/\s+/);
+    const first = words.findIndex(w => NAME_LEAD_WORD.test(w));
+    if (first < 0) return false;
+    for (let i = first + 1; i < words.length - 1; i++) {
+        if (!NAME_LEAD_WORD.test(words[i])) continue;
+        const between = words.slice(first + 1, i);
+        if (between.some(w => !NAME_CONNECTOR.test(w))) return true;
+    }
+    return false;
+}
+const QUARANTINE_BELOW = 0.7;   // rows scoring under this are held back from the diff
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// One phone entry: a Panamanian landline (7 digits) or mobile (8 digits,
+// starting with 6), optionally prefixed +507, or a foreign number in + form
+function isValidPhonePart(part) {
+    if (/[A-Za-z]/.test(part)) return false;
+    const digits = part.replace(/\D/g, '');
+    if (!digits) return false;
+    const local = digits.startsWith('507') && digits.length > 8 ? digits.slice(3) : digits;
+    if (local.length === 7) return true;
+    if (local.length === 8 && local[0] === '6') return true;
+    return part.trim().startsWith('+') && digits.length >= 8 && digits.length <= 15;
+}
+
+// ── Score one parsed rental. Each failed check multiplies the confidence down;
+// `issues` names the failed checks so the admin panel can say what looked off.
+// Empty email/phone is normal in ATP reports and doesn't count against a row.
+function scoreRental(rental) {
+    const issues = [];
+    let confidence = 1;
+    const fail = (issue, factor) => { issues.push(issue); confidence *= factor; };
+
+    const name = foldText(rental.name);
+    if (!name) fail('name_missing', 0);
+    else {
+        if (looksLikeMergedName(name) || name.length > 90) fail('name_merged', 0.5);
+    }
+
+    const email = (rental.email || '').trim();
+    if (email) {
+        if ((email.match(/@/g) || []).length > 1) fail('email_merged', 0.5);
+        else if (!EMAIL_RE.test(email)) fail('email_invalid', 0.6);
+    }
+
+    const phone = (rental.phone || '').trim();
+    if (phone) {
+        const parts = phone.split('/').map(p => p.trim()).filter(Boolean);
+        if (!parts.length || !parts.every(isValidPhonePart)) fail('phone_invalid', 0.6);
+    }
+
+    const type = foldText(rental.rental_type);
+    if (!type) fail('type_missing', 0.8);
+    else if (!KNOWN_RENTAL_TYPES.has(type)) fail('type_unknown', 0.8);
+
+    return { confidence: Math.round(confidence * 100) / 100, issues };
+}
+
+// ── Row-level comparison of two parses of the same report (or of two
+// reports). Rows are paired on normalized name+province — the same key
+// computeAtpDiff() uses — so "changed" means the key matched but another
+// field differs. Duplicate keys are paired in order of appearance.
+function diffRentalSets(expected, actual) {
+    const normalize = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
+    const keyOf = r => `${normalize(r.name)}|${normalize(r.province)}`;
+    const byKey = new Map();
+    expected.forEach(r => {
+        const key = keyOf(r);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(r);
+    });
+
+    const added = [], changed = [];
+    for (const r of actual) {
+        const bucket = byKey.get(keyOf(r));
+        const before = bucket && bucket.shift();
+        if (!before) { added.push(r); continue; }
+        const fields = ATP_FIELDS.filter(f => (before[f] || '') !== (r[f] || ''));
+        if (fields.length) changed.push({ before, after: r, fields });
+    }
+    const lost = [...byKey.values()].flat();
+    return { added, lost, changed };
+}
+
+// Strip a parsed rental down to the compared fields, in a stable key order
+function pickAtpFields(rental) {
+    const out = {};
+    ATP_FIELDS.forEach(f => { out[f] = rental[f] || ''; });
+    return out;
+}
+
+module.exports = {
+    parseAtpPdf,
+    diffRentalSets,
+    pickAtpFields,
+    isPdfData,
+    groupIntoRows,
+    parseRowData,
+    isContinuationRow,
+    mergeRentalRows,
+    isHeaderRow,
+    detectColumnLayout,
+    AtpLayoutError,
+    scoreRental,
+    QUARANTINE_BELOW,
+    ATP_FIELDS
+};
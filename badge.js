@@ -0,0 +1,102 @@
+// badge.js
+// The verification badge members put on their own websites, served by
+// GET /api/badge/:slug as SVG, as a small HTML page for an <iframe>, or as
+// JSON for public/verify.html. It is worked out from the listing row on every
+// request, so a listing that drops off the ATP report reads "no longer
+// verified" as soon as the diff that marks it inactive is applied.
+//
+// States:
+//   member      in a registry and a paying (or trial) member
+//   registered  in a registry, not a member
+//   lapsed      no longer on the ATP report (atp_active false, not MiCI)
+//   unknown     no such listing
+
+const { isActiveMember, inRegistry } = require('./listing-facets');
+
+const SITE_URL = 'https://trustedpanamastays.com';
+
+const COLORS = { member: '#00a859', registered: '#005ca9', lapsed: '#cc0000', unknown: '#777777' };
+const BRAND_COLOR = '#1a3a6b';
+
+const LABELS = {
+    es: {
+        brand:      'Trusted Panama Stays',
+        member:     reg => `✓ Verificado ${reg} · Miembro`,
+        registered: reg => `✓ Registrado ${reg}`,
+        lapsed:     ()  => '✗ Ya no verificado',
+        unknown:    ()  => 'No encontrado',
+        verify:     'Verificar'
+    },
+    en: {
+        brand:      'Trusted Panama Stays',
+        member:     reg => `✓ ${reg} verified · Member`,
+        registered: reg => `✓ ${reg} registered`,
+        lapsed:     ()  => '✗ No longer verified',
+        unknown:    ()  => 'Not found',
+        verify:     'Verify'
+    }
+};
+
+const escapeXml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const verifyUrl = slug => `${SITE_URL}/verify.html?slug=${encodeURIComponent(slug)}`;
+
+// ── A listings row (or null) → what the badge and verify page show
+function badgeStatus(row) {
+    if (!row) return { state: 'unknown' };
+    const registry = row.registry_source === 'mici' ? 'MiCI' : 'ATP';
+    return {
+        state:        !inRegistry(row) ? 'lapsed' : isActiveMember(row) ? 'member' : 'registered',
+        registry,
+        id:           row.id,
+        slug:         row.slug || null,
+        name:         row.name,
+        province:     row.province || null,
+        rental_type:  row.rental_type || null,
+        atp_last_seen: row.atp_last_seen || null,
+        listing_url:  row.slug ? `${SITE_URL}/listing.html?slug=${encodeURIComponent(row.slug)}` : `${SITE_URL}/listing.html?id=${row.id}`
+    };
+}
+
+function statusText(status, lang) {
+    const t = LABELS[lang] || LABELS.es;
+    return t[status.state](status.registry);
+}
+
+// Verdana 11px averages about 6.5px a character — close enough for a badge
+// that is never wider than its text
+const textWidth = s => Math.round([...s].length * 6.5) + 16;
+
+// ── Shields-style two-part SVG: brand on the left, status on the right
+function renderBadgeSvg(status, { lang = 'es' } = {}) {
+    const t = LABELS[lang] || LABELS.es;
+    const text = statusText(status, lang);
+    const left = textWidth(t.brand), right = textWidth(text), width = left + right;
+    const title = status.name ? `${status.name} — ${text}` : text;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="22" role="img" aria-label="${escapeXml(title)}">
+<title>${escapeXml(title)}</title>
+<clipPath id="r"><rect width="${width}" height="22" rx="4"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${left}" height="22" fill="${BRAND_COLOR}"/>
+<rect x="${left}" width="${right}" height="22" fill="${COLORS[status.state]}"/>
+</g>
+<g fill="#fff" font-family="Verdana,DejaVu Sans,sans-serif" font-size="11" text-anchor="middle">
+<text x="${left / 2}" y="15">${escapeXml(t.brand)}</text>
+<text x="${left + right / 2}" y="15">${escapeXml(text)}</text>
+</g>
+</svg>`;
+}
+
+// ── The badge as a tiny page for <iframe>: the SVG linking to the verify page
+function renderBadgeHtml(status, { lang = 'es' } = {}) {
+    const t = LABELS[lang] || LABELS.es;
+    const svg = renderBadgeSvg(status, { lang });
+    const body = status.slug
+        ? `<a href="${escapeXml(verifyUrl(status.slug))}&amp;lang=${lang}" target="_blank" rel="noopener" title="${escapeXml(t.verify)}">${svg}</a>`
+        : svg;
+    return `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"><title>${escapeXml(statusText(status, lang))}</title>
+<style>html,body{margin:0;padding:0;background:transparent;}a{display:inline-block;line-height:0;}</style></head>
+<body>${body}</body></html>`;
+}
+
+module.exports = { badgeStatus, renderBadgeSvg, renderBadgeHtml, verifyUrl };
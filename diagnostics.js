@@ -0,0 +1,173 @@
+// diagnostics.js
+// What used to be a handful of public debug endpoints (/api/debug-rentals,
+// /api/test-heading, /api/env-check, /api/debug-ip, /api/secret-debug,
+// /api/test-anthropic), as one admin-only router mounted at
+// /api/admin/diagnostics:
+//
+//   GET /             everything below except the ATP probe
+//   GET /pdf          ATP report state and the pending diff
+//   GET /supabase     a timed round trip to the database
+//   GET /mailer       php + notify.php present, recent sends and bounces
+//   GET /jobs         scheduled jobs (job-tokens.js) and work waiting on a person
+//   GET /request      this request's headers and the IP we'd see for it
+//   GET /env          which required settings are set — names only
+//   GET /atp-heading  fetch the ATP page now and show the PDF link found there
+//
+// Nothing here ever echoes a secret, its length or any part of it. The router
+// answers 404 in production unless DIAGNOSTICS_ENABLED=true.
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const execFileAsync = promisify(execFile);
+const { JOBS } = require('./job-tokens');
+
+const REQUIRED_ENV = ['ADMIN_TOKEN_SECRET', 'ADMIN_PASSWORD', 'MEMBER_SESSION_SECRET', 'SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_KEY', 'ANTHROPIC_API_KEY'];
+const MAILER_FILES = ['public/notify.php', 'public/includes/mailer.php'];
+const EMAIL_EVENT_TYPES = ['followup_sent', 'trial_reminder_sent', 'trial_extension_offer_sent', 'trial_expired_demoted'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const diagnosticsEnabled = () => process.env.NODE_ENV !== 'production' || process.env.DIAGNOSTICS_ENABLED === 'true';
+
+// Run a check; a failure becomes { ok: false, error } rather than a 500, so one
+// broken dependency doesn't hide the others
+async function check(fn) {
+    try {
+        return { ok: true, ...(await fn()) };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    }
+}
+
+// `state()` returns the server's live ATP variables (PDF_URL, PDF_HEADING,
+// PDF_STATUS, DATA_SOURCE, PENDING_ATP_DIFF); `requireAdmin` is admin-users'
+function createDiagnostics({ db, listingIndex, atpIngest, jobTokens, state, requireAdmin }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!diagnosticsEnabled()) return res.status(404).json({ error: 'Diagnostics are off in production — set DIAGNOSTICS_ENABLED=true to turn them on' });
+        next();
+    });
+    router.use(requireAdmin('settings'));
+
+    function pdf() {
+        const { PDF_URL, PDF_HEADING, PDF_STATUS, DATA_SOURCE, PENDING_ATP_DIFF } = state();
+        return {
+            ok:                 listingIndex.size > 0,
+            status:             PDF_STATUS,
+            data_source:        DATA_SOURCE || null,
+            pdf_url:            PDF_URL,
+            pdf_heading:        PDF_HEADING,
+            listing_index_size: listingIndex.size,
+            pending_diff:       PENDING_ATP_DIFF ? {
+                new_url:     PENDING_ATP_DIFF.newUrl,
+                computed_at: PENDING_ATP_DIFF.computedAt,
+                counts:      atpIngest.summarizeAtpDiff(PENDING_ATP_DIFF.diff)
+            } : null
+        };
+    }
+
+    const supabase = () => check(async () => {
+        const started = Date.now();
+        const { count, error } = await db.from('listings').select('id', { count: 'exact', head: true });
+        if (error) throw error;
+        return { latency_ms: Date.now() - started, listings: count };
+    });
+
+    const mailer = () => check(async () => {
+        const { stdout } = await execFileAsync('php', ['-v'], { timeout: 5000 });
+        const files = Object.fromEntries(MAILER_FILES.map(f => [f, fs.existsSync(path.join(__dirname, f))]));
+        if (Object.values(files).includes(false)) throw new Error(`Missing ${MAILER_FILES.filter(f => !files[f]).join(', ')}`);
+
+        const since = new Date(Date.now() - 7 * DAY_MS).toISOString();
+        const [sent, bounces] = await Promise.all([
+            db.from('event_log').select('created_at').in('event_type', EMAIL_EVENT_TYPES)
+                .order('created_at', { ascending: false }).limit(1),
+            db.from('email_bounces').select('email', { count: 'exact', head: true }).gte('bounced_at', since)
+        ]);
+        if (sent.error) throw sent.error;
+        if (bounces.error) throw bounces.error;
+        return {
+            php:              stdout.split('\n')[0],
+            files,
+            last_email_at:    sent.data[0]?.created_at || null,
+            bounces_last_7d:  bounces.count
+        };
+    });
+
+    const jobs = () => check(async () => {
+        const tokens = await jobTokens.list();
+        const scheduled = Object.entries(JOBS).map(([scope, job]) => {
+            const live = tokens.filter(t => t.scope === scope && !t.revoked_at);
+            const lastRun = live.map(t => t.last_used_at).filter(Boolean).sort().pop() || null;
+            return {
+                scope,
+                label:        job.label,
+                tokens:       live.length,
+                last_run_at:  lastRun,
+                // a little slack past the schedule before calling it late
+                overdue:      !live.length || !lastRun || Date.now() - new Date(lastRun) > job.every_hours * 1.25 * 60 * 60 * 1000
+            };
+        });
+
+        const [apps, waQueue] = await Promise.all([
+            db.from('membership_applications').select('id', { count: 'exact', head: true }).in('status', ['pending', 'pre_approved']),
+            db.from('wa_campaign_queue').select('id', { count: 'exact', head: true }).eq('status', 'pending')
+        ]);
+        if (apps.error) throw apps.error;
+        if (waQueue.error) throw waQueue.error;
+        return {
+            scheduled,
+            waiting: {
+                atp_diff_review:   !!state().PENDING_ATP_DIFF,
+                applications:      apps.count,
+                whatsapp_queue:    waQueue.count
+            }
+        };
+    });
+
+    const request = req => ({
+        computed_ip:           req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
+        x_forwarded_for:       req.headers['x-forwarded-for'] || null,
+        x_real_ip:             req.headers['x-real-ip'] || null,
+        cf_connecting_ip:      req.headers['cf-connecting-ip'] || null,
+        socket_remote_address: req.socket.remoteAddress,
+        host:                  req.headers['host'] || null,
+        protocol:              req.protocol,
+        user_agent:            req.headers['user-agent'] || null
+    });
+
+    const env = () => ({
+        node_env: process.env.NODE_ENV || null,
+        node:     process.version,
+        set:      REQUIRED_ENV.filter(k => !!process.env[k]),
+        missing:  REQUIRED_ENV.filter(k => !process.env[k])
+    });
+
+    router.get('/', async (req, res) => {
+        const [supabaseCheck, mailerCheck, jobsCheck] = await Promise.all([supabase(), mailer(), jobs()]);
+        res.json({
+            checked_at: new Date().toISOString(),
+            uptime_s:   Math.round(process.uptime()),
+            pdf:        pdf(),
+            supabase:   supabaseCheck,
+            mailer:     mailerCheck,
+            jobs:       jobsCheck,
+            request:    request(req),
+            env:        env()
+        });
+    });
+    router.get('/pdf',      (req, res) => res.json(pdf()));
+    router.get('/supabase', async (req, res) => res.json(await supabase()));
+    router.get('/mailer',   async (req, res) => res.json(await mailer()));
+    router.get('/jobs',     async (req, res) => res.json(await jobs()));
+    router.get('/request',  (req, res) => res.json(request(req)));
+    router.get('/env',      (req, res) => res.json(env()));
+    router.get('/atp-heading', async (req, res) => res.json(await check(() => atpIngest.getLatestPdfUrl())));
+
+    return router;
+}
+
+module.exports = { createDiagnostics, diagnosticsEnabled };
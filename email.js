@@ -0,0 +1,116 @@
+// email.js
+// Deliverability of the free-text email fields — `email` (from the ATP report)
+// and `email_member` (typed by the member) — and the one send path campaigns
+// and reminders go through, so a failed delivery is remembered.
+//
+// Every address is classified as one of:
+//   valid        a plausible personal/business mailbox
+//   role         a shared mailbox (info@, reservas@, …) — still mailed, most
+//                hospedajes only have one
+//   placeholder  text standing in for "no email" ("no aporto", "n/t", no@no.com)
+//                or a mailbox nobody reads (noreply@)
+//   malformed    not an address, or a known typo of a big provider's domain
+//   bounced      the mailer rejected it before (email_bounces table)
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const execFileAsync = promisify(execFile);
+
+const NOTIFY_PATH = path.join(__dirname, 'public', 'notify.php');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+// Whole-field text meaning "no email" — compared without accents
+const PLACEHOLDER_RE = /^(n\/?[at]|na|no\b.*|sin\b.*|ningun[oa]?|none|null|pendiente|[-.x0]+)$/;
+const PLACEHOLDER_LOCALS = new Set(['no', 'na', 'nt', 'noemail', 'nomail', 'notiene', 'sincorreo', 'ninguno', 'correo', 'email', 'test', 'x', 'xx', 'xxx',
+    'noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'postmaster']);
+const ROLE_LOCALS = new Set(['info', 'informacion', 'reservas', 'reservaciones', 'reservations', 'reserva', 'booking', 'bookings', 'ventas', 'sales',
+    'contacto', 'contact', 'admin', 'administracion', 'recepcion', 'reception', 'frontdesk', 'gerencia', 'hotel', 'office', 'hola', 'hello']);
+const TYPO_DOMAINS = new Set(['gmail.co', 'gmail.con', 'gmial.com', 'gmai.com', 'hotmail.con', 'hotmial.com', 'hotmail.co', 'yahoo.con', 'outlook.con']);
+
+const MAILABLE = new Set(['valid', 'role']);
+
+const plain = s => (s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// ── Classify one field → { status, address }. A field can hold several
+// addresses ("a@x.com / b@y.com"); the first well-formed one is used, and
+// `address` is that address cleaned up for sending (null when there is none).
+// `bounced` is a Set of lowercased addresses from loadBouncedEmails().
+function classifyEmail(field, bounced = new Set()) {
+    const text = plain(field);
+    if (!text || (PLACEHOLDER_RE.test(text) && !text.includes('@'))) return { status: 'placeholder', address: null };
+    if (!text.includes('@')) return { status: 'malformed', address: null };
+
+    const address = text.split(/[\s,;/]+/).filter(p => p.includes('@')).find(p => EMAIL_RE.test(p));
+    if (!address) return { status: 'malformed', address: null };
+    const [local, domain] = address.split('@');
+    if (PLACEHOLDER_LOCALS.has(local)) return { status: 'placeholder', address: null };
+    if (TYPO_DOMAINS.has(domain)) return { status: 'malformed', address: null };
+    if (bounced.has(address)) return { status: 'bounced', address };
+    return { status: ROLE_LOCALS.has(local) ? 'role' : 'valid', address };
+}
+
+const isMailable = status => MAILABLE.has(status);
+
+// The field to write to for a listing: the member's own address when it can
+// be mailed, else the ATP one, else whichever explains why neither can.
+// Callers send to `address` only when isMailable(status).
+function listingEmail(listing, bounced) {
+    const member = { ...classifyEmail(listing.email_member, bounced), field: 'email_member' };
+    const atp    = { ...classifyEmail(listing.email, bounced), field: 'email' };
+    if (isMailable(member.status)) return member;
+    if (isMailable(atp.status)) return atp;
+    return listing.email_member ? member : atp;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  BOUNCES
+// ═════════════════════════════════════════════════════════════════════════════
+async function loadBouncedEmails(db) {
+    const { data, error } = await db.from('email_bounces').select('email');
+    if (error) {
+        console.error('email_bounces load failed:', error.message);
+        return new Set();
+    }
+    return new Set((data || []).map(b => b.email));
+}
+
+async function recordBounce(db, address, reason, source) {
+    const { error } = await db.from('email_bounces').upsert({
+        email: plain(address), reason, source: source || null, bounced_at: new Date().toISOString()
+    }, { onConflict: 'email' });
+    if (error) console.error('email_bounces insert failed:', error.message);
+}
+
+// PHPMailer's wording when the server refused the recipient itself, as opposed
+// to a connection or authentication failure on our side
+const RECIPIENT_REJECTED_RE = /recipients? failed|invalid address|\b55[0-3]\b|mailbox (unavailable|not found)|user unknown|no such user|does not exist/i;
+
+// ── Send through notify.php. It prints {"success":true} or {"error":"…"} and
+// exits 0 either way, so the output decides: a rejected recipient is recorded
+// in email_bounces (keeping it out of later campaigns) and every error throws.
+async function sendEmail(db, { subject, html, to, fromEmail, fromName, cc }, { source } = {}) {
+    const args = [NOTIFY_PATH, subject, html, to];
+    if (fromEmail || fromName || cc) args.push(fromEmail || 'info@trustedpanamastays.com', fromName || 'Trusted Panama Stays');
+    if (cc) args.push(cc);
+    const { stdout } = await execFileAsync('php', args, { timeout: 15000 });
+
+    const match = (stdout || '').match(/\{"(success|error)".*\}\s*$/);
+    let result = null;
+    try { result = match ? JSON.parse(match[0]) : null; } catch { /* reported below */ }
+    if (result && result.success) return;
+
+    const reason = result ? String(result.error) : `Unexpected mailer output: ${(stdout || '').slice(0, 200)}`;
+    if (result && RECIPIENT_REJECTED_RE.test(reason)) await recordBounce(db, to, reason, source);
+    throw new Error(reason);
+}
+
+module.exports = {
+    classifyEmail,
+    isMailable,
+    listingEmail,
+    loadBouncedEmails,
+    recordBounce,
+    sendEmail
+};
@@ -0,0 +1,126 @@
+// geo.js
+// Where a listing is, as `latitude`/`longitude` plus where that came from:
+//   geo_source 'member'     pinned by the member on the listing edit form
+//   geo_source 'gazetteer'  placed offline from the address (failing that, the
+//                           name) against panama_places.json — the town named
+//                           in it, within the listing's province; `geo_place`
+//                           is that town
+// A member pin always wins. Also the distance and box maths behind
+// /api/rentals?near= and ?bbox=.
+
+const GAZETTEER = require('./panama_places.json');
+const { fold } = require('./search-index');
+
+// Generous box around Panama, islands included — member pins must fall inside
+const PANAMA_BOUNDS = { south: 7.0, west: -83.1, north: 9.8, east: -77.1 };
+const EARTH_RADIUS_KM = 6371;
+
+// Padded with spaces so `includes(' boquete ')` only matches whole words
+const phrase = s => ` ${fold(s).replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const PROVINCES = GAZETTEER.provinces.map(p => ({
+    name: p.name,
+    keys: [p.name, ...(p.aliases || [])].map(phrase),
+    places: p.places.map(place => ({ ...place, keys: [place.name, ...(place.aliases || [])].map(phrase) }))
+}));
+
+// ATP writes provinces its own way ("PANAMÁ OESTE", "COMARCA KUNA YALA");
+// the longest alias contained in it decides, so "panama oeste" beats "panama"
+function gazetteerProvince(province) {
+    const text = phrase(province);
+    let best = null, bestLength = 0;
+    PROVINCES.forEach(p => p.keys.forEach(key => {
+        if (key.length > bestLength && text.includes(key)) { best = p; bestLength = key.length; }
+    }));
+    return best;
+}
+
+// The town a text names. A town called like its province ("Bocas del Toro")
+// only counts when nothing more specific is named — "Boquete, Chiriquí" is Boquete.
+function findPlace(text, province) {
+    const t = phrase(text);
+    let best = null, bestRank = 0;
+    province.places.forEach(place => place.keys.forEach(key => {
+        if (!t.includes(key)) return;
+        const rank = (province.keys.includes(key) ? 0 : 1000) + key.length;
+        if (rank > bestRank) { best = place; bestRank = rank; }
+    }));
+    return best;
+}
+
+// ── Gazetteer coordinates for a listing → { latitude, longitude, geo_source,
+// geo_place }, or null when neither its address nor its name names a known town
+function geocodeListing(listing) {
+    const province = gazetteerProvince(listing.province);
+    if (!province) return null;
+    for (const text of [listing.address, listing.name]) {
+        const place = text && findPlace(text, province);
+        if (place) return { latitude: place.lat, longitude: place.lng, geo_source: 'gazetteer', geo_place: place.name };
+    }
+    return null;
+}
+
+const NO_COORDINATES = { latitude: null, longitude: null, geo_source: null, geo_place: null };
+
+// ── A member's pin → the same shape, or null when it isn't a point in Panama
+function memberCoordinates(latitude, longitude) {
+    const lat = Number(latitude), lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < PANAMA_BOUNDS.south || lat > PANAMA_BOUNDS.north || lng < PANAMA_BOUNDS.west || lng > PANAMA_BOUNDS.east) return null;
+    return { latitude: Math.round(lat * 1e6) / 1e6, longitude: Math.round(lng * 1e6) / 1e6, geo_source: 'member', geo_place: null };
+}
+
+// A listing row's point, or null when it hasn't been placed
+function listingPoint(row) {
+    if (row.latitude == null || row.longitude == null) return null;
+    const lat = Number(row.latitude), lng = Number(row.longitude);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  QUERIES
+// ═════════════════════════════════════════════════════════════════════════════
+
+// "8.98,-79.52" → { lat, lng }, or null
+function parseLatLng(value) {
+    const parts = String(value || '').split(',').map(Number);
+    if (parts.length !== 2 || !parts.every(Number.isFinite)) return null;
+    const [lat, lng] = parts;
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+// "west,south,east,north" — Leaflet's getBounds().toBBoxString() order — or null
+function parseBBox(value) {
+    const parts = String(value || '').split(',').map(Number);
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+    const [west, south, east, north] = parts;
+    if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90) return null;
+    return { west, south, east, north };
+}
+
+function inBBox(point, box) {
+    if (point.lat < box.south || point.lat > box.north) return false;
+    // A box crossing the antimeridian has west > east
+    return box.west <= box.east
+        ? point.lng >= box.west && point.lng <= box.east
+        : point.lng >= box.west || point.lng <= box.east;
+}
+
+// Great-circle distance (haversine)
+function distanceKm(a, b) {
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat), dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = {
+    geocodeListing,
+    memberCoordinates,
+    listingPoint,
+    NO_COORDINATES,
+    parseLatLng,
+    parseBBox,
+    inBBox,
+    distanceKm
+};
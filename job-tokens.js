@@ -0,0 +1,142 @@
+// job-tokens.js
+// Tokens for the callers that have no admin account: the scheduled GitHub
+// Actions workflows and updateMyIP.php. Each token is scoped to one job and
+// works for that job's endpoint only. They look like `tps_job_<40 hex>`; like
+// partner keys (api-keys.js) only the SHA-256 is stored (`job_tokens.
+// token_hash`), and the plain token is shown once, when it is issued.
+//
+// Callers send it in a header — `Authorization: Bearer <token>` or
+// `X-Job-Token: <token>` — never in the URL or body, so it stays out of
+// access logs and workflow run logs. Rotating issues a new token for the same
+// job and revokes the old one; store the new one in the caller (e.g. the
+// GitHub secret named in JOBS) and nothing needs redeploying.
+
+const crypto = require('crypto');
+const { hashKey } = require('./api-keys');
+
+const TOKEN_PREFIX       = 'tps_job_';
+const RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+
+// scope → what it runs, where the caller keeps it, and how often it should
+// run (diagnostics.js flags a job whose token hasn't been used for longer)
+const JOBS = {
+    'reload-pdf':      { label: 'Daily ATP report check',  endpoint: 'POST /api/reload-pdf',                secret: 'JOB_TOKEN_RELOAD_PDF',      every_hours: 24 },
+    'trial-reminders': { label: 'Trial reminder emails',   endpoint: 'GET /api/send-trial-reminders',       secret: 'JOB_TOKEN_TRIAL_REMINDERS', every_hours: 24 },
+    'weekly-report':   { label: 'Weekly analytics report', endpoint: 'GET /api/admin/send-weekly-report',   secret: 'JOB_TOKEN_WEEKLY_REPORT',   every_hours: 168 },
+    'blog-draft':      { label: 'Weekly blog draft',       endpoint: 'POST /api/admin/blog/generate-draft', secret: 'JOB_TOKEN_BLOG_DRAFT',      every_hours: 168 },
+    'admin-ip':        { label: 'Admin IP update',         endpoint: 'GET /api/update-admin-ip',            secret: 'updateMyIP.php',            every_hours: 24 }
+};
+
+class JobTokenError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobTokenError';
+        this.status = status;
+    }
+}
+
+// The job token a request carries, or null. A bearer that isn't one (an admin
+// session token) is left for the fallback middleware.
+function requestToken(req) {
+    if (req.headers['x-job-token']) return String(req.headers['x-job-token']);
+    const bearer = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+    return bearer && bearer[1].startsWith(TOKEN_PREFIX) ? bearer[1] : null;
+}
+
+function createJobTokens(db) {
+    const active = new Map();  // token_hash → job_tokens row, revoked tokens left out
+    let loadedAt = 0;
+
+    async function load() {
+        const { data, error } = await db
+            .from('job_tokens')
+            .select('id, scope, name, token_prefix, token_hash')
+            .is('revoked_at', null);
+        if (error) throw error;
+        active.clear();
+        (data || []).forEach(t => active.set(t.token_hash, t));
+        loadedAt = Date.now();
+        return active.size;
+    }
+
+    async function list() {
+        const { data, error } = await db
+            .from('job_tokens')
+            .select('id, scope, name, token_prefix, created_by, created_at, last_used_at, revoked_at')
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // ── New token for a job → { token, row }. `token` is the only plain copy.
+    async function issue({ scope, name = null, createdBy = null }) {
+        if (!JOBS[scope]) throw new JobTokenError(`Unknown job "${scope}" — use ${Object.keys(JOBS).join(', ')}`);
+        const token = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex');
+        const { data, error } = await db
+            .from('job_tokens')
+            .insert({
+                scope,
+                name:         name || JOBS[scope].label,
+                token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+                token_hash:   hashKey(token),
+                created_by:   createdBy,
+                created_at:   new Date().toISOString()
+            })
+            .select('id, scope, name, token_prefix, created_by, created_at, last_used_at, revoked_at')
+            .single();
+        if (error) throw error;
+        await load();
+        return { token, row: data };
+    }
+
+    async function revoke(id) {
+        const { data, error } = await db
+            .from('job_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('revoked_at', null)
+            .select('id, scope, name');
+        if (error) throw error;
+        await load();
+        return (data || [])[0] || null;
+    }
+
+    // ── Replace a live token with a new one for the same job
+    async function rotate(id, { createdBy = null } = {}) {
+        const old = await revoke(id);
+        if (!old) throw new JobTokenError('No such live token', 404);
+        return issue({ scope: old.scope, name: old.name, createdBy });
+    }
+
+    // ── Express middleware: a live token for `scope`. With `fallback` (e.g.
+    // requireAdmin('registry')), requests without a job token go there
+    // instead, so the admin panel can trigger the same job. Sets req.jobToken.
+    function requireJob(scope, { fallback = null } = {}) {
+        if (!JOBS[scope]) throw new Error(`Unknown job "${scope}"`);
+        return async (req, res, next) => {
+            const token = requestToken(req);
+            if (!token) {
+                if (fallback) return fallback(req, res, next);
+                return res.status(401).json({ error: 'Send the job token as "Authorization: Bearer <token>" or "X-Job-Token: <token>"' });
+            }
+            if (Date.now() - loadedAt > RELOAD_INTERVAL_MS) {
+                try { await load(); }
+                catch (err) { console.error('Job token reload failed:', err.message); }
+            }
+            const row = active.get(hashKey(token));
+            if (!row) return res.status(401).json({ error: 'Unknown or revoked job token' });
+            if (row.scope !== scope) return res.status(403).json({ error: `This token is for "${row.scope}", not "${scope}"` });
+
+            req.jobToken = row;
+            db.from('job_tokens').update({ last_used_at: new Date().toISOString() }).eq('id', row.id)
+                .then(({ error }) => {
+                    if (error) console.error('job_tokens last_used_at update failed:', error.message);
+                });
+            next();
+        };
+    }
+
+    return { load, list, issue, revoke, rotate, requireJob };
+}
+
+module.exports = { createJobTokens, JobTokenError, JOBS, TOKEN_PREFIX };
@@ -0,0 +1,79 @@
+// listing-facets.js
+// The directory's filters, and the counts behind them, for /api/rentals.
+// Each facet is a way of bucketing a listing; a request selects values per
+// facet (?province=…&type=…&keyword=…&member=…&apatel=…&has_photos=…).
+// Selected values of one facet are OR-ed — except keywords, which by default
+// must all be present (keyword_match=any OR-s them too) — and facets AND
+// together.
+//
+// A facet's counts apply every other facet's selection but not its own, so
+// "Chiriquí (42)" is what choosing Chiriquí would give with the rest as is.
+// Keywords in `all` mode are the exception: each count is what adding that
+// keyword to the ones already chosen would leave.
+
+const isActiveMember = r => !!(r.is_member && r.membership_paid_until && new Date(r.membership_paid_until) >= new Date());
+// On the ATP register as of the last applied report, or registered with MiCI
+const inRegistry = r => !!(r.atp_active || r.registry_source === 'mici');
+const yesNo = b => b ? 'yes' : 'no';
+
+const FACETS = {
+    province:   { param: 'province',   values: r => r.province ? [r.province] : [] },
+    type:       { param: 'type',       values: r => r.rental_type ? [r.rental_type] : [] },
+    keyword:    { param: 'keyword',    values: r => Array.isArray(r.listing_keywords) ? r.listing_keywords : [] },
+    member:     { param: 'member',     values: r => [isActiveMember(r) ? (r.is_trial ? 'trial' : 'member') : 'none'] },
+    apatel:     { param: 'apatel',     values: r => [yesNo(r.apatel_member)], boolean: true },
+    has_photos: { param: 'has_photos', values: r => [yesNo(Array.isArray(r.photos) && r.photos.length > 0)], boolean: true }
+};
+
+const BOOLEAN_VALUES = { 1: 'yes', true: 'yes', yes: 'yes', 0: 'no', false: 'no', no: 'no' };
+
+// ── Query string → { selection: { facet: [values] }, keywordMatch }. Empty
+// facets are left out. Throws on a yes/no facet given something else.
+function parseFacetSelection(query) {
+    const selection = {};
+    Object.entries(FACETS).forEach(([name, facet]) => {
+        const raw = query[facet.param];
+        if (raw === undefined || raw === '') return;
+        let values = (Array.isArray(raw) ? raw : [raw]).map(String).filter(Boolean);
+        if (facet.boolean) {
+            values = values.map(v => {
+                const b = BOOLEAN_VALUES[v.toLowerCase()];
+                if (!b) throw new Error(`${facet.param} must be yes or no`);
+                return b;
+            });
+        }
+        if (values.length) selection[name] = [...new Set(values)];
+    });
+    return { selection, keywordMatch: query.keyword_match === 'any' ? 'any' : 'all' };
+}
+
+function matchesFacet(row, name, wanted, keywordMatch) {
+    const have = FACETS[name].values(row);
+    if (name === 'keyword' && keywordMatch === 'all') return wanted.every(v => have.includes(v));
+    return wanted.some(v => have.includes(v));
+}
+
+// Rows passing every selected facet except `skip`
+function applyFacets(rows, { selection, keywordMatch }, skip = null) {
+    const active = Object.entries(selection).filter(([name]) => name !== skip);
+    if (!active.length) return rows;
+    return rows.filter(r => active.every(([name, wanted]) => matchesFacet(r, name, wanted, keywordMatch)));
+}
+
+// ── Counts for every facet → { facet: [{ value, count, selected }] }, most
+// common first. Selected values stay listed even when nothing has them.
+function facetCounts(rows, { selection, keywordMatch }) {
+    const out = {};
+    Object.keys(FACETS).forEach(name => {
+        const ownFilterApplies = name === 'keyword' && keywordMatch === 'all';
+        const base = applyFacets(rows, { selection, keywordMatch }, ownFilterApplies ? null : name);
+        const counts = new Map((selection[name] || []).map(v => [v, 0]));
+        base.forEach(r => new Set(FACETS[name].values(r)).forEach(v => counts.set(v, (counts.get(v) || 0) + 1)));
+        out[name] = [...counts]
+            .map(([value, count]) => ({ value, count, selected: (selection[name] || []).includes(value) }))
+            .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value), 'es'));
+    });
+    return out;
+}
+
+module.exports = { FACETS, parseFacetSelection, applyFacets, facetCounts, isActiveMember, inRegistry };
@@ -0,0 +1,184 @@
+// listing-identity.js
+// Decides which existing listing (if any) each row of a parsed ATP report is.
+// A listing is identified by three fingerprints — name+province, email and
+// phone numbers — plus every name it has had before (listing_aliases), so a
+// rename doesn't break the link and two same-named properties in one province
+// don't collapse into one. When the fingerprints can't tell candidates apart
+// the row comes back ambiguous for an admin to resolve; it is never merged
+// silently. Pure functions — computeAtpDiff() in atp-ingest.js supplies the data.
+
+const { normalize, phoneKeys } = require('./atp-matcher');
+const { classifyEmail, isMailable } = require('./email');
+
+// A phone number on more listings than this is an agency's or a building's
+// front desk, not one property's — it doesn't identify anything
+const SHARED_PHONE_LIMIT = 3;
+
+function nameKey(name, province) {
+    return `${normalize(name)}|${normalize(province)}`;
+}
+
+// Only an address email.js would mail counts — "no@no.com", "noreply@…" and
+// the like are shared by hundreds of unrelated rows
+function identityFingerprints(row) {
+    const { status, address } = classifyEmail(row.email);
+    return {
+        nameKey: nameKey(row.name, row.province),
+        emails:  isMailable(status) ? [address] : [],
+        phones:  phoneKeys(row.phone)
+    };
+}
+
+// Phone keys found on more than SHARED_PHONE_LIMIT listings
+function sharedPhoneKeys(listingFp) {
+    const owners = new Map();
+    for (const [id, fp] of listingFp) {
+        new Set(fp.phones).forEach(p => {
+            if (!owners.has(p)) owners.set(p, new Set());
+            owners.get(p).add(id);
+        });
+    }
+    return new Set([...owners].filter(([, ids]) => ids.size > SHARED_PHONE_LIMIT).map(([p]) => p));
+}
+
+// name key → listing IDs, from current names and from aliases
+function buildNameIndex(listings, aliases) {
+    const byName = new Map();
+    const add = (key, id) => {
+        if (!byName.has(key)) byName.set(key, new Set());
+        byName.get(key).add(id);
+    };
+    listings.forEach(l => add(nameKey(l.name, l.province), l.id));
+    const known = new Set(listings.map(l => l.id));
+    aliases.filter(a => known.has(a.listing_id)).forEach(a => add(nameKey(a.name, a.province), a.listing_id));
+    return byName;
+}
+
+// email / phone key → listing IDs, for rows whose name matches nothing
+function buildContactIndex(listingFp) {
+    const byContact = new Map();
+    for (const [id, fp] of listingFp) {
+        [...fp.emails, ...fp.phones].forEach(k => {
+            if (!byContact.has(k)) byContact.set(k, new Set());
+            byContact.get(k).add(id);
+        });
+    }
+    return byContact;
+}
+
+// Same email, or any phone number in common
+function contactsOverlap(a, b) {
+    if (a.emails.some(e => b.emails.includes(e))) return true;
+    return a.phones.some(p => b.phones.includes(p));
+}
+
+// ── Match every parsed row to a listing. Returns one result per row, aligned
+// with `parsedRows`:
+//   { listingId, via }           — same property ('name', 'alias', 'contact', 'override')
+//   { insert: true }             — not in the DB yet
+//   { insert: true, contactMatch: listingId }
+//                                — a name nothing has had, but the email or a
+//                                  phone of one listing: maybe renamed, left to
+//                                  the rename scoring (atp-matcher.js)
+//   { ambiguous: [listingIds] }  — several candidates, fingerprints can't decide
+//   { ambiguous: [listingIds], via: 'contact' }
+//                                — as contactMatch, but several listings have
+//                                  that email/phone
+// `listings` need id/name/province/email/phone; `aliases` are listing_aliases
+// rows. A row may carry `identity` ({ listingId } or { insert: true }) from an
+// admin's earlier decision, which always wins.
+function matchParsedRows(parsedRows, listings, aliases = []) {
+    const byId = new Map(listings.map(l => [l.id, l]));
+    const byName = buildNameIndex(listings, aliases);
+    const currentKey = new Map(listings.map(l => [l.id, nameKey(l.name, l.province)]));
+    // Agency phone numbers are left out of every fingerprint, listings and rows alike
+    const shared = sharedPhoneKeys(new Map(listings.map(l => [l.id, identityFingerprints(l)])));
+    const fingerprint = row => {
+        const fp = identityFingerprints(row);
+        return { ...fp, phones: fp.phones.filter(p => !shared.has(p)) };
+    };
+    const listingFp = new Map(listings.map(l => [l.id, fingerprint(l)]));
+    const results = new Array(parsedRows.length);
+    const claimed = new Set();
+
+    // Admin overrides first, so their listings are off the table for the rest
+    parsedRows.forEach((row, i) => {
+        if (!row.identity) return;
+        if (row.identity.insert) results[i] = { insert: true };
+        else if (byId.has(row.identity.listingId)) {
+            results[i] = { listingId: row.identity.listingId, via: 'override' };
+            claimed.add(row.identity.listingId);
+        }
+    });
+
+    // Group the remaining rows by name key — each group competes for the
+    // listings that currently have, or used to have, that name
+    const groups = new Map();
+    parsedRows.forEach((row, i) => {
+        if (results[i]) return;
+        const fp = fingerprint(row);
+        if (!groups.has(fp.nameKey)) groups.set(fp.nameKey, []);
+        groups.get(fp.nameKey).push({ i, fp });
+    });
+
+    for (const [key, rows] of groups) {
+        let candidates = [...(byName.get(key) || [])].filter(id => !claimed.has(id));
+        const via = id => currentKey.get(id) === key ? 'name' : 'alias';
+        const assign = (r, id, how) => {
+            results[r.i] = { listingId: id, via: how || via(id) };
+            claimed.add(id);
+            candidates = candidates.filter(c => c !== id);
+        };
+
+        // One row, one candidate: the name agrees and nothing competes
+        if (rows.length === 1 && candidates.length === 1) {
+            assign(rows[0], candidates[0]);
+            continue;
+        }
+
+        // Several on either side — pair up rows and listings whose email or
+        // phone agree, but only where the pairing is one-to-one
+        let open = rows;
+        if (candidates.length) {
+            const overlaps = new Map(rows.map(r => [r.i, candidates.filter(id => contactsOverlap(r.fp, listingFp.get(id)))]));
+            for (const r of rows) {
+                const ids = overlaps.get(r.i);
+                if (ids.length !== 1) continue;
+                const rivals = rows.filter(o => o !== r && overlaps.get(o.i).includes(ids[0]));
+                if (!rivals.length) assign(r, ids[0], via(ids[0]) === 'name' ? 'contact' : 'alias');
+            }
+            open = rows.filter(r => !results[r.i]);
+        }
+
+        if (open.length === 1 && candidates.length === 1) {
+            assign(open[0], candidates[0]);
+        } else if (open.length && candidates.length) {
+            open.forEach(r => { results[r.i] = { ambiguous: [...candidates] }; });
+        } else {
+            open.forEach(r => { results[r.i] = { insert: true }; });
+        }
+    }
+
+    // A row about to be inserted whose email or phone an unmatched listing
+    // has may be that listing under a new name. Never linked here: with one
+    // such listing the rename scoring (and its auto-link threshold) decides,
+    // with several an admin picks before anything is inserted or dropped.
+    const byContact = buildContactIndex(listingFp);
+    parsedRows.forEach((row, i) => {
+        if (!results[i].insert || row.identity) return;
+        const fp = fingerprint(row);
+        const ids = new Set();
+        [...fp.emails, ...fp.phones].forEach(k => (byContact.get(k) || []).forEach(id => ids.add(id)));
+        const candidates = [...ids].filter(id => !claimed.has(id));
+        if (candidates.length === 1) results[i] = { insert: true, contactMatch: candidates[0] };
+        else if (candidates.length) results[i] = { ambiguous: candidates, via: 'contact' };
+    });
+
+    return results;
+}
+
+module.exports = {
+    matchParsedRows,
+    identityFingerprints,
+    nameKey
+};
@@ -0,0 +1,117 @@
+// listing-index.js
+// The listings table held in memory for the public read paths — search,
+// provinces, types — so a request never waits on Supabase. Loaded once at
+// startup and then kept current two ways:
+//   - Supabase realtime pushes each insert/update/delete on `listings`
+//   - the server's own write paths call refresh(ids) right after writing, so
+//     their change shows on the next request even while realtime is down
+// onChange() listeners hear about every change; anything derived from the
+// rows (search tokens, facet counts) rebuilds from there instead of polling.
+
+function createListingIndex(db, { table = 'listings', batch = 1000 } = {}) {
+    const rows = new Map();          // id → full listings row
+    const listeners = new Set();
+    let list = null;                 // rows as an array, rebuilt on the first read after a change
+    let channel = null;
+    let realtimeDown = false;        // a reconnect after this reloads everything missed meanwhile
+
+    function notify(change) {
+        list = null;
+        listeners.forEach(fn => {
+            try { fn(change); } catch (err) { console.error('Listing index listener failed:', err.message); }
+        });
+    }
+
+    async function fetchRows(ids) {
+        let all = [];
+        let from = 0;
+        while (true) {
+            let query = db.from(table).select('*');
+            if (ids) query = query.in('id', ids);
+            const { data, error } = await query.order('id').range(from, from + batch - 1);
+            if (error) throw error;
+            all = all.concat(data);
+            if (data.length < batch) break;
+            from += batch;
+        }
+        return all;
+    }
+
+    // ── Full (re)load — startup, after an ATP apply, or to catch up after
+    // realtime was disconnected. Returns the number of listings.
+    async function load() {
+        const data = await fetchRows(null);
+        rows.clear();
+        data.forEach(r => rows.set(r.id, r));
+        notify({ type: 'reload', ids: null });
+        return rows.size;
+    }
+
+    // ── Re-read specific listings after this process wrote them. Never throws:
+    // a failed refresh leaves the old rows until realtime or the next one.
+    async function refresh(ids) {
+        ids = [].concat(ids).filter(id => id != null).map(Number);
+        if (!ids.length) return;
+        try {
+            const data = await fetchRows(ids);
+            const found = new Set(data.map(r => r.id));
+            data.forEach(r => rows.set(r.id, r));
+            ids.filter(id => !found.has(id)).forEach(id => rows.delete(id));
+            notify({ type: 'update', ids });
+        } catch (err) {
+            console.error(`Listing index refresh failed for ${ids.join(', ')}:`, err.message);
+        }
+    }
+
+    function applyRealtime(payload) {
+        if (payload.eventType === 'DELETE') {
+            const id = payload.old && payload.old.id;
+            if (rows.delete(id)) notify({ type: 'delete', ids: [id] });
+            return;
+        }
+        const row = payload.new;
+        if (!row || row.id == null) return;
+        rows.set(row.id, { ...rows.get(row.id), ...row });
+        notify({ type: 'update', ids: [row.id] });
+    }
+
+    // ── Start listening for row changes. Safe to call without realtime
+    // support — the index then only moves on load() and refresh().
+    function subscribe() {
+        if (channel) return;
+        try {
+            channel = db.channel(`${table}-index`)
+                .on('postgres_changes', { event: '*', schema: 'public', table }, applyRealtime)
+                .subscribe(status => {
+                    if (status === 'SUBSCRIBED') {
+                        console.log('✅ Listing index: realtime updates on');
+                        if (realtimeDown) load().catch(err => console.error('Listing index catch-up failed:', err.message));
+                        realtimeDown = false;
+                    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+                        if (!realtimeDown) console.warn(`⚠️  Listing index: realtime ${status} — only this server's writes update it until it reconnects`);
+                        realtimeDown = true;
+                    }
+                });
+        } catch (err) {
+            channel = null;
+            console.warn('⚠️  Listing index: realtime unavailable —', err.message);
+        }
+    }
+
+    function onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        load,
+        refresh,
+        subscribe,
+        onChange,
+        all: () => list || (list = [...rows.values()]),
+        get: id => rows.get(Number(id)) || null,
+        get size() { return rows.size; }
+    };
+}
+
+module.exports = { createListingIndex };
@@ -0,0 +1,159 @@
+// listing-query.js
+// The directory query shared by /api/rentals and the partner API (/api/v1):
+// search, map area, MiCI/ATP dedupe, facet filters and sort, all over the
+// in-memory listing index. It returns full rows — paging, field selection and
+// what a caller may see are each endpoint's business.
+
+const { phoneFieldMatches } = require('./phone');
+const geo = require('./geo');
+const { parseFacetSelection, applyFacets, isActiveMember } = require('./listing-facets');
+
+const PAGE_SIZE     = 50;
+const MAX_PAGE_SIZE = 200;
+const NEAR_DEFAULT_RADIUS_KM = 25;
+const NEAR_MAX_RADIUS_KM     = 500;
+
+// A malformed query parameter — endpoints answer 400 with its message
+class ListingQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ListingQueryError';
+    }
+}
+
+// ── Sort modes. `relevance` keeps the search score order and is the default
+// while searching; `distance` needs near= and is the default with it;
+// otherwise `featured` — the order the index page always showed: paid ATP
+// members, paid MiCI members, trials, then everyone else; feature_rank
+// (recalculateFeatureRanks in server.js) and name within each.
+const byListingName = (a, b) => (a.name || '').localeCompare(b.name || '', 'es');
+function featuredTier(r) {
+    if (!isActiveMember(r)) return 4;
+    if (r.is_trial) return 3;
+    return r.registry_source === 'mici' ? 2 : 1;
+}
+const SORTS = {
+    relevance: null,
+    distance:  null,
+    featured:  (a, b) => (featuredTier(a) - featuredTier(b))
+        || ((a.feature_rank || Infinity) - (b.feature_rank || Infinity))
+        || byListingName(a, b),
+    name:      byListingName,
+    province:  (a, b) => (a.province || '').localeCompare(b.province || '', 'es') || byListingName(a, b),
+    newest:    (a, b) => (b.atp_first_seen || '').localeCompare(a.atp_first_seen || '') || b.id - a.id  // newest ATP registration first
+};
+
+// limit/offset from a query string, clamped
+function parsePage(query) {
+    return {
+        limit:  Math.min(Math.max(parseInt(query.limit) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(query.offset) || 0, 0)
+    };
+}
+
+function createListingQuery({ listingIndex, searchIndex }) {
+    // Free text, or a listing ID / phone number typed into the same box
+    function searchRows(rows, search) {
+        // Strip common phone formatting (spaces, hyphens, dots, slashes) so a
+        // number can be typed any way and still match
+        const digitsOnly = search.replace('#', '').trim().replace(/[\s\-\.\/]/g, '');
+        const isNumericSearch = digitsOnly.length > 0 && /^\d+$/.test(digitsOnly);
+
+        if (isNumericSearch && digitsOnly.length <= 5) {
+            // Short numeric input — treat as a listing ID
+            const idMatch = rows.find(r => String(r.id) === digitsOnly);
+            return idMatch ? [idMatch] : [];
+        }
+        if (isNumericSearch && digitsOnly.length >= 7) {
+            // Longer numeric input — treat as a phone number. Check both the
+            // ATP-registry phone AND the member-edited phone, number by number,
+            // in local and international form (phone.js)
+            return rows.filter(r => phoneFieldMatches(r.phone, digitsOnly) || phoneFieldMatches(r.phone_member, digitsOnly));
+        }
+        // 6 digits is ambiguous — too long for an ID, too short for a real phone number
+        if (isNumericSearch) return [];
+
+        // Full-text (search-index.js); membership only breaks near-ties
+        const inScope = new Set(rows.map(r => r.id));
+        const boost = r => 1 + (r.is_member ? 0.03 : 0) + (r.apatel_member ? 0.02 : 0) + (r.atp_active ? 0.01 : 0);
+        return searchIndex.search(search)
+            .filter(hit => inScope.has(hit.id))
+            .map(hit => ({ r: listingIndex.get(hit.id), hit }))
+            .filter(x => x.r)
+            .map(x => ({ r: x.r, matched: x.hit.matched, score: x.hit.score * boost(x.r) }))
+            .sort((a, b) => b.matched - a.matched || b.score - a.score)
+            .map(x => x.r);
+    }
+
+    // MiCI listings may share a name with an ATP listing — keep the MiCI
+    // version (has registry_source) over the bare ATP entry
+    function dedupe(rows) {
+        const seen = new Map();
+        for (const r of rows) {
+            const key = `${r.name?.toLowerCase().trim()}|${r.province?.toLowerCase().trim()}`;
+            const existing = seen.get(key);
+            if (!existing || (!existing.registry_source && r.registry_source)) seen.set(key, r);
+        }
+        return Array.from(seen.values());
+    }
+
+    // ── Run a query string → { rows, matching, facetQuery, sort, origin,
+    // distances }. `rows` is the answer in order; `matching` is the same set
+    // before facet filters (what facet counts are taken over); `distances`
+    // maps id → km from `near`. `scope` narrows which listings count at all.
+    // Throws ListingQueryError on a malformed parameter.
+    function run(query, { scope = null } = {}) {
+        let facetQuery;
+        try { facetQuery = parseFacetSelection(query); }
+        catch (err) { throw new ListingQueryError(err.message); }
+
+        // The index holds full rows (ATP and MiCI, member-edited fields included),
+        // so search can match either the ATP registry value or the member's own
+        let rows = listingIndex.all();
+        if (scope) rows = rows.filter(scope);
+        if (query.search) rows = searchRows(rows, String(query.search));
+
+        // Map queries (geo.js): near=lat,lng&radius=km and/or bbox=west,south,east,north.
+        // Either one drops listings that haven't been placed yet.
+        let origin = null;
+        const distances = new Map();
+        if (query.near !== undefined) {
+            origin = geo.parseLatLng(query.near);
+            if (!origin) throw new ListingQueryError('near must be "lat,lng"');
+            const radius = Math.min(parseFloat(query.radius) || NEAR_DEFAULT_RADIUS_KM, NEAR_MAX_RADIUS_KM);
+            rows = rows.filter(r => {
+                const point = geo.listingPoint(r);
+                if (!point) return false;
+                const km = geo.distanceKm(origin, point);
+                distances.set(r.id, km);
+                return km <= radius;
+            });
+        }
+        if (query.bbox !== undefined) {
+            const box = geo.parseBBox(query.bbox);
+            if (!box) throw new ListingQueryError('bbox must be "west,south,east,north"');
+            rows = rows.filter(r => {
+                const point = geo.listingPoint(r);
+                return point && geo.inBBox(point, box);
+            });
+        }
+
+        const matching = dedupe(rows);
+        rows = applyFacets(matching, facetQuery);
+
+        const sort = query.sort || (query.search ? 'relevance' : origin ? 'distance' : 'featured');
+        if (!(sort in SORTS)) throw new ListingQueryError(`Unknown sort "${sort}" — use ${Object.keys(SORTS).join(', ')}`);
+        if (sort === 'distance') {
+            if (!origin) throw new ListingQueryError('sort=distance needs near=lat,lng');
+            rows = [...rows].sort((a, b) => distances.get(a.id) - distances.get(b.id));
+        } else if (SORTS[sort]) {
+            rows = [...rows].sort(SORTS[sort]);
+        }
+
+        return { rows, matching, facetQuery, sort, origin, distances };
+    }
+
+    return { run };
+}
+
+module.exports = { createListingQuery, ListingQueryError, parsePage, SORTS, PAGE_SIZE, MAX_PAGE_SIZE };
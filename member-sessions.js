@@ -0,0 +1,244 @@
+// member-sessions.js
+// Sessions for members editing their own listing page. A token is
+//
+//     <session id>.<listing id>.<expires, ms>.<HMAC-SHA256 of the first three>
+//
+// signed with MEMBER_SESSION_SECRET, so it can't be made up or moved to
+// another listing, and it stops working at its expiry. Every session is also
+// a `member_sessions` row; revoking the row (logout, password change or
+// reset, the admin kill-switch) ends the session before it expires.
+//
+// requireMemberSession() is the one check in front of every member write.
+//
+// Members can also log in without the password, through a one-time link
+// mailed to them (`member_login_links`: only the link token's SHA-256 is
+// stored, it expires after 15 minutes and works once). Opening the link only
+// shows a confirmation page; the session starts when the member clicks it, so
+// mail scanners that fetch every link don't use it up.
+//
+// The "7 more days" link in the trial extension offer works the same way
+// (`trial_extension_links`: hashed, one use, 10 days), but only extends the
+// trial — it never starts a session.
+
+const crypto = require('crypto');
+
+const MEMBER_TTL_MS = 24 * 60 * 60 * 1000;  // after a password login
+const ADMIN_TTL_MS  =  2 * 60 * 60 * 1000;  // minted from the admin page
+const LINK_TTL_MS   =      15 * 60 * 1000;  // a magic login link, unused
+const EXTENSION_LINK_TTL_MS = 10 * 24 * 60 * 60 * 1000;  // a trial extension link, unused
+
+class MemberSessionError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'MemberSessionError';
+        this.status = status;
+    }
+}
+
+function clientIp(req) {
+    return req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress;
+}
+
+function createMemberSessions(db, { secret }) {
+    if (!secret) throw new Error('member-sessions: missing signing secret');
+
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    const hashLink = token => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+    // ── New session → token. `via` is 'password', 'magic_link' or 'admin'.
+    async function issue(listingId, { via = 'password', req = null } = {}) {
+        const id = crypto.randomUUID();
+        const expires = Date.now() + (via === 'admin' ? ADMIN_TTL_MS : MEMBER_TTL_MS);
+        const { error } = await db.from('member_sessions').insert({
+            id,
+            listing_id: listingId,
+            via,
+            ip:         req ? clientIp(req) : null,
+            user_agent: req ? String(req.headers['user-agent'] || '').slice(0, 300) : null,
+            created_at: new Date().toISOString(),
+            expires_at: new Date(expires).toISOString()
+        });
+        if (error) throw error;
+        const payload = `${id}.${listingId}.${expires}`;
+        return `${payload}.${sign(payload)}`;
+    }
+
+    // ── Token → { sessionId, listingId }. Throws MemberSessionError.
+    async function verify(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 4) throw new MemberSessionError('Invalid token', 403);
+        const [sessionId, listingId, expires, signature] = parts;
+        const expected = Buffer.from(sign(`${sessionId}.${listingId}.${expires}`));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new MemberSessionError('Invalid token', 403);
+        }
+        if (Date.now() > Number(expires)) throw new MemberSessionError('Session expired');
+
+        const { data, error } = await db
+            .from('member_sessions')
+            .select('id, listing_id, revoked_at')
+            .eq('id', sessionId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!data || data.revoked_at) throw new MemberSessionError('Session ended — please log in again');
+
+        db.from('member_sessions').update({ last_seen_at: new Date().toISOString() }).eq('id', sessionId)
+            .then(({ error: seenError }) => {
+                if (seenError) console.error('member_sessions last_seen_at update failed:', seenError.message);
+            });
+        return { sessionId, listingId: Number(listingId) };
+    }
+
+    // ── New login link for a listing → the plain token for the email
+    async function issueLoginLink(listingId, { req = null } = {}) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const { error } = await db.from('member_login_links').insert({
+            token_hash:   hashLink(token),
+            listing_id:   listingId,
+            requested_ip: req ? clientIp(req) : null,
+            created_at:   new Date().toISOString(),
+            expires_at:   new Date(Date.now() + LINK_TTL_MS).toISOString()
+        });
+        if (error) throw error;
+        return token;
+    }
+
+    // ── Is the link still good? → { listingId }, without using it up (the
+    // confirmation page). Throws MemberSessionError.
+    async function checkLoginLink(token) {
+        const { data, error } = await db
+            .from('member_login_links')
+            .select('listing_id, expires_at, used_at')
+            .eq('token_hash', hashLink(token))
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) throw new MemberSessionError('This login link is not valid', 400);
+        if (data.used_at) throw new MemberSessionError('This login link was already used — request a new one', 400);
+        if (new Date(data.expires_at) < new Date()) throw new MemberSessionError('This login link has expired — request a new one', 400);
+        return { listingId: data.listing_id };
+    }
+
+    // ── Use the link: marks it used (only one request can) and starts a
+    // session → { token, listingId }
+    async function redeemLoginLink(token, { req = null } = {}) {
+        await checkLoginLink(token);
+        const { data, error } = await db
+            .from('member_login_links')
+            .update({ used_at: new Date().toISOString(), used_ip: req ? clientIp(req) : null })
+            .eq('token_hash', hashLink(token))
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select('listing_id');
+        if (error) throw error;
+        if (!data || !data.length) throw new MemberSessionError('This login link was already used — request a new one', 400);
+        const listingId = data[0].listing_id;
+        return { token: await issue(listingId, { via: 'magic_link', req }), listingId };
+    }
+
+    // ── New trial extension link for a listing → the plain token for the email
+    async function issueExtensionLink(listingId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const { error } = await db.from('trial_extension_links').insert({
+            token_hash: hashLink(token),
+            listing_id: listingId,
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + EXTENSION_LINK_TTL_MS).toISOString()
+        });
+        if (error) throw error;
+        return token;
+    }
+
+    // ── Is the extension link still good? → { listingId }, without using it
+    // up. The page it backs is Spanish, so are the errors. Throws
+    // MemberSessionError.
+    async function checkExtensionLink(token) {
+        const { data, error } = await db
+            .from('trial_extension_links')
+            .select('listing_id, expires_at, used_at')
+            .eq('token_hash', hashLink(token))
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) throw new MemberSessionError('Este enlace no es válido.', 400);
+        if (data.used_at) throw new MemberSessionError('Este enlace de extensión ya fue utilizado anteriormente.', 400);
+        if (new Date(data.expires_at) < new Date()) throw new MemberSessionError('Este enlace ya no es válido.', 400);
+        return { listingId: data.listing_id };
+    }
+
+    // ── Use the extension link up (only one request can) → { listingId }
+    async function redeemExtensionLink(token, { req = null } = {}) {
+        await checkExtensionLink(token);
+        const { data, error } = await db
+            .from('trial_extension_links')
+            .update({ used_at: new Date().toISOString(), used_ip: req ? clientIp(req) : null })
+            .eq('token_hash', hashLink(token))
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select('listing_id');
+        if (error) throw error;
+        if (!data || !data.length) throw new MemberSessionError('Este enlace de extensión ya fue utilizado anteriormente.', 400);
+        return { listingId: data[0].listing_id };
+    }
+
+    async function revoke(sessionId, reason) {
+        const { error } = await db
+            .from('member_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('id', sessionId)
+            .is('revoked_at', null);
+        if (error) throw error;
+    }
+
+    // ── End every open session of a listing, optionally keeping one (the
+    // member who just changed their password stays logged in). Returns how
+    // many were ended.
+    async function revokeListing(listingId, reason, { except = null } = {}) {
+        let query = db
+            .from('member_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('listing_id', listingId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString());
+        if (except) query = query.neq('id', except);
+        const { data, error } = await query.select('id');
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    async function list(listingId, { limit = 50 } = {}) {
+        const { data, error } = await db
+            .from('member_sessions')
+            .select('id, via, ip, user_agent, created_at, expires_at, last_seen_at, revoked_at, revoked_reason')
+            .eq('listing_id', listingId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return data || [];
+    }
+
+    // ── Express middleware: the request's token must be a live session for
+    // the listing it writes to. `listingIdOf(req)` says which listing that is;
+    // run it after multer on multipart routes so req.body is there. Sets
+    // req.memberSession.
+    function requireMemberSession(listingIdOf) {
+        return async (req, res, next) => {
+            const bearer = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+            const token = (bearer && bearer[1]) || req.body?.token;
+            if (!token) return res.status(401).json({ error: 'Not logged in' });
+            try {
+                const session = await verify(token);
+                if (String(session.listingId) !== String(listingIdOf(req))) return res.status(403).json({ error: 'Invalid token' });
+                req.memberSession = session;
+                next();
+            } catch (err) {
+                if (err instanceof MemberSessionError) return res.status(err.status).json({ error: err.message });
+                res.status(500).json({ error: err.message });
+            }
+        };
+    }
+
+    return { issue, verify, revoke, revokeListing, list, requireMemberSession, issueLoginLink, checkLoginLink, redeemLoginLink,
+        issueExtensionLink, checkExtensionLink, redeemExtensionLink };
+}
+
+module.exports = { createMemberSessions, MemberSessionError };
@@ -0,0 +1,126 @@
+// phone.js
+// One model for the free-text phone fields: `phone` (from the ATP report) and
+// `phone_member` (typed by the member). A field holds one or more numbers
+// separated by "/"; each becomes a typed number instead of being re-guessed
+// with regexes wherever it's used.
+//
+// Conventions carried by the raw strings:
+//   "-6442-7132"  leading "-": confirmed NOT on WhatsApp (mark-whatsapp-invalid)
+//   "6123-"       trailing "-": a fragment — the rest was lost in the PDF
+//   "+44 …"       leading "+": already international
+// Length decides the rest (Panama's own numbers can start with 3, so the first
+// digit alone isn't a safe US/Canada test):
+//   8 digits starting with 6 → Panama mobile      7 digits → Panama landline
+//   10 digits → US/Canada without the 1           11 digits starting with 1 → US/Canada
+//   11 digits starting with 507 → Panama with country code
+// public/listing.php renders server-side and carries a PHP copy of these rules.
+
+const PANAMA_CC = '507';
+
+function panamaNumber(national) {
+    if (national.length === 8 && national.startsWith('6')) return { type: 'mobile', e164: `+${PANAMA_CC}${national}` };
+    if (national.length === 7) return { type: 'landline', e164: `+${PANAMA_CC}${national}` };
+    return { type: 'unknown', e164: null };
+}
+
+function classify(digits, hasPlus) {
+    if (hasPlus) {
+        if (digits.startsWith(PANAMA_CC)) return panamaNumber(digits.slice(PANAMA_CC.length));
+        return digits.length >= 8 && digits.length <= 15 ? { type: 'foreign', e164: `+${digits}` } : { type: 'unknown', e164: null };
+    }
+    if (digits.length === 11 && digits.startsWith(PANAMA_CC)) return panamaNumber(digits.slice(PANAMA_CC.length));
+    if (digits.length === 11 && digits.startsWith('1')) return { type: 'foreign', e164: `+${digits}` };
+    if (digits.length === 10) return { type: 'foreign', e164: `+1${digits}` };
+    return panamaNumber(digits);
+}
+
+// ── One "/"-separated part → a typed number:
+//   { display, digits, type: 'mobile'|'landline'|'foreign'|'unknown', e164,
+//     whatsapp (wa.me digits or null), notOnWhatsApp, confirmedWhatsApp,
+//     invalid, source: 'atp'|'member' }
+// `confirmedWhatsApp` is the listing's `whatsapp` column — the number the scan
+// settled on and nobody has marked invalid.
+function parsePhoneNumber(part, { source = 'atp', confirmedWhatsApp = null } = {}) {
+    const raw = part.trim();
+    const notOnWhatsApp = raw.startsWith('-');
+    const display = notOnWhatsApp ? raw.slice(1).trim() : raw;
+    const digits = display.replace(/\D/g, '');
+    const { type, e164 } = classify(digits, display.startsWith('+'));
+    const invalid = type === 'unknown' || /[a-z]/i.test(display) || /-\s*$/.test(display);
+    const whatsapp = !invalid && !notOnWhatsApp && (type === 'mobile' || type === 'foreign') ? e164.slice(1) : null;
+    return {
+        display,
+        digits,
+        type,
+        e164: invalid ? null : e164,
+        whatsapp,
+        notOnWhatsApp,
+        confirmedWhatsApp: !!whatsapp && whatsapp === confirmedWhatsApp,
+        invalid,
+        source
+    };
+}
+
+function parsePhoneField(field, options = {}) {
+    return (field || '').split('/').map(p => p.trim()).filter(Boolean).map(p => parsePhoneNumber(p, options));
+}
+
+// ── What a listing page shows and links: every number for display, a landline
+// for "Call" when there is one (mobiles are often WhatsApp-only), and the
+// confirmed WhatsApp number — else a mobile, else a foreign one — for wa.me.
+// Numbers marked not-on-WhatsApp are shown but never linked.
+function contactNumbers(numbers) {
+    const usable = numbers.filter(n => !n.invalid && !n.notOnWhatsApp);
+    const firstOf = type => usable.find(n => n.type === type);
+    const call = firstOf('landline') || firstOf('mobile') || firstOf('foreign');
+    const whatsapp = numbers.find(n => n.confirmedWhatsApp)
+        || usable.find(n => n.whatsapp && n.type === 'mobile')
+        || usable.find(n => n.whatsapp);
+    return {
+        display:  numbers.map(n => n.display).join(' / '),
+        call:     call ? call.e164.slice(1) : null,
+        whatsapp: whatsapp ? whatsapp.whatsapp : null
+    };
+}
+
+// Contact numbers for both phone fields of a listing, attached to API responses
+// as `phone_numbers` so pages pick one instead of parsing the raw strings
+function listingPhoneNumbers(listing) {
+    const options = { confirmedWhatsApp: listing.whatsapp || null };
+    return {
+        atp:    contactNumbers(parsePhoneField(listing.phone, { ...options, source: 'atp' })),
+        member: listing.phone_member ? contactNumbers(parsePhoneField(listing.phone_member, { ...options, source: 'member' })) : null
+    };
+}
+
+// The number the WhatsApp scan should store for a field, or null
+function whatsappCandidate(field, options = {}) {
+    return contactNumbers(parsePhoneField(field, options)).whatsapp;
+}
+
+// Prefix the part whose WhatsApp number is `waDigits` with "-" so no later scan
+// suggests it again. Other parts keep their exact original text.
+function markNotOnWhatsApp(field, waDigits) {
+    if (!field || !waDigits) return field || '';
+    return field.split('/').map(part => {
+        const number = part.trim() && parsePhoneNumber(part);
+        return number && number.whatsapp === waDigits ? part.replace(part.trim(), '-' + part.trim()) : part;
+    }).join('/');
+}
+
+// Does any number in the field contain these digits — as typed locally or in
+// international form ("61234567" and "50761234567" both find "+507 6123-4567")?
+function phoneFieldMatches(field, queryDigits) {
+    return parsePhoneField(field).some(n =>
+        n.digits.includes(queryDigits) || (n.e164 && n.e164.slice(1).includes(queryDigits)));
+}
+
+module.exports = {
+    parsePhoneNumber,
+    parsePhoneField,
+    contactNumbers,
+    listingPhoneNumbers,
+    whatsappCandidate,
+    markNotOnWhatsApp,
+    phoneFieldMatches
+};
@@ -21,6 +21,8 @@ $t = [
     'search_ph'    => $is_en ? 'Search by name, location, type...' : 'Buscar por nombre, ubicación, tipo...',
     'search_btn'   => $is_en ? 'Search' : 'Buscar',
     'clear_btn'    => $is_en ? '✕ Clear' : '✕ Limpiar',
+    'map_btn'      => $is_en ? '🗺️ Map' : '🗺️ Mapa',
+    'near_me_btn'  => $is_en ? '📍 Near me' : '📍 Cerca de mí',
     'province_lbl' => $is_en ? 'Province' : 'Provincia',
     'province_all' => $is_en ? 'All Provinces' : 'Todas las Provincias',
     'type_lbl'     => $is_en ? 'Type' : 'Tipo',
@@ -91,7 +93,17 @@ $ssr_listings = ssr_featured_listings();
 
         /* ── Search ── */
         .search-section { background: white; padding: 0.6rem; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.08); margin-bottom: 0.6rem; }
-        .search-box { display: flex; gap: 6px; margin-bottom: 0.5rem; flex-wrap: nowrap; align-items: center; }
+        .search-box { display: flex; gap: 6px; margin-bottom: 0.5rem; flex-wrap: nowrap; align-items: center; position: relative; }
+        .suggest-list { display:none; position:absolute; top:calc(100% + 2px); left:0; right:0; background:white; border:2px solid #005ca9; border-radius:8px; max-height:320px; overflow-y:auto; z-index:210; box-shadow:0 4px 16px rgba(0,0,0,0.15); }
+        .suggest-list.open { display:block; }
+        .map-panel { display:none; margin-top:0.5rem; }
+        .map-panel.open { display:block; }
+        #results-map { height:380px; border-radius:8px; border:2px solid #e1e5e9; }
+        .map-bar { display:flex; justify-content:space-between; align-items:center; gap:8px; margin-top:4px; font-size:0.8rem; color:#666; }
+        .map-bar button { padding:4px 10px; background:#e1e5e9; color:#333; border:none; border-radius:6px; cursor:pointer; font-size:0.8rem; font-weight:600; }
+        .suggest-item { padding:7px 12px; cursor:pointer; font-size:0.88rem; display:flex; justify-content:space-between; gap:8px; }
+        .suggest-item:hover { background:#e8f0fe; }
+        .suggest-item small { color:#888; white-space:nowrap; }
         #searchInput { flex: 1; min-width: 0; padding: 7px 10px; border: 2px solid #e1e5e9; border-radius: 8px; font-size: 14px; transition: border-color 0.3s; font-family: inherit; }
         #searchInput:focus { outline: none; border-color: #005ca9; }
         #searchButton { flex-shrink: 0; padding: 7px 12px; background: #005ca9; color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 13px; font-weight: 600; transition: background 0.3s; white-space: nowrap; }
@@ -292,7 +304,9 @@ $ssr_listings = ssr_featured_listings();
         <div class="search-box">
             <input type="text" id="searchInput" style="flex:1;min-width:60px;width:0;" placeholder="<?= $t['search_ph'] ?>">
             <button id="searchButton"><?= $t['search_btn'] ?></button>
+            <div class="suggest-list" id="suggest-list"></div>
             <button id="clearButton" style="flex-shrink:0;padding:7px 8px;background:#e1e5e9;color:#555;border:none;border-radius:8px;cursor:pointer;font-size:13px;font-weight:600;white-space:nowrap;" onclick="clearSearch()"><?= $t['clear_btn'] ?></button>
+            <button id="mapButton" style="flex-shrink:0;padding:7px 8px;background:#e1e5e9;color:#555;border:none;border-radius:8px;cursor:pointer;font-size:13px;font-weight:600;white-space:nowrap;" onclick="toggleMap()"><?= $t['map_btn'] ?></button>
         </div>
         <div class="filters">
             <div class="filter-group">
@@ -315,6 +329,10 @@ $ssr_listings = ssr_featured_listings();
             </div>
         </div>
         <div id="keyword-active-tags" style="display:flex;flex-wrap:wrap;gap:5px;margin-top:5px;"></div>
+        <div class="map-panel" id="map-panel">
+            <div id="results-map"></div>
+            <div class="map-bar"><span id="map-status"></span><button type="button" onclick="mapNearMe()"><?= $t['near_me_btn'] ?></button></div>
+        </div>
     </section>
 
     <section class="results-section" id="resultsContainer">
@@ -378,7 +396,7 @@ function restoreOrDefault() {
                 if (params.province) provinceFilter.value  = params.province;
                 if (params.type)     typeFilter.value      = params.type;
                 const savedScrollY = params.scrollY || 0;
-                performSearch().then(() => {
+                performSearch(params.loaded || 0).then(() => {
                     // Restore exact scroll position
                     setTimeout(() => window.scrollTo({ top: savedScrollY, behavior: 'instant' }), 50);
                 });
@@ -412,10 +430,9 @@ async function showDefaultView() {
 
         featured.forEach(rental => {
             const active  = isMemberActive(rental);
-            const phone   = active ? (rental.phone_member || rental.phone) : rental.phone;
             const email   = active ? (rental.email_member || rental.email) : rental.email;
             const address = active ? (rental.address || '') : '';
-            const ph      = getPhoneNumbers(phone);
+            const ph      = getPhoneNumbers(rental, active);
             const mapsQuery = [rental.name, (active ? rental.address : null), rental.province, 'Panama'].filter(Boolean).join(' - ');
             const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(mapsQuery)}`;
             const photos  = Array.isArray(rental.photos) ? rental.photos : [];
@@ -501,7 +518,8 @@ async function loadFilters() {
         const [pRes, tRes] = await Promise.all([fetch(`${API_BASE_URL}/api/provinces`), fetch(`${API_BASE_URL}/api/types`)]);
         const provinces = await pRes.json(); const types = await tRes.json();
         provinces.forEach(({ province, count }) => {
-            const o = document.createElement('option'); o.value = province; o.textContent = `${province} (${count})`; provinceFilter.appendChild(o);
+            const o = document.createElement('option'); o.value = province; o.textContent = `${province} (${count})`;
+            o.dataset.label = province; o.dataset.total = count; provinceFilter.appendChild(o);
         });
         const TYPE_LABELS_EN = {
             'Aparta-Hotel':        'Aparthotel',
@@ -518,15 +536,24 @@ async function loadFilters() {
         types.forEach(type => {
             const o = document.createElement('option');
             o.value = type; // always the real Spanish value — search/filtering logic never changes
-            o.textContent = (LANG === 'en' && TYPE_LABELS_EN[type]) ? TYPE_LABELS_EN[type] : type;
+            o.textContent = o.dataset.label = (LANG === 'en' && TYPE_LABELS_EN[type]) ? TYPE_LABELS_EN[type] : type;
             typeFilter.appendChild(o);
         });
     } catch {}
 }
 
-async function performSearch() { // returns promise for .then() chaining
+// Results come a page at a time (/api/rentals limit/offset); a sentinel after
+// the last card fetches the next page as it scrolls into view
+const RESULTS_PAGE_SIZE = 50;
+let resultsPager = null; // { params, nextOffset, loading } for the search on screen
+const resultsObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver(entries => { if (entries.some(e => e.isIntersecting)) loadMoreResults(); }, { rootMargin: '600px' })
+    : null;
+
+async function performSearch(minResults = 0) { // returns promise for .then() chaining; minResults re-loads that many when restoring a search
+    resultsPager = null;
     const searchTerm = searchInput.value; const province = provinceFilter.value; const type = typeFilter.value;
-    if (!searchTerm && !province && !type && selectedKeywords.size === 0) { showDefaultView(); updateSelectedCount(null); return; }
+    if (!searchTerm && !province && !type && selectedKeywords.size === 0) { showDefaultView(); updateSelectedCount(null); applyFacetCounts(null); return; }
     // Special filters (= prefix)
     if (searchTerm.startsWith('=')) {
         const cmd = searchTerm.toLowerCase().trim();
@@ -538,7 +565,7 @@ async function performSearch() { // returns promise for .then() chaining
             else if (cmd === '=apatel')    filtered = allRentals.filter(r => r.apatel_member);
             else if (cmd === '=member')    filtered = allRentals.filter(r => isMemberActive(r));
             else if (cmd === '=trial')     filtered = allRentals.filter(r => r.is_trial && isMemberActive(r));
-            else if (cmd === '=no-phone')  filtered = allRentals.filter(r => !r.phone || r.phone.replace(/[^\d]/g,'').length < 7);
+            else if (cmd === '=no-phone')  filtered = allRentals.filter(r => !r.phone_numbers?.atp?.call);
             else                           filtered = [];
             if (!filtered.length) {
                 resultsContainer.innerHTML = '<div class="no-results"><p>No se encontraron hospedajes con ese filtro.</p></div>';
@@ -551,69 +578,87 @@ async function performSearch() { // returns promise for .then() chaining
     }
     // End special filters
 
-    const params = new URLSearchParams();
-    if (searchTerm) params.append('search', searchTerm);
-    selectedKeywords.forEach(kw => params.append('keyword', kw));
-    if (province)   params.append('province', province);
-    if (type)       params.append('type', type);
+    const params = searchParams();
+    refreshMap();
     try {
         resultsContainer.innerHTML = LANG === 'en' ? '<div class="loading">Searching...</div>' : '<div class="loading">Buscando...</div>';
-        const rentals = await (await fetch(`${API_BASE_URL}/api/rentals?${params}`)).json();
-        updateSelectedCount(rentals.length); displayResults(rentals);
+        const firstPage = new URLSearchParams(params);
+        firstPage.set('limit', Math.min(Math.max(RESULTS_PAGE_SIZE, minResults), 200));
+        firstPage.set('facets', '1');
+        const page = await (await fetch(`${API_BASE_URL}/api/rentals?${firstPage}`)).json();
+        applyFacetCounts(page.facets);
+        params.set('limit', RESULTS_PAGE_SIZE);
+        resultsPager = { params, nextOffset: page.next_offset, loading: false };
+        updateSelectedCount(page.total); displayResults(page.items);
+        updateResultsSentinel();
     } catch { resultsContainer.innerHTML = '<div class="no-results"><p>Error al buscar. Intente de nuevo.</p></div>'; }
 }
 
-function getPhoneNumbers(phoneStr) {
-    if (!phoneStr) return { display: '', call: null, whatsapp: null };
-      // A number prefixed with '-' has been confirmed NOT on WhatsApp (set from
-      // the admin panel) — strip the marker for display and exclude it entirely
-      // from call/WhatsApp candidate selection below.
-      const parts = phoneStr.split('/').map(p => p.trim()).filter(Boolean);
-      const display = phoneStr.split('/').map(p => p.trim().replace(/^-/, '')).join(' / ');
-
-    // Build a full international number (no leading +) for tel:/wa.me links.
-    // Length is the reliable signal here (not the leading digit — Panama's own
-    // local numbers can start with 3, so "starts with 3" isn't a safe US/Canada
-    // test on its own):
-    //   - already has '+'          → treat as fully international, use as-is
-    //   - 11 digits starting with 1 → US/Canada with country code, use as-is
-    //   - 10 digits                 → US/Canada missing the leading 1, prepend '1'
-    //   - 7-8 digits                → Panama local, prepend '507'
-    //   - anything else             → ambiguous; use as-is rather than guess wrong
-    const toInternational = raw => {
-        const hasPlus = raw.trim().startsWith('+');
-        const digits  = raw.replace(/\D/g,'');
-        if (!digits) return null;
-        if (hasPlus) return digits;
-        if (digits.length === 11 && digits.startsWith('1')) return digits;
-        if (digits.length === 10) return '1' + digits;
-        if (digits.length <= 8) return '507' + digits;
-        return digits; // ambiguous length — don't force a wrong prefix
-    };
-
-    const candidates = parts.filter(p => !p.startsWith('-') && p.replace(/\D/g,'').length >= 7);
-    const mobileLocal = candidates.filter(p => {
-        const d = p.replace(/\D/g,'');
-        return !p.trim().startsWith('+') && d.length === 8 && d.startsWith('6');
+// Facet counts (/api/rentals?facets=1) on the filter options, so "Chiriquí (42)"
+// narrows as filters combine; null puts back the directory-wide counts
+function applyFacetCounts(facets) {
+    const countsOf = name => new Map((facets?.[name] || []).map(f => [f.value, f.count]));
+    const provinces = countsOf('province'), types = countsOf('type'), keywords = countsOf('keyword');
+    provinceFilter.querySelectorAll('option').forEach(o => {
+        if (o.value) o.textContent = `${o.dataset.label} (${facets ? provinces.get(o.value) || 0 : o.dataset.total})`;
     });
-    const foreignLike = candidates.filter(p => {
-        const d = p.replace(/\D/g,'');
-        return p.trim().startsWith('+') || d.length === 10 || (d.length === 11 && d.startsWith('1'));
+    typeFilter.querySelectorAll('option').forEach(o => {
+        if (o.value) o.textContent = facets ? `${o.dataset.label} (${types.get(o.value) || 0})` : o.dataset.label;
     });
-    const fixedLocal = candidates.filter(p =>
-        !mobileLocal.includes(p) && !foreignLike.includes(p) && p.replace(/\D/g,'').length <= 8
-    );
-
-    const callSource     = fixedLocal[0] || mobileLocal[0] || foreignLike[0] || candidates[0] || null;
-    // WhatsApp: prefer a local mobile number, but a foreign (US/Canada or +prefixed)
-    // number works fine on WhatsApp too — owners want tourists to reach them either way
-    const whatsappSource = mobileLocal[0] || foreignLike[0] || null;
-
-    return {
-        display,
-        call:     callSource     ? toInternational(callSource)     : null,
-        whatsapp: whatsappSource ? toInternational(whatsappSource) : null
-    };
+    document.querySelectorAll('#kw-dropdown-list .kw-option').forEach(o => {
+        o.textContent = facets ? `${o.dataset.label} (${keywords.get(o.dataset.slug) || 0})` : o.dataset.label;
+    });
+}
+
+// The search box and filters as /api/rentals parameters
+function searchParams() {
+    const params = new URLSearchParams();
+    const searchTerm = searchInput.value;
+    if (searchTerm && !searchTerm.startsWith('=')) params.append('search', searchTerm);
+    selectedKeywords.forEach(kw => params.append('keyword', kw));
+    if (provinceFilter.value) params.append('province', provinceFilter.value);
+    if (typeFilter.value)     params.append('type', typeFilter.value);
+    return params;
+}
+
+async function loadMoreResults() {
+    const pager = resultsPager;
+    if (!pager || pager.nextOffset == null || pager.loading) return;
+    pager.loading = true;
+    const params = new URLSearchParams(pager.params);
+    params.set('offset', pager.nextOffset);
+    try {
+        const page = await (await fetch(`${API_BASE_URL}/api/rentals?${params}`)).json();
+        if (resultsPager !== pager) return; // a newer search replaced this one
+        appendResults(page.items);
+        pager.nextOffset = page.next_offset;
+    } catch {
+        // leave nextOffset as is — the sentinel (or its button) retries
+    } finally {
+        pager.loading = false;
+        if (resultsPager === pager) updateResultsSentinel();
+    }
+}
+
+// Without IntersectionObserver the sentinel is a plain "show more" button
+function updateResultsSentinel() {
+    document.getElementById('results-sentinel')?.remove();
+    if (!resultsPager || resultsPager.nextOffset == null) return;
+    const sentinel = document.createElement('div');
+    sentinel.id = 'results-sentinel';
+    sentinel.className = 'loading';
+    sentinel.innerHTML = resultsObserver
+        ? (LANG === 'en' ? 'Loading more...' : 'Cargando más...')
+        : `<button class="contact-button" onclick="loadMoreResults()">${LANG === 'en' ? 'Show more' : 'Ver más'}</button>`;
+    resultsContainer.appendChild(sentinel);
+    if (resultsObserver) { resultsObserver.disconnect(); resultsObserver.observe(sentinel); }
+}
+
+// Phone fields come pre-parsed from the API (phone.js) as { display, call,
+// whatsapp }; an active member's own numbers replace the ATP ones
+function getPhoneNumbers(rental, active) {
+    const numbers = rental.phone_numbers || {};
+    return (active && numbers.member) || numbers.atp || { display: '', call: null, whatsapp: null };
 }
 
 function isMemberActive(rental) {
@@ -625,27 +670,17 @@ function isMemberActive(rental) {
 function displayResults(rentals) {
     resultsContainer.innerHTML = '';
     if (!rentals.length) { resultsContainer.innerHTML = `<div class="no-results"><p>${LANG === 'en' ? 'No accommodations found. Try another search.' : 'No se encontraron hospedajes. Intente otra búsqueda.'}</p></div>`; return; }
-    // Sort: 1=paid ATP, 2=paid MiCI, 3=trial, 4=non-members — alphabetical within each
-    if (!document.getElementById('searchInput').value.trim()) {
-      rentals.sort((a, b) => {
-          const rank = r => {
-              const active = r.is_member && r.membership_paid_until && new Date(r.membership_paid_until) >= new Date();
-              if (!active) return 4;
-              if (r.is_trial) return 3;
-              if (r.registry_source === 'mici') return 2;
-              return 1;
-          };
-          const ra = rank(a), rb = rank(b);
-          if (ra !== rb) return ra - rb;
-          return (a.name || '').localeCompare(b.name || '');
-      });
-    }
+    appendResults(rentals);
+}
+
+// Cards in the order the API sent them — relevance while searching, otherwise
+// its `featured` order (paid ATP, paid MiCI, trial, non-members)
+function appendResults(rentals) {
       rentals.forEach(rental => {
           const active  = isMemberActive(rental);
-          const phone   = active ? (rental.phone_member || rental.phone) : rental.phone;
           const email   = active ? (rental.email_member || rental.email) : rental.email;
           const address = active ? (rental.address || '') : '';
-          const ph      = getPhoneNumbers(phone);
+          const ph      = getPhoneNumbers(rental, active);
           const mapsQuery = [rental.name, (active ? rental.address : null), rental.province, 'Panama'].filter(Boolean).join(' - ');
           const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(mapsQuery)}`;
           const photos  = Array.isArray(rental.photos) ? rental.photos : [];
@@ -709,7 +744,7 @@ function updateSelectedCount(count) {
 }
 
 searchButton.addEventListener('click', () => performSearch().then(scrollToResults));
-searchInput.addEventListener('keypress', e => { if (e.key === 'Enter') performSearch().then(scrollToResults); });
+searchInput.addEventListener('keypress', e => { if (e.key === 'Enter') { closeSuggestions(); performSearch().then(scrollToResults); } });
 provinceFilter.addEventListener('change', () => performSearch().then(scrollToResults));
 typeFilter.addEventListener('change', () => performSearch().then(scrollToResults));
 function clearSearch() {
@@ -722,6 +757,8 @@ function clearSearch() {
     document.getElementById('keyword-active-tags').innerHTML = '';
     showDefaultView();
     updateSelectedCount(null);
+    applyFacetCounts(null);
+    refreshMap();
 }
 
 
@@ -731,7 +768,8 @@ function saveSearchState() {
         search:   searchInput?.value || '',
         province: provinceFilter?.value || '',
         type:     typeFilter?.value || '',
-        scrollY:  window.scrollY
+        scrollY:  window.scrollY,
+        loaded:   resultsContainer.querySelectorAll('.result-card').length
     };
     sessionStorage.setItem('tps_search_state', JSON.stringify(params));
 }
@@ -828,8 +866,142 @@ function updateKwTags() {
     });
 }
 
+// ── Map of results (/api/rentals?bbox=) ──────────────────────────────────────
+// Leaflet loads the first time the map opens. Markers are the listings the
+// current filters find inside the visible area; listings placed from the
+// gazetteer share their town's point, so each point lists everyone on it.
+const MAP_MAX_LISTINGS = 200;
+let resultsMap = null, mapMarkers = null, mapTimer = null, mapSeq = 0;
+
+function loadLeaflet() {
+    if (window.L) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const css = document.createElement('link');
+        css.rel = 'stylesheet'; css.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+        document.head.appendChild(css);
+        const js = document.createElement('script');
+        js.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
+        js.onload = resolve; js.onerror = reject;
+        document.head.appendChild(js);
+    });
+}
+
+async function toggleMap() {
+    const panel = document.getElementById('map-panel');
+    panel.classList.toggle('open');
+    if (!panel.classList.contains('open')) return;
+    try { await loadLeaflet(); }
+    catch { document.getElementById('map-status').textContent = LANG === 'en' ? 'The map could not load.' : 'No se pudo cargar el mapa.'; return; }
+    if (!resultsMap) {
+        resultsMap = L.map('results-map').setView([8.6, -80.1], 7);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 18, attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        }).addTo(resultsMap);
+        mapMarkers = L.layerGroup().addTo(resultsMap);
+        resultsMap.on('moveend', () => { clearTimeout(mapTimer); mapTimer = setTimeout(refreshMap, 250); });
+    } else {
+        resultsMap.invalidateSize();
+    }
+    refreshMap();
+}
+
+async function refreshMap() {
+    if (!resultsMap || !document.getElementById('map-panel').classList.contains('open')) return;
+    const params = searchParams();
+    params.set('bbox', resultsMap.getBounds().toBBoxString());
+    params.set('limit', MAP_MAX_LISTINGS);
+    params.set('fields', 'name,slug,rental_type,latitude,longitude');
+    const seq = ++mapSeq;
+    try {
+        const page = await (await fetch(`${API_BASE_URL}/api/rentals?${params}`)).json();
+        if (seq !== mapSeq) return;
+        const points = new Map();
+        page.items.forEach(r => {
+            const key = `${r.latitude},${r.longitude}`;
+            if (!points.has(key)) points.set(key, []);
+            points.get(key).push(r);
+        });
+        mapMarkers.clearLayers();
+        points.forEach(listings => {
+            const rows = listings.slice(0, 10).map(r => {
+                const href = r.slug ? `listing.html?slug=${r.slug}&lang=${LANG}` : `listing.html?id=${r.id}&lang=${LANG}`;
+                return `<a href="${href}" onclick="saveSearchState()">${r.name}</a> <small>${r.rental_type || ''}</small>`;
+            });
+            if (listings.length > 10) rows.push(`<small>+${listings.length - 10}</small>`);
+            L.marker([listings[0].latitude, listings[0].longitude]).bindPopup(rows.join('<br>')).addTo(mapMarkers);
+        });
+        document.getElementById('map-status').textContent = page.total > page.items.length
+            ? (LANG === 'en' ? `${page.items.length} of ${page.total} here — zoom in to see all` : `${page.items.length} de ${page.total} aquí — acerque para ver todos`)
+            : (LANG === 'en' ? `${page.total} on the map here` : `${page.total} en el mapa aquí`);
+    } catch {
+        document.getElementById('map-status').textContent = LANG === 'en' ? 'Could not load the map results.' : 'No se pudieron cargar los resultados del mapa.';
+    }
+}
+
+function mapNearMe() {
+    if (!navigator.geolocation || !resultsMap) return;
+    navigator.geolocation.getCurrentPosition(pos => resultsMap.setView([pos.coords.latitude, pos.coords.longitude], 12));
+}
+
+// ── Search-box completions (/api/rentals/suggest) ────────────────────────────
+// Names with a single listing open it; provinces and keywords set the filter
+let suggestTimer = null, suggestSeq = 0, currentSuggestions = [];
+searchInput.addEventListener('input', () => { clearTimeout(suggestTimer); suggestTimer = setTimeout(loadSuggestions, 150); });
+searchInput.addEventListener('keydown', e => { if (e.key === 'Escape') closeSuggestions(); });
+
+function closeSuggestions() {
+    suggestSeq++; // drop any answer still on its way
+    document.getElementById('suggest-list').classList.remove('open');
+}
+
+async function loadSuggestions() {
+    const q = searchInput.value.trim();
+    if (q.length < 2 || q.startsWith('=') || /^[#\d]/.test(q)) { closeSuggestions(); return; }
+    const seq = ++suggestSeq;
+    try {
+        const data = await (await fetch(`${API_BASE_URL}/api/rentals/suggest?q=${encodeURIComponent(q)}&lang=${LANG}`)).json();
+        if (seq !== suggestSeq) return;
+        currentSuggestions = data.suggestions || [];
+        if (data.did_you_mean) currentSuggestions.push({ type: 'correction', text: data.did_you_mean });
+        const typeLabels = LANG === 'en'
+            ? { name: 'Listing', province: 'Province', keyword: 'Feature' }
+            : { name: 'Hospedaje', province: 'Provincia', keyword: 'Característica' };
+        const list = document.getElementById('suggest-list');
+        list.innerHTML = currentSuggestions.map((sg, i) => {
+            const label = sg.type === 'correction'
+                ? `${LANG === 'en' ? 'Did you mean' : '¿Quisiste decir'} <strong>${sg.text}</strong>?`
+                : sg.text;
+            const meta = sg.type === 'correction' ? '' : `<small>${typeLabels[sg.type]}${sg.count > 1 ? ' · ' + sg.count : ''}</small>`;
+            return `<div class="suggest-item" onclick="pickSuggestion(${i})"><span>${label}</span>${meta}</div>`;
+        }).join('');
+        list.classList.toggle('open', currentSuggestions.length > 0);
+    } catch { closeSuggestions(); }
+}
+
+function pickSuggestion(i) {
+    const sg = currentSuggestions[i];
+    closeSuggestions();
+    if (!sg) return;
+    if (sg.type === 'name' && sg.id) {
+        window.location.href = sg.slug ? `listing.html?slug=${sg.slug}&lang=${LANG}` : `listing.html?id=${sg.id}&lang=${LANG}`;
+        return;
+    }
+    if (sg.type === 'province') {
+        searchInput.value = '';
+        provinceFilter.value = sg.value;
+    } else if (sg.type === 'keyword') {
+        searchInput.value = '';
+        const option = document.querySelector(`#kw-dropdown-list .kw-option[data-slug="${sg.value}"]`);
+        if (option && !selectedKeywords.has(sg.value)) return toggleKwOption(option, sg.value);
+    } else {
+        searchInput.value = sg.text;
+    }
+    performSearch().then(scrollToResults);
+}
+
 // Close dropdown when clicking outside
 document.addEventListener('click', function(e) {
+    if (!e.target.closest('.search-box')) closeSuggestions();
     if (!e.target.closest('#kw-dropdown-wrap')) {
         const list = document.getElementById('kw-dropdown-list');
         const btn  = document.getElementById('kw-dropdown-btn');
@@ -49,7 +49,7 @@ function supabase_get($path) {
     return is_array($data) && isset($data[0]) ? $data[0] : null;
 }
 
-$select = 'id,name,phone,email,province,rental_type,address,description_en,description_es,photos,website_url,booking_url,is_member,membership_paid_until,phone_member,email_member,custom_links,slug,registry_source,apatel_member,listing_keywords';
+$select = 'id,name,phone,email,province,rental_type,address,description_en,description_es,photos,website_url,booking_url,is_member,membership_paid_until,phone_member,email_member,custom_links,slug,registry_source,apatel_member,listing_keywords,whatsapp';
 
 if ($slug) {
     $listing = supabase_get('listings?select=' . $select . '&slug=eq.' . urlencode($slug) . '&limit=1');
@@ -141,53 +141,67 @@ $mici_label  = $listing['registry_source'] === 'mici' ? '✅ MiCI' : '✅ ATP';
 $apatel      = !empty($listing['apatel_member']);
 
 // ── Phone helpers ─────────────────────────────────────────────────────────────
-// A number prefixed with '-' has been confirmed NOT on WhatsApp (set from the
-// admin panel) — excluded entirely from call/WhatsApp candidate selection.
-// Matches the logic in index.php's getPhoneNumbers() / listing.html.
-function phone_parts($phone) {
-    $raw = explode('/', $phone ?? '');
-    return array_values(array_filter(array_map('trim', $raw), function($p) { return $p !== ''; }));
+// PHP copy of phone.js (the server's phone model) — keep the rules in step.
+// Each "/"-separated part becomes a typed number; a leading '-' means confirmed
+// NOT on WhatsApp, a trailing '-' is a fragment cut off in the ATP PDF.
+function phone_classify($digits, $has_plus) {
+    $panama = function($national) {
+        if (strlen($national) === 8 && $national[0] === '6') return ['mobile', '507' . $national];
+        if (strlen($national) === 7) return ['landline', '507' . $national];
+        return ['unknown', null];
+    };
+    if ($has_plus) {
+        if (strpos($digits, '507') === 0) return $panama(substr($digits, 3));
+        return strlen($digits) >= 8 && strlen($digits) <= 15 ? ['foreign', $digits] : ['unknown', null];
+    }
+    if (strlen($digits) === 11 && strpos($digits, '507') === 0) return $panama(substr($digits, 3));
+    if (strlen($digits) === 11 && $digits[0] === '1') return ['foreign', $digits];
+    if (strlen($digits) === 10) return ['foreign', '1' . $digits];
+    return $panama($digits);
 }
 
-function to_international($raw) {
-    $has_plus = strpos(trim($raw), '+') === 0;
-    $digits   = preg_replace('/\D/', '', $raw);
-    if ($digits === '') return null;
-    if ($has_plus) return $digits;
-    if (strlen($digits) === 11 && $digits[0] === '1') return $digits;
-    if (strlen($digits) === 10) return '1' . $digits;
-    if (strlen($digits) <= 8) return '507' . $digits;
-    return $digits; // ambiguous length — use as-is rather than guess wrong
+function parse_phone_field($field, $confirmed_whatsapp = null) {
+    $numbers = [];
+    foreach (explode('/', $field ?? '') as $part) {
+        $raw = trim($part);
+        if ($raw === '') continue;
+        $not_on_wa = strpos($raw, '-') === 0;
+        $display   = $not_on_wa ? trim(substr($raw, 1)) : $raw;
+        $digits    = preg_replace('/\D/', '', $display);
+        [$type, $intl] = phone_classify($digits, strpos($display, '+') === 0);
+        $invalid   = $type === 'unknown' || preg_match('/[a-z]/i', $display) || preg_match('/-\s*$/', $display);
+        $whatsapp  = !$invalid && !$not_on_wa && ($type === 'mobile' || $type === 'foreign') ? $intl : null;
+        $numbers[] = [
+            'display'            => $display,
+            'type'               => $type,
+            'intl'               => $invalid ? null : $intl,
+            'whatsapp'           => $whatsapp,
+            'not_on_whatsapp'    => $not_on_wa,
+            'confirmed_whatsapp' => $whatsapp !== null && $whatsapp === $confirmed_whatsapp,
+            'invalid'            => $invalid,
+        ];
+    }
+    return $numbers;
 }
 
-function get_phone_numbers($phone) {
-    $parts = phone_parts($phone);
-    $candidates = array_values(array_filter($parts, function($p) {
-        return strpos($p, '-') !== 0 && strlen(preg_replace('/\D/', '', $p)) >= 7;
-    }));
-    $mobile_local = array_values(array_filter($candidates, function($p) {
-        $d = preg_replace('/\D/', '', $p);
-        return strpos(trim($p), '+') !== 0 && strlen($d) === 8 && $d[0] === '6';
-    }));
-    $foreign_like = array_values(array_filter($candidates, function($p) {
-        $d = preg_replace('/\D/', '', $p);
-        return strpos(trim($p), '+') === 0 || strlen($d) === 10 || (strlen($d) === 11 && $d[0] === '1');
-    }));
-    $fixed_local = array_values(array_filter($candidates, function($p) use ($mobile_local, $foreign_like) {
-        return !in_array($p, $mobile_local) && !in_array($p, $foreign_like)
-            && strlen(preg_replace('/\D/', '', $p)) <= 8;
-    }));
-
-    $call_source     = $fixed_local[0] ?? $mobile_local[0] ?? $foreign_like[0] ?? $candidates[0] ?? null;
-    $whatsapp_source = $mobile_local[0] ?? $foreign_like[0] ?? null;
-
+// Same choice as contactNumbers() in phone.js: a landline for "Call" when there
+// is one, the confirmed WhatsApp number (else a mobile, else any) for wa.me
+function contact_numbers($numbers) {
+    $usable   = array_values(array_filter($numbers, function($n) { return !$n['invalid'] && !$n['not_on_whatsapp']; }));
+    $first_of = function($list, $test) { foreach ($list as $n) if ($test($n)) return $n; return null; };
+    $of_type  = function($type) { return function($n) use ($type) { return $n['type'] === $type; }; };
+    $call = $first_of($usable, $of_type('landline')) ?? $first_of($usable, $of_type('mobile')) ?? $first_of($usable, $of_type('foreign'));
+    $wa   = $first_of($numbers, function($n) { return $n['confirmed_whatsapp']; })
+        ?? $first_of($usable, function($n) { return $n['whatsapp'] && $n['type'] === 'mobile'; })
+        ?? $first_of($usable, function($n) { return (bool)$n['whatsapp']; });
     return [
-        'call'     => $call_source     ? to_international($call_source)     : null,
-        'whatsapp' => $whatsapp_source ? to_international($whatsapp_source) : null,
+        'display'  => implode(' / ', array_column($numbers, 'display')),
+        'call'     => $call ? $call['intl'] : null,
+        'whatsapp' => $wa ? $wa['whatsapp'] : null,
     ];
 }
 
-$phone_numbers = get_phone_numbers($phone);
+$phone_numbers = contact_numbers(parse_phone_field($phone, $listing['whatsapp'] ?? null));
 $phone_call    = $phone_numbers['call'];
 $phone_wa      = $phone_numbers['whatsapp'];
 $maps_url   = 'https://www.google.com/maps/search/?api=1&query=' . urlencode($name . ' ' . ($address ?: $province) . ' Panama');
@@ -328,11 +342,10 @@ $maps_url   = 'https://www.google.com/maps/search/?api=1&query=' . urlencode($na
         <div class="section-title"><?= $lang === 'es' ? 'Contacto' : 'Contact' ?></div>
         <div class="info-grid">
           <?php if ($phone): ?>
-          <?php $phone_display = implode(' / ', array_map(function($p) { return ltrim($p, '-'); }, phone_parts($phone))); ?>
           <div class="info-item">
               <span class="info-icon">📞</span>
               <div><div class="info-label"><?= $lang === 'es' ? 'Teléfono' : 'Phone' ?></div>
-              <div class="info-value"><?= h($phone_display) ?></div></div>
+              <div class="info-value"><?= h($phone_numbers['display']) ?></div></div>
           </div>
           <?php endif; ?>
             <?php if ($email): ?>
@@ -0,0 +1,283 @@
+// scripts/atp-golden.js
+// Offline golden-file check for the ATP PDF parser. Each archived report in
+// fixtures/atp-reports/<name>.pdf has an expected output in <name>.json; this
+// re-parses every PDF with the same parseAtpPdf() the server uses and prints
+// the rows that were added, lost or changed. Saved copies of the ATP
+// hoteleros page in fixtures/atp-pages get the same treatment for the
+// report-link extraction, and the cases in fixtures/atp-identity (listings, a
+// report's rows, the expected outcome) for which listing each row is.
+//
+//   node scripts/atp-golden.js check  [name ...]         compare, exit 1 on any diff
+//   node scripts/atp-golden.js update [name ...]         (re)write the expected JSON
+//   node scripts/atp-golden.js parse  <file.pdf>         dump one parse as JSON
+//   node scripts/atp-golden.js archive <version id> [name]
+//                                                        copy an archived report (atp-reports
+//                                                        bucket) in as a fixture — needs
+//                                                        SUPABASE_URL and SUPABASE_SERVICE_KEY
+//   node scripts/atp-golden.js check-pages  [name ...]   compare page extractions
+//   node scripts/atp-golden.js update-pages [name ...]   (re)write their expected JSON
+//   node scripts/atp-golden.js check-identity [name ...] run the matching/rename cases
+
+const fs = require('fs');
+const path = require('path');
+const { parseAtpPdf, diffRentalSets, pickAtpFields } = require('../atp-parser');
+const { extractPdfAndHeading, ATP_HOTELEROS_URL, diffAtpRentals } = require('../atp-ingest');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'atp-reports');
+const PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'atp-pages');
+const IDENTITY_DIR = path.join(__dirname, '..', 'fixtures', 'atp-identity');
+
+function listReports(names) {
+    if (names.length) return names.map(n => n.replace(/\.(pdf|json)$/i, ''));
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(f => f.toLowerCase().endsWith('.pdf'))
+        .map(f => f.slice(0, -4))
+        .sort();
+}
+
+function listPages(names) {
+    if (names.length) return names.map(n => n.replace(/\.(html|json)$/i, ''));
+    if (!fs.existsSync(PAGES_DIR)) return [];
+    return fs.readdirSync(PAGES_DIR)
+        .filter(f => f.toLowerCase().endsWith('.html'))
+        .map(f => f.slice(0, -5))
+        .sort();
+}
+
+function listIdentityCases(names) {
+    if (names.length) return names.map(n => n.replace(/\.json$/i, ''));
+    if (!fs.existsSync(IDENTITY_DIR)) return [];
+    return fs.readdirSync(IDENTITY_DIR)
+        .filter(f => f.toLowerCase().endsWith('.json'))
+        .map(f => f.slice(0, -5))
+        .sort();
+}
+
+// What an identity case pins down: which listings the report still has,
+// which rows are new (and the rename they may be), which wait for an admin,
+// and which listings dropped out
+function identityOutcome({ listings, aliases = [], rows, autoLinkThreshold = null }) {
+    const diff = diffAtpRentals(rows, listings, aliases, { autoLinkThreshold });
+    const ids = list => list.map(x => x.id).sort((a, b) => a - b);
+    return {
+        seen:      [...diff.seenIds].sort((a, b) => a - b),
+        inserts:   diff.toInsert.map(n => ({ name: n.name, possibleMatchId: n.possibleMatchId != null ? n.possibleMatchId : null, autoLink: !!n.autoLink })),
+        ambiguous: diff.ambiguous.map(a => ({ name: a.name, reason: a.reason, candidates: ids(a.candidates) })),
+        dropped:   ids([...diff.toDeactivateNonMembers, ...diff.toFlagMembers])
+    };
+}
+
+function extractPage(name) {
+    const htmlPath = path.join(PAGES_DIR, `${name}.html`);
+    if (!fs.existsSync(htmlPath)) throw new Error(`No such page: ${htmlPath}`);
+    const { pdfUrl, headingText } = extractPdfAndHeading(fs.readFileSync(htmlPath, 'utf8'), ATP_HOTELEROS_URL);
+    return { pdfUrl, headingText };
+}
+
+async function parseReport(name) {
+    const pdfPath = path.join(FIXTURES_DIR, `${name}.pdf`);
+    if (!fs.existsSync(pdfPath)) throw new Error(`No such report: ${pdfPath}`);
+    const { rentals, numPages } = await parseAtpPdf(fs.readFileSync(pdfPath));
+    return { numPages, rentals: rentals.map(pickAtpFields) };
+}
+
+function formatRental(r) {
+    return `${r.name} [${r.province}] ${r.rental_type} | ${r.email} | ${r.phone}`;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  COMMANDS
+// ═════════════════════════════════════════════════════════════════════════════
+async function check(names) {
+    const reports = listReports(names);
+    // Nothing to compare is a failure, not a pass — an emptied folder must not
+    // let a parser change through unchecked
+    if (!reports.length) {
+        console.log(`❌ No reports found in ${FIXTURES_DIR}`);
+        return 1;
+    }
+
+    let failed = 0;
+    for (const name of reports) {
+        const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+        if (!fs.existsSync(expectedPath)) {
+            console.log(`⚠️  ${name}: no expected output — run "update ${name}" first`);
+            failed++;
+            continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        let actual;
+        try {
+            actual = await parseReport(name);
+        } catch (err) {
+            console.log(`❌ ${name}: parse failed — ${err.message}`);
+            failed++;
+            continue;
+        }
+
+        const { added, lost, changed } = diffRentalSets(expected.rentals, actual.rentals);
+        const pagesDiffer = expected.numPages !== actual.numPages;
+        if (!added.length && !lost.length && !changed.length && !pagesDiffer) {
+            console.log(`✅ ${name}: ${actual.rentals.length} rentals, unchanged`);
+            continue;
+        }
+
+        failed++;
+        console.log(`❌ ${name}: ${expected.rentals.length} expected → ${actual.rentals.length} parsed ` +
+                    `(+${added.length} added, -${lost.length} lost, ~${changed.length} changed)`);
+        if (pagesDiffer) console.log(`   pages: ${expected.numPages} → ${actual.numPages}`);
+        added.forEach(r => console.log(`   + ${formatRental(r)}`));
+        lost.forEach(r => console.log(`   - ${formatRental(r)}`));
+        changed.forEach(({ before, after, fields }) => {
+            console.log(`   ~ ${before.name} [${before.province}]`);
+            fields.forEach(f => console.log(`       ${f}: ${JSON.stringify(before[f])} → ${JSON.stringify(after[f])}`));
+        });
+    }
+
+    console.log(`\n${reports.length - failed}/${reports.length} reports match`);
+    return failed ? 1 : 0;
+}
+
+async function update(names) {
+    const reports = listReports(names);
+    if (!reports.length) {
+        console.log(`❌ No reports found in ${FIXTURES_DIR}`);
+        return 1;
+    }
+    for (const name of reports) {
+        const { numPages, rentals } = await parseReport(name);
+        const out = { pdf: `${name}.pdf`, numPages, rentals };
+        fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.json`), JSON.stringify(out, null, 2) + '\n');
+        console.log(`💾 ${name}: ${rentals.length} rentals written`);
+    }
+    return 0;
+}
+
+async function parse(file) {
+    if (!file) throw new Error('Usage: atp-golden.js parse <file.pdf>');
+    const { rentals, numPages } = await parseAtpPdf(fs.readFileSync(file));
+    console.log(JSON.stringify({ numPages, rentals: rentals.map(pickAtpFields) }, null, 2));
+    return 0;
+}
+
+// The expected JSON is the parse stored when the report was fetched
+// (atp_report_versions.parsed_rentals), not a fresh one — so a parser change
+// since then shows up in the first check instead of being written in.
+async function archive(versionId, name) {
+    if (!versionId) throw new Error('Usage: atp-golden.js archive <version id> [name]');
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    const { supabaseAdmin: db } = require('../db');
+
+    const { data: version, error } = await db
+        .from('atp_report_versions')
+        .select('id, report_date, page_count, storage_path, parsed_rentals')
+        .eq('id', versionId)
+        .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!version) throw new Error(`No archived version ${versionId}`);
+    const { data: file, error: downloadError } = await db.storage.from('atp-reports').download(version.storage_path);
+    if (downloadError) throw new Error(`Download failed: ${downloadError.message}`);
+
+    name = name || version.report_date || `version-${version.id}`;
+    fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.pdf`), Buffer.from(await file.arrayBuffer()));
+    const out = { pdf: `${name}.pdf`, numPages: version.page_count, rentals: (version.parsed_rentals || []).map(pickAtpFields) };
+    fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.json`), JSON.stringify(out, null, 2) + '\n');
+    console.log(`💾 ${name}: version ${version.id}, ${out.rentals.length} rentals — review the JSON, then run "check ${name}"`);
+    return 0;
+}
+
+async function checkPages(names) {
+    const pages = listPages(names);
+    if (!pages.length) {
+        console.log(`❌ No pages found in ${PAGES_DIR}`);
+        return 1;
+    }
+
+    let failed = 0;
+    for (const name of pages) {
+        const expectedPath = path.join(PAGES_DIR, `${name}.json`);
+        if (!fs.existsSync(expectedPath)) {
+            console.log(`⚠️  ${name}: no expected output — run "update-pages ${name}" first`);
+            failed++;
+            continue;
+        }
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        const actual = extractPage(name);
+        const fields = ['pdfUrl', 'headingText'].filter(f => expected[f] !== actual[f]);
+        if (!fields.length) {
+            console.log(`✅ ${name}: ${actual.pdfUrl}`);
+            continue;
+        }
+        failed++;
+        console.log(`❌ ${name}:`);
+        fields.forEach(f => console.log(`       ${f}: ${JSON.stringify(expected[f])} → ${JSON.stringify(actual[f])}`));
+    }
+
+    console.log(`\n${pages.length - failed}/${pages.length} pages match`);
+    return failed ? 1 : 0;
+}
+
+async function updatePages(names) {
+    const pages = listPages(names);
+    if (!pages.length) {
+        console.log(`❌ No pages found in ${PAGES_DIR}`);
+        return 1;
+    }
+    for (const name of pages) {
+        const out = { page: `${name}.html`, ...extractPage(name) };
+        fs.writeFileSync(path.join(PAGES_DIR, `${name}.json`), JSON.stringify(out, null, 2) + '\n');
+        console.log(`💾 ${name}: ${out.pdfUrl}`);
+    }
+    return 0;
+}
+
+async function checkIdentity(names) {
+    const cases = listIdentityCases(names);
+    if (!cases.length) {
+        console.log(`❌ No cases found in ${IDENTITY_DIR}`);
+        return 1;
+    }
+
+    let failed = 0;
+    for (const name of cases) {
+        const casePath = path.join(IDENTITY_DIR, `${name}.json`);
+        if (!fs.existsSync(casePath)) throw new Error(`No such case: ${casePath}`);
+        const testCase = JSON.parse(fs.readFileSync(casePath, 'utf8'));
+        const actual = identityOutcome(testCase);
+        const fields = Object.keys(actual).filter(f => JSON.stringify(testCase.expected[f]) !== JSON.stringify(actual[f]));
+        if (!fields.length) {
+            console.log(`✅ ${name}: ${testCase.description}`);
+            continue;
+        }
+        failed++;
+        console.log(`❌ ${name}: ${testCase.description}`);
+        fields.forEach(f => console.log(`       ${f}: ${JSON.stringify(testCase.expected[f])} → ${JSON.stringify(actual[f])}`));
+    }
+
+    console.log(`\n${cases.length - failed}/${cases.length} identity cases match`);
+    return failed ? 1 : 0;
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+//  MAIN
+// ═════════════════════════════════════════════════════════════════════════════
+const COMMANDS = {
+    check, update, parse: args => parse(args[0]), archive: args => archive(args[0], args[1]),
+    'check-pages': checkPages, 'update-pages': updatePages,
+    'check-identity': checkIdentity
+};
+
+const [command = 'check', ...args] = process.argv.slice(2);
+if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}" — use check, update, parse, archive, check-pages, update-pages or check-identity`);
+    process.exit(2);
+}
+
+COMMANDS[command](args)
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('❌ Fatal error:', err.message);
+        process.exit(2);
+    });
@@ -0,0 +1,87 @@
+// scripts/geocode-listings.js
+// Places listings on the map offline: every listing without a member pin is
+// matched against the bundled gazetteer (panama_places.json, see geo.js) from
+// its address, or failing that its name. Nothing leaves this machine.
+//
+//   node scripts/geocode-listings.js               show what would change
+//   node scripts/geocode-listings.js --yes         write it
+//   node scripts/geocode-listings.js --redo --yes  also re-place listings placed
+//                                                  before (after editing the gazetteer)
+//
+// Needs SUPABASE_URL and SUPABASE_SERVICE_KEY.
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    process.exit(2);
+}
+
+const { supabaseAdmin: db } = require('../db');
+const { geocodeListing } = require('../geo');
+
+const MAX_ROWS_SHOWN = 25;
+
+async function loadListings() {
+    let all = [];
+    let from = 0;
+    const BATCH = 1000;
+    while (true) {
+        const { data, error } = await db
+            .from('listings')
+            .select('id, name, address, province, latitude, longitude, geo_source, geo_place')
+            .order('id')
+            .range(from, from + BATCH - 1);
+        if (error) throw error;
+        all = all.concat(data);
+        if (data.length < BATCH) break;
+        from += BATCH;
+    }
+    return all;
+}
+
+async function main(args) {
+    const redo = args.includes('--redo');
+    const listings = await loadListings();
+    const candidates = listings.filter(l => l.geo_source !== 'member' && (redo || l.latitude == null));
+
+    const changes = [];
+    const unplaced = {};
+    candidates.forEach(l => {
+        const place = geocodeListing(l);
+        if (!place) {
+            unplaced[l.province || '(no province)'] = (unplaced[l.province || '(no province)'] || 0) + 1;
+            return;
+        }
+        if (Number(l.latitude) === place.latitude && Number(l.longitude) === place.longitude && l.geo_place === place.geo_place) return;
+        changes.push({ listing: l, place });
+    });
+
+    console.log(`📍 ${listings.length} listings, ${listings.filter(l => l.geo_source === 'member').length} pinned by members, ${candidates.length} to place`);
+    console.log(`\n➕ Placed from the gazetteer (${changes.length})`);
+    changes.slice(0, MAX_ROWS_SHOWN).forEach(({ listing, place }) =>
+        console.log(`   ${listing.name} [${listing.province}] (ID: ${listing.id}) → ${place.geo_place}`));
+    if (changes.length > MAX_ROWS_SHOWN) console.log(`   … and ${changes.length - MAX_ROWS_SHOWN} more`);
+    console.log('\n❓ No known town in address or name');
+    Object.entries(unplaced).sort((a, b) => b[1] - a[1]).forEach(([province, n]) => console.log(`   ${province}: ${n}`));
+
+    if (!args.includes('--yes')) {
+        console.log('\nNothing written. Re-run with --yes to write these coordinates.');
+        return changes.length ? 1 : 0;
+    }
+
+    let written = 0;
+    for (const { listing, place } of changes) {
+        const { error } = await db.from('listings').update(place).eq('id', listing.id);
+        if (error) console.error(`Update failed for ${listing.id}:`, error.message);
+        else written++;
+    }
+    console.log(`\n✅ Placed ${written} listings`);
+    console.log('The server picks these up over realtime, or on POST /api/admin/refresh-cache.');
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('❌ FAILED:', err.message);
+        process.exit(1);
+    });
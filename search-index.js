@@ -0,0 +1,233 @@
+// search-index.js
+// Full-text search over listings — one inverted index for ATP and MiCI rows
+// alike, fed by listing-index.js so it changes as the listings do.
+//
+// Indexed fields, by weight:
+//   name 5 · listing_keywords 3 (slugs plus their es/en labels) · province 2
+//   address 2 · description_es / description_en 1 · email local part 1
+// Text is accent-folded and lightly stemmed — Spanish for everything but
+// description_en, which gets English — so "cabañas" finds "Cabaña" and
+// "beaches" finds "beach". Each query word then matches, best first:
+//   the exact stem · a stem within 1 edit (2 for long words) · the last word
+//   as a prefix of a stem, so results follow the visitor while they type.
+// Listings that match every query word are returned when there are any;
+// otherwise the ones matching most words, like the old 100/80/40 ladder did.
+
+const FIELDS = [
+    { name: 'name',             weight: 5, lang: 'es' },
+    { name: 'listing_keywords', weight: 3, lang: 'es' },
+    { name: 'province',         weight: 2, lang: 'es' },
+    { name: 'address',          weight: 2, lang: 'es' },
+    { name: 'description_es',   weight: 1, lang: 'es' },
+    { name: 'description_en',   weight: 1, lang: 'en' },
+    { name: 'email',            weight: 1, lang: 'es' }
+];
+
+const STOPWORDS = new Set([
+    'de', 'del', 'la', 'el', 'los', 'las', 'lo', 'y', 'e', 'o', 'u', 'en', 'a', 'al', 'con', 'por', 'para', 'un', 'una', 'su', 'sus', 'que', 'se',
+    'the', 'and', 'of', 'in', 'at', 'to', 'for', 'with', 'an', 'on', 'our', 'your', 'is', 'are'
+]);
+
+const EXACT = 1, TYPO = 0.6, PREFIX = 0.7;
+const PHRASE_BONUS = 2;     // the whole query appears as-is in the name
+const BM25_K1 = 1.2, BM25_B = 0.5;
+
+const fold = s => (s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const words = s => fold(s).split(/[^a-z0-9]+/).filter(w => w && !STOPWORDS.has(w));
+
+// ── Light stemmers: plurals and final vowels (es), plurals (en). Aggressive
+// stemming hurts names more than it helps descriptions, so this stops there.
+function stemEs(w) {
+    if (w.length <= 3 || /^\d+$/.test(w)) return w;
+    if (w.endsWith('ces')) w = w.slice(0, -3) + 'z';                          // luces → luz
+    else if (w.endsWith('es') && w.length > 4 && !/[aeiou]/.test(w[w.length - 3])) w = w.slice(0, -2);   // hoteles → hotel
+    else if (w.endsWith('s')) w = w.slice(0, -1);
+    if (w.length > 3 && /[aeo]$/.test(w)) w = w.slice(0, -1);                // casa/casas → cas
+    return w;
+}
+
+function stemEn(w) {
+    if (w.length <= 3 || /^\d+$/.test(w)) return w;
+    if (w.endsWith('ies') && w.length > 4) return w.slice(0, -3) + 'y';      // facilities → facility
+    if (/(ss|sh|ch|x)es$/.test(w)) return w.slice(0, -2);                    // beaches → beach
+    if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+    return w;
+}
+
+const STEMMERS = { es: stemEs, en: stemEn };
+
+// Damerau-Levenshtein (adjacent swaps count as one edit), giving up past `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+            cur.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+const maxEdits = term => term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+function createSearchIndex({ fields = FIELDS } = {}) {
+    const postings = new Map();   // stem → Map(id → weighted term frequency)
+    const docs = new Map();       // id → { length, name (folded), stems }
+    let keywordLabels = new Map();  // slug → "label_es label_en"
+    let vocabulary = null;        // sorted stems, rebuilt on the first search after a change
+    let totalLength = 0;
+    let source = null;            // the listing index being followed, if any
+
+    function fieldText(row, field) {
+        const value = row[field.name];
+        if (field.name === 'listing_keywords') {
+            return (Array.isArray(value) ? value : []).map(slug => `${slug.replace(/-/g, ' ')} ${keywordLabels.get(slug) || ''}`).join(' ');
+        }
+        if (field.name === 'email') {
+            // Only the mailbox name says anything about the place ("villamar@…")
+            return [row.email, row.email_member].map(e => (e || '').split('@')[0]).join(' ');
+        }
+        return value || '';
+    }
+
+    function remove(id) {
+        const doc = docs.get(id);
+        if (!doc) return;
+        doc.stems.forEach(stem => {
+            const list = postings.get(stem);
+            list.delete(id);
+            if (!list.size) { postings.delete(stem); vocabulary = null; }
+        });
+        totalLength -= doc.length;
+        docs.delete(id);
+    }
+
+    function add(row) {
+        remove(row.id);
+        const tf = new Map();
+        let length = 0;
+        fields.forEach(field => {
+            const stem = STEMMERS[field.lang];
+            words(fieldText(row, field)).forEach(w => {
+                const s = stem(w);
+                tf.set(s, (tf.get(s) || 0) + field.weight);
+                length += field.weight;
+            });
+        });
+        tf.forEach((weight, s) => {
+            if (!postings.has(s)) { postings.set(s, new Map()); vocabulary = null; }
+            postings.get(s).set(row.id, weight);
+        });
+        docs.set(row.id, { length, name: ` ${words(row.name).join(' ')} `, stems: [...tf.keys()] });
+        totalLength += length;
+    }
+
+    function rebuild(rows) {
+        postings.clear();
+        docs.clear();
+        totalLength = 0;
+        vocabulary = null;
+        rows.forEach(add);
+    }
+
+    // Keep in step with a listing index (listing-index.js). Returns the unsubscribe.
+    function follow(listingIndex) {
+        source = listingIndex;
+        rebuild(listingIndex.all());
+        return listingIndex.onChange(change => {
+            if (change.type === 'reload') return rebuild(listingIndex.all());
+            change.ids.forEach(id => {
+                const row = listingIndex.get(id);
+                if (row) add(row); else remove(Number(id));
+            });
+        });
+    }
+
+    // Keyword slugs are indexed with their labels, so "pool" finds "piscina".
+    // `keywords` is the keywords table: [{ slug, label_es, label_en }].
+    function setKeywordLabels(keywords) {
+        keywordLabels = new Map((keywords || []).map(k => [k.slug, `${k.label_es || ''} ${k.label_en || ''}`]));
+        if (source) rebuild(source.all());
+    }
+
+    // Stems a query word can stand for, each with how much a match counts
+    function expand(word, isLast) {
+        if (!vocabulary) vocabulary = [...postings.keys()].sort();
+        const matches = new Map();
+        const offer = (stem, factor) => { if (postings.has(stem) && !(matches.get(stem) >= factor)) matches.set(stem, factor); };
+        const stems = new Set([stemEs(word), stemEn(word)]);
+        stems.forEach(s => offer(s, EXACT));
+        stems.forEach(s => {
+            const max = maxEdits(s);
+            if (max) vocabulary.forEach(v => {
+                const d = editDistance(s, v, max);
+                if (d && d <= max) offer(v, TYPO / d);
+            });
+        });
+        if (isLast && word.length >= 2) {
+            // Binary search to the first stem ≥ word, then walk while it's a prefix
+            let lo = 0, hi = vocabulary.length;
+            while (lo < hi) { const mid = (lo + hi) >> 1; if (vocabulary[mid] < word) lo = mid + 1; else hi = mid; }
+            for (let i = lo; i < vocabulary.length && vocabulary[i].startsWith(word); i++) offer(vocabulary[i], PREFIX);
+        }
+        return matches;
+    }
+
+    // ── Search → [{ id, score, matched }], best first. `matched` is how many
+    // of the query words the listing matched.
+    function search(query, { prefix = true } = {}) {
+        const terms = words(query);
+        if (!terms.length || !docs.size) return [];
+        const avgLength = totalLength / docs.size;
+        const results = new Map();  // id → { score, matched }
+
+        terms.forEach((word, i) => {
+            const best = new Map();  // id → best score for this word
+            expand(word, prefix && i === terms.length - 1).forEach((factor, stem) => {
+                const list = postings.get(stem);
+                const idf = Math.log(1 + (docs.size - list.size + 0.5) / (list.size + 0.5));
+                list.forEach((tf, id) => {
+                    const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * docs.get(id).length / avgLength));
+                    const score = idf * norm * factor;
+                    if (!(best.get(id) >= score)) best.set(id, score);
+                });
+            });
+            best.forEach((score, id) => {
+                const r = results.get(id) || { score: 0, matched: 0 };
+                r.score += score;
+                r.matched++;
+                results.set(id, r);
+            });
+        });
+
+        const phrase = ` ${terms.join(' ')} `;
+        let list = [...results].map(([id, r]) => ({
+            id,
+            score: docs.get(id).name.includes(phrase) ? r.score * PHRASE_BONUS : r.score,
+            matched: r.matched
+        }));
+        if (list.some(r => r.matched === terms.length)) list = list.filter(r => r.matched === terms.length);
+        return list.sort((a, b) => b.matched - a.matched || b.score - a.score);
+    }
+
+    return {
+        add,
+        remove,
+        rebuild,
+        follow,
+        setKeywordLabels,
+        search,
+        get size() { return docs.size; }
+    };
+}
+
+module.exports = { createSearchIndex, fold, stemEs, stemEn, editDistance };
@@ -8,19 +8,23 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const axios = require('axios');
-// pdfjs-dist v5 is ESM-only — no CommonJS build exists, so it must be loaded
-// via dynamic import() even from this CommonJS file. Cached after first load
-// so every call to parsePDFWithCoordinates() doesn't re-import.
-let _pdfjsLib = null;
-async function getPdfjsLib() {
-    if (!_pdfjsLib) {
-        _pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
-    }
-    return _pdfjsLib;
-}
-const PDFJS_STANDARD_FONTS_URL = path.join(
-    path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts'
-) + '/';
+const { AtpLayoutError, diffRentalSets } = require('./atp-parser');  // pure PDF → rentals parser
+const atpIngest = require('./atp-ingest');  // ATP download → diff → apply pipeline, shared with scripts/update-listings.js
+const { listingPhoneNumbers, whatsappCandidate, markNotOnWhatsApp } = require('./phone');  // typed ATP/member phone numbers
+const { classifyEmail, isMailable, listingEmail, loadBouncedEmails, sendEmail } = require('./email');  // deliverability + bounce-aware sending
+const { createListingIndex } = require('./listing-index');  // in-memory listings kept current by realtime + write hooks
+const { createSearchIndex } = require('./search-index');    // full-text search over the listing index
+const { createSuggestIndex } = require('./suggest-index');  // search-box completions (trie) + "did you mean"
+const geo = require('./geo');  // listing coordinates: member pins, gazetteer placement, near/bbox maths
+const { facetCounts } = require('./listing-facets');  // /api/rentals filter counts
+const { createListingQuery, ListingQueryError, parsePage } = require('./listing-query');  // search + geo + facets + sort, shared with /api/v1
+const { createApiKeys, DEFAULT_RATE_LIMIT } = require('./api-keys');  // partner API keys: hashing, per-key rate limits, usage log
+const { createApiV1 } = require('./api-v1');      // read-only partner API router
+const { badgeStatus, renderBadgeSvg, renderBadgeHtml } = require('./badge');  // member website badge
+const { createMemberSessions, MemberSessionError } = require('./member-sessions');  // signed, revocable member tokens
+const { createAdminAuth, AdminAuthError, ROLES, permissionsOf, publicUser } = require('./admin-users');  // admin accounts, roles, TOTP
+const { createJobTokens, JobTokenError, JOBS } = require('./job-tokens');  // scoped tokens for cron/webhook callers
+const { createDiagnostics, diagnosticsEnabled } = require('./diagnostics');  // admin-only health checks (off in production by default)
 const { supabase, supabaseAdmin } = require('./db');   // <-- Supabase client
 const { execFile } = require('child_process');
 const { promisify } = require('util');
@@ -53,323 +57,59 @@ console.warn = function(...args) {
 };
 
 // ─── In-memory state (still used for fast serving) ───────────────────────────
-let CURRENT_RENTALS = [];
+const listingIndex = createListingIndex(supabase); // every listing row — see listing-index.js
+const searchIndex = createSearchIndex();           // /api/rentals?search= — follows listingIndex
+searchIndex.follow(listingIndex);
+const suggestIndex = createSuggestIndex();         // /api/rentals/suggest — follows listingIndex too
+suggestIndex.follow(listingIndex);
+const listingQuery = createListingQuery({ listingIndex, searchIndex });
+const apiKeys = createApiKeys(supabaseAdmin);     // /api/v1 keys — see api-keys.js
+// ADMIN_SECRET was sent out in trial extension emails, so nothing is derived from it
+if (!process.env.MEMBER_SESSION_SECRET) {
+    console.error('❌ MEMBER_SESSION_SECRET must be set — member sessions are signed with it. Refusing to start.');
+    process.exit(1);
+}
+const memberSessions = createMemberSessions(supabaseAdmin, { secret: process.env.MEMBER_SESSION_SECRET });
+const requireMemberSession = memberSessions.requireMemberSession;
+// Admin tokens get their own key, used for nothing else and never sent to anyone
+if (!process.env.ADMIN_TOKEN_SECRET || process.env.ADMIN_TOKEN_SECRET === process.env.ADMIN_SECRET) {
+    console.error('❌ ADMIN_TOKEN_SECRET must be set, and not to ADMIN_SECRET — admin tokens are signed with it. Refusing to start.');
+    process.exit(1);
+}
+const adminAuth = createAdminAuth(supabaseAdmin, { secret: process.env.ADMIN_TOKEN_SECRET, bootstrapPassword: process.env.ADMIN_PASSWORD });
+const requireAdmin = adminAuth.requireAdmin;  // requireAdmin('permission') — see admin-users.js for the roles
+// Who to record in reviewed_by/verified_by columns
+const currentAdminName = () => adminAuth.currentAdmin()?.username || 'admin';
+const jobTokens = createJobTokens(supabaseAdmin);  // scheduled workflows + updateMyIP.php
+const requireJob = jobTokens.requireJob;           // requireJob('scope', { fallback }) — see job-tokens.js
 let PDF_URL = 'PDF URL not found';
 let PDF_HEADING = 'Hospedajes Registrados - ATP';
 let PDF_STATUS = "Not loaded";
 let PDF_RENTALS = [];
 let DATA_SOURCE = "";
-let PENDING_ATP_DIFF = null; // set when a new PDF is parsed but not yet reviewed/applied
-
-// ─── Column boundaries (unchanged) ───────────────────────────────────────────
-const COLUMN_BOUNDARIES = {
-    NOMBRE:   { start: 0,   end: 184 },
-    MODALIDAD:{ start: 184, end: 265 },
-    CORREO:   { start: 265, end: 481 },
-    TELEFONO: { start: 481, end: 600 }
-};
+let PENDING_ATP_DIFF = null; // set when a new PDF is parsed but not yet reviewed/applied — mirrored to settings.atp_pending_diff
 
 
 // ═════════════════════════════════════════════════════════════════════════════
 //  DATABASE HELPERS
 // ═════════════════════════════════════════════════════════════════════════════
 
-// Load all listings from Supabase into memory
-async function loadListingsFromDB() {
-    let allData = [];
-    let from = 0;
-    const BATCH = 1000;
-    while (true) {
-        const { data, error } = await supabase
-            .from('listings')
-            .select('*')
-            .range(from, from + BATCH - 1);
-        if (error) throw error;
-        allData = allData.concat(data);
-        if (data.length < BATCH) break;
-        from += BATCH;
-    }
-    return allData;
-}
-
-// ── Compute what WOULD change, without writing anything — for admin review ──
-async function computeAtpDiff(parsedRentals) {
-    const normalize = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
-    const normalizePhone = s => (s||'').replace(/\D/g,'');
-    let existing = [];
-    {
-        let from = 0;
-        const BATCH = 1000;
-        while (true) {
-            const { data, error } = await supabaseAdmin
-                .from('listings')
-                .select('id, name, province, phone, email, rental_type, atp_active, is_member')
-                .or('registry_source.is.null,registry_source.neq.mici') // include NULL (native ATP listings) and anything not explicitly MiCI
-                .range(from, from + BATCH - 1);
-            if (error) throw new Error(error.message);
-            existing = existing.concat(data);
-            if (data.length < BATCH) break;
-            from += BATCH;
-        }
-      }
-      const existingMap = new Map();
-    (existing || []).forEach(l => existingMap.set(`${normalize(l.name)}|${normalize(l.province)}`, l));
-    const seenIds = new Set();
-    const toInsert = [];
-    const toReactivate = [];
-    let tempIdCounter = 0;
-    for (const rental of parsedRentals) {
-        const key   = `${normalize(rental.name)}|${normalize(rental.province)}`;
-        const match = existingMap.get(key);
-        if (match) {
-            seenIds.add(match.id);
-            if (!match.atp_active) toReactivate.push({ id: match.id, name: match.name });
-        } else {
-            toInsert.push({
-                tempId:      tempIdCounter++,
-                name:        rental.name,
-                province:    rental.province,
-                phone:       rental.phone || '',
-                email:       rental.email || '',
-                rental_type: rental.rental_type || ''
-            });
-        }
-    }
-    const missing = (existing || []).filter(l => l.atp_active && !seenIds.has(l.id));
-    const mapDropped = l => ({
-        id: l.id, name: l.name, province: l.province,
-        phone: l.phone || '', email: l.email || '', rental_type: l.rental_type || ''
-    });
-    const toDeactivateNonMembers = missing.filter(l => !l.is_member).map(mapDropped);
-    const toFlagMembers          = missing.filter(l => l.is_member).map(mapDropped);
-
-    // Flag likely renames: same normalized phone on both a "new" and a "dropped"
-    // entry. Purely a UI hint for admin review — never auto-applied.
-    const droppedByPhone = new Map();
-    [...toDeactivateNonMembers, ...toFlagMembers].forEach(d => {
-        const p = normalizePhone(d.phone);
-        if (p.length >= 7) droppedByPhone.set(p, d.id);
-    });
-    toInsert.forEach(n => {
-        const p = normalizePhone(n.phone);
-        if (p.length >= 7 && droppedByPhone.has(p)) n.possibleMatchId = droppedByPhone.get(p);
-    });
-
-    return { toInsert, toReactivate, toDeactivateNonMembers, toFlagMembers, totalParsed: parsedRentals.length };
-}
-
-// ── Email the owner whenever a new/unreviewed ATP diff is waiting ──
-async function notifyAtpDiffPending(diff) {
-    const notifyPath = path.join(__dirname, 'public', 'notify.php');
-    const subject = `ATP report updated — ${diff.toInsert.length} new, ${diff.toDeactivateNonMembers.length + diff.toFlagMembers.length} dropped — review needed`;
-
-    const listOrNone = (arr) => arr.length
-        ? '<ul style="margin:0.3rem 0 0 1.2rem;">' + arr.map(x => `<li>${x.name}${x.id?` (ID: ${x.id})`:''}</li>`).join('') + '</ul>'
-        : '<p style="color:#888;margin:0.3rem 0 0 0.2rem;">— ninguno —</p>';
-
-        const message = `
-    <html><body style="font-family:Arial,sans-serif;font-size:14px;color:#111;margin:0;padding:0;">
-    <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="600" align="center" style="margin:0 auto 1.5rem;">
-        <tr><td bgcolor="#005ca9" style="background-color:#005ca9;" width="600">
-            <img src="https://trustedpanamastays.com/images/email-header.png" alt="Trusted Panama Stays — El reporte de la ATP ha sido actualizado" width="600" style="display:block;width:600px;border:0;color:#ffffff;font-size:22px;font-weight:bold;font-family:Arial,Helvetica,sans-serif;text-align:center;padding:40px 20px;background-color:#005ca9;">
-        </td></tr>
-    </table>
-    <table role="presentation" cellpadding="0" cellspacing="0" border="0" width="600" align="center" style="margin:0 auto;">
-        <tr><td height="20" style="font-size:1px;line-height:1px;">&nbsp;</td></tr>
-        <tr><td style="padding:0 20px;">
-    <p style="margin-top:0;">La ATP publicó un nuevo reporte de hospedajes vigentes. Aquí un resumen de los cambios detectados — <strong>nada se ha aplicado todavía</strong>, requiere su revisión en el panel de admin:</p>
-    <div style="background:#f0f7ff;border:1px solid #c0d8f0;border-radius:8px;padding:1rem;margin:1rem 0;">
-        <strong style="color:#005ca9;">➕ Nuevos hospedajes (${diff.toInsert.length})</strong>
-        ${listOrNone(diff.toInsert)}
-    </div>
-    <div style="background:#f0f7ff;border:1px solid #c0d8f0;border-radius:8px;padding:1rem;margin:1rem 0;">
-        <strong style="color:#005ca9;">🔄 Reactivados (${diff.toReactivate.length})</strong>
-        ${listOrNone(diff.toReactivate)}
-    </div>
-    <div style="background:#f5f5f5;border:1px solid #ddd;border-radius:8px;padding:1rem;margin:1rem 0;">
-        <strong style="color:#555;">➖ Ya no en el reporte — no miembros (${diff.toDeactivateNonMembers.length})</strong>
-        ${listOrNone(diff.toDeactivateNonMembers)}
-    </div>
-    ${diff.toFlagMembers.length ? `
-    <div style="background:#fde8e8;border:1px solid #ffcccc;border-radius:8px;padding:1rem;margin:1rem 0;">
-        <strong style="color:#cc0000;">⚠️ Miembros pagos ya no en el reporte (${diff.toFlagMembers.length})</strong>
-        <p style="font-size:0.82rem;color:#a00;margin:0.3rem 0 0;">Su membresía NO será modificada automáticamente.</p>
-        ${listOrNone(diff.toFlagMembers)}
-    </div>` : ''}
-    <table role="presentation" cellpadding="0" cellspacing="0" border="0" style="margin:1.5rem auto;">
-        <tr><td style="background-color:#005ca9;border-radius:10px;padding:16px 40px;" align="center">
-            <a href="https://trustedpanamastays.com/admin.html?from=AtpUpdate" style="color:white;text-decoration:none;font-weight:700;font-size:1.1rem;display:inline-block;">📋 Revisar en el panel de admin →</a>
-        </td></tr>
-    </table>
-    <p style="text-align:center;">
-        <span style="font-size:0.72rem;color:#999;">
-            Este botón lo lleva a: trustedpanamastays.com/admin.html<br>
-            (el enlace pasa por nuestro proveedor de correo, por eso la URL visible es distinta)
-        </span>
-    </p>
-    <hr style="border:none;border-top:1px solid #e1e5e9;margin:1.5rem 0;">
-    <p style="color:#888;font-size:0.78rem;">Trusted Panama Stays · Tuscany Real Estates SA · RUC 1401220-1-627960 DV21</p>
-        </td></tr>
-    </table>
-    </body></html>`;
-
-    await execFileAsync('php', [notifyPath, subject, message, 'info@trustedpanamastays.com']).catch(err =>
-        console.error('ATP diff notification email failed:', err.message)
-    );
-}
-
-
-// ── Merge parsed ATP rentals into the DB without erasing collected member data ──
-// Matches on normalized name+province (ATP's PDF has no stable ID — the aviso de
-// operación number isn't published in the report). Inserts new listings, marks
-// matched ones as seen, and soft-deletes (atp_active=false) anything no longer
-// in the report. Never hard-deletes — members enrich data beyond what ATP provides.
-async function mergeListingsWithDB(parsedRentals) {
-    const nowIso = new Date().toISOString();
-    const normalize = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
-
-    let existing = [];
-    {
-        let from = 0;
-        const BATCH = 1000;
-        while (true) {
-            const { data, error } = await supabaseAdmin
-                .from('listings')
-                .select('id, name, province, atp_active, is_member')
-                .or('registry_source.is.null,registry_source.neq.mici') // include NULL (native ATP listings) and anything not explicitly MiCI
-                .range(from, from + BATCH - 1);
-            if (error) throw new Error(error.message);
-            existing = existing.concat(data);
-            if (data.length < BATCH) break;
-            from += BATCH;
-        }
-      }
-      const existingMap = new Map();
-      (existing || []).forEach(l => existingMap.set(`${normalize(l.name)}|${normalize(l.province)}`, l));
-      const seenIds = new Set();
-      let inserted = 0, updated = 0;
-
-    for (const rental of parsedRentals) {
-        const key   = `${normalize(rental.name)}|${normalize(rental.province)}`;
-        const match = existingMap.get(key);
-
-        if (match) {
-            seenIds.add(match.id);
-            const updates = { atp_last_seen: nowIso };
-            if (!match.atp_active) updates.atp_active = true; // reappeared — clear any stale flag
-            if (!match.atp_active) updates.atp_review_flagged_at = null;
-            await supabaseAdmin.from('listings').update(updates).eq('id', match.id);
-            updated++;
-        } else {
-            const { error: insertErr } = await supabaseAdmin.from('listings').insert({
-                name:            rental.name,
-                rental_type:     rental.rental_type,
-                email:           rental.email,
-                phone:           rental.phone,
-                province:        rental.province,
-                registry_source: 'atp',
-                atp_active:      true,
-                atp_first_seen:  nowIso,
-                atp_last_seen:   nowIso
-            });
-            if (insertErr) console.error('Insert failed for', rental.name, insertErr.message);
-            else inserted++;
-        }
-    }
-
-    // Anything previously active but not seen in this PDF is no longer ATP-listed
-    const missing = (existing || []).filter(l => l.atp_active && !seenIds.has(l.id));
-    let deactivatedNonMembers = 0, flaggedMembers = 0;
-
-    for (const l of missing) {
-        await supabaseAdmin.from('listings').update({ atp_active: false }).eq('id', l.id);
-
-        if (!l.is_member) {
-            deactivatedNonMembers++; // no longer publicly visible — normal delisting
-            continue;
-        }
-
-        // Supporting (paying) member dropped from ATP — flag for review, don't touch membership
-        await supabaseAdmin.from('listings').update({ atp_review_flagged_at: nowIso }).eq('id', l.id);
-        flaggedMembers++;
-        await sendAtpReviewEmail(l.id, l.name);
-        await logEvent('atp_member_flagged_for_review', { listing_id: l.id, name: l.name });
-    }
-
-    console.log(`✅ Merge complete: ${inserted} inserted, ${updated} matched, ${deactivatedNonMembers} non-members deactivated, ${flaggedMembers} members flagged for review`);
-    return { inserted, updated, deactivatedNonMembers, flaggedMembers };
-}
-
-// ── Notify admin + member when a supporting member's listing drops off ATP ──
-async function sendAtpReviewEmail(listingId, propertyName) {
-    const { data: listing } = await supabaseAdmin
-        .from('listings')
-        .select('email_member, email, contact_name')
-        .eq('id', listingId)
-        .single();
-
-    const memberEmail = listing?.email_member || listing?.email;
-    const contactName = listing?.contact_name || 'propietario/a';
-    const notifyPath   = path.join(__dirname, 'public', 'notify.php');
-
-    // Notify TPS admin regardless of whether the member has an email
-    const adminMsg = `<p>El hospedaje miembro <strong>${propertyName}</strong> (ID: ${listingId}) ya no aparece en el reporte vigente de la ATP.</p><p>Su membresía NO ha sido modificada. Requiere revisión manual.</p>`;
-    await execFileAsync('php', [notifyPath, `⚠️ Miembro fuera del registro ATP — ${propertyName}`, adminMsg, 'info@trustedpanamastays.com']).catch(console.error);
+// The ATP pipeline lives in atp-ingest.js; these bind it to the service client
+// and to this process's copy of the pending diff
+const getSavedPdfUrl          = () => atpIngest.getSavedPdfUrl(supabaseAdmin);
+const savePendingAtpDiff      = () => atpIngest.savePendingAtpDiff(supabaseAdmin, PENDING_ATP_DIFF);
+const recomputePendingAtpDiff = () => atpIngest.recomputePendingAtpDiff(supabaseAdmin, PENDING_ATP_DIFF);
 
-    if (memberEmail && memberEmail.includes('@')) {
-        const memberMsg = `
-<html><body style="font-family:Arial,sans-serif;font-size:14px;color:#111;max-width:600px;">
-<div style="background:linear-gradient(135deg,#005ca9,#00a859);padding:1.5rem;border-radius:10px;margin-bottom:1.5rem;">
-    <h1 style="color:white;margin:0;font-size:1.4rem;">Trusted Panama Stays</h1>
-</div>
-<p>Estimado/a <strong>${contactName}</strong>,</p>
-<p>Notamos que <strong>${propertyName}</strong> ya no aparece en el reporte vigente de hospedajes de la ATP.</p>
-<p>Su membresía en Trusted Panama Stays <strong>sigue activa</strong> — esto no la afecta. Sin embargo, nos gustaría confirmar con usted si su registro ante la ATP sigue vigente, o si hubo algún cambio.</p>
-<p>¿Podría confirmarnos la situación respondiendo a este correo?</p>
-<p>Preguntas? <a href="mailto:info@trustedpanamastays.com">info@trustedpanamastays.com</a></p>
-<hr style="border:none;border-top:1px solid #e1e5e9;margin:1.5rem 0;">
-<p style="color:#888;font-size:0.78rem;">Trusted Panama Stays · Tuscany Real Estates SA · RUC 1401220-1-627960 DV21</p>
-</body></html>`;
-        await execFileAsync('php', [notifyPath, `Consulta sobre su registro ATP — ${propertyName}`, memberMsg, memberEmail]).catch(console.error);
-    }
-}
-
-// Update pdf_meta with the new URL
-async function savePdfMeta(pdfUrl, pdfHeading) {
-    // Try update first, then insert if no row exists.
-    // Uses supabaseAdmin — the anon client's writes were being silently blocked
-    // by RLS (no error thrown, but zero rows actually affected), which is why
-    // pdf_meta was frozen at a stale "force-reload" placeholder since 2026-06-05
-    // despite every apply-atp-diff run logging a false "✅ pdf_meta updated".
-    const existing = await getSavedPdfUrl();
-    if (existing) {
-        const { data, error } = await supabaseAdmin
-            .from('pdf_meta')
-            .update({ pdf_url: pdfUrl, pdf_heading: pdfHeading, last_updated: new Date().toISOString() })
-            .eq('id', existing.id)
-            .select();
-        if (error) throw error;
-        if (!data || data.length === 0) throw new Error('pdf_meta update affected 0 rows — check RLS policy for id=' + existing.id);
-    } else {
-        const { data, error } = await supabaseAdmin
-            .from('pdf_meta')
-            .insert({ pdf_url: pdfUrl, pdf_heading: pdfHeading, last_updated: new Date().toISOString() })
-            .select();
-        if (error) throw error;
-        if (!data || data.length === 0) throw new Error('pdf_meta insert returned no row');
+// ── Re-read the pending diff from settings before any ATP review route runs —
+// `npm run atp:update` (scripts/update-listings.js) may have created, replaced
+// or applied it since this process last looked
+async function syncPendingAtpDiff(req, res, next) {
+    try {
+        PENDING_ATP_DIFF = await atpIngest.loadPendingAtpDiff(supabaseAdmin);
+    } catch (err) {
+        console.error('❌ Could not re-read pending ATP diff:', err.message);
     }
-    console.log('✅ pdf_meta updated in Supabase (confirmed via .select())');
-}
-
-// Get the saved PDF URL from pdf_meta table
-async function getSavedPdfUrl() {
-    const { data, error } = await supabaseAdmin
-        .from('pdf_meta')
-        .select('*')
-        .limit(1)
-        .single();
-    if (error) return null;
-    return data;   // { id, pdf_url, pdf_heading, last_updated }
+    next();
 }
 
 
@@ -382,18 +122,22 @@ async function initializeData() {
 
     // STEP 1: Load from database immediately so the site responds fast
     try {
-        const dbListings = await loadListingsFromDB();
-        if (dbListings && dbListings.length > 0) {
-            CURRENT_RENTALS = dbListings;
+        const count = await listingIndex.load();
+        listingIndex.subscribe();
+        await loadKeywordLabels();
+        await apiKeys.load().catch(err => console.error('⚠️ API keys not loaded:', err.message));
+        await jobTokens.load().catch(err => console.error('⚠️ Job tokens not loaded:', err.message));
+        if (count > 0) {
             DATA_SOURCE = 'supabase';
-            PDF_STATUS = `Loaded ${dbListings.length} listings from database`;
-            console.log(`✅ STEP 1: Loaded ${dbListings.length} listings from Supabase — site is live`);
+            PDF_STATUS = `Loaded ${count} listings from database`;
+            console.log(`✅ STEP 1: Loaded ${count} listings from Supabase — site is live`);
 
             // Also restore the saved PDF URL and heading
             const meta = await getSavedPdfUrl();
             if (meta) {
                 PDF_URL = meta.pdf_url || PDF_URL;
                 PDF_HEADING = meta.pdf_heading || PDF_HEADING;
+                LISTINGS_PDF_URL = meta.pdf_url || null;
                 console.log(`✅ STEP 1: Restored PDF meta: ${PDF_URL}`);
             }
         } else {
@@ -403,6 +147,20 @@ async function initializeData() {
         console.error('❌ STEP 1: Could not load from Supabase:', err.message);
     }
 
+    // Restore a diff that was awaiting review when the server last stopped —
+    // unless its report has since been applied (pdf_meta already points at it)
+    try {
+        const pending = await atpIngest.loadPendingAtpDiff(supabaseAdmin);
+        if (pending && pending.newUrl !== PDF_URL) {
+            PENDING_ATP_DIFF = pending;
+            console.log(`✅ STEP 1: Restored pending ATP diff for ${pending.newUrl} (computed ${pending.computedAt})`);
+        } else if (pending) {
+            await savePendingAtpDiff(); // stale — clears the row
+        }
+    } catch (err) {
+        console.error('❌ STEP 1: Could not restore pending ATP diff:', err.message);
+    }
+
     // STEP 2: Check ATP for a new PDF in the background (don't block startup)
     checkForPdfUpdate().catch(err =>
         console.error('❌ Background PDF check failed:', err.message)
@@ -410,6 +168,8 @@ async function initializeData() {
 }
 
 let PDF_CHECK_IN_PROGRESS = false; // prevents overlapping runs (e.g. GitHub Actions curl retries) from re-parsing and re-emailing
+let LAST_LAYOUT_ERROR_URL = null;  // report we already alerted about — the daily check retries it, the email goes out once
+let LISTINGS_PDF_URL = null;       // report listingIndex reflects — differs from pdf_meta after a CLI apply
 
 // Background check: only re-parses PDF when the URL has changed
 async function checkForPdfUpdate() {
@@ -420,7 +180,7 @@ async function checkForPdfUpdate() {
     PDF_CHECK_IN_PROGRESS = true;
     console.log('🔄 STEP 2: Checking ATP for PDF updates (background)...');
     try {
-        const atpResult = await getLatestPdfUrl();
+        const atpResult = await atpIngest.getLatestPdfUrl();
         const newUrl = atpResult.pdfUrl;
         if (!newUrl) {
             console.log('⚠️  Could not retrieve PDF URL from ATP — skipping update');
@@ -429,12 +189,20 @@ async function checkForPdfUpdate() {
         // Compare with what's saved in the database
         const meta = await getSavedPdfUrl();
         const savedUrl = meta ? meta.pdf_url : null;
-        if (newUrl === savedUrl && CURRENT_RENTALS.length > 0) {
+        if (newUrl === savedUrl && listingIndex.size > 0) {
             console.log('✅ STEP 2: PDF URL unchanged — using existing database data');
             PDF_URL = newUrl;
             PDF_HEADING = atpResult.headingText || PDF_HEADING;
+            if (savedUrl !== LISTINGS_PDF_URL) {
+                // Applied from the CLI since listings were last loaded here
+                console.log('🔄 STEP 2: Report was applied outside this server — reloading listings');
+                await listingIndex.load();
+                LISTINGS_PDF_URL = savedUrl;
+                await checkPendingAtpApplications();
+            }
             return;
         }
+        PENDING_ATP_DIFF = await atpIngest.loadPendingAtpDiff(supabaseAdmin).catch(() => PENDING_ATP_DIFF);
         // A diff for this exact URL is already pending admin review — don't
         // re-parse the whole PDF and re-send the notification email every
         // time this runs again before it's been reviewed.
@@ -452,24 +220,17 @@ async function checkForPdfUpdate() {
         const result = await parsePDFWithCoordinates();
         if (result.success && PDF_RENTALS.length > 0) {
             // Compute what would change, but wait for admin review before writing/emailing
-            const diff = await computeAtpDiff(PDF_RENTALS);
-            PENDING_ATP_DIFF = {
-                newUrl, newHeading: PDF_HEADING,
-                parsedRentals: PDF_RENTALS,
-                diff,
-                computedAt: new Date().toISOString()
-            };
-            await logEvent('atp_diff_pending', {
-                new_url: newUrl,
-                inserts: diff.toInsert.length,
-                reactivations: diff.toReactivate.length,
-                deactivations: diff.toDeactivateNonMembers.length,
-                flagged_members: diff.toFlagMembers.length
+            PENDING_ATP_DIFF = await atpIngest.buildPendingAtpDiff(supabaseAdmin, {
+                newUrl, newHeading: PDF_HEADING, versionId: result.versionId, rentals: PDF_RENTALS
             });
-            console.log(`📋 STEP 2: New PDF parsed — ${diff.toInsert.length} new, ${diff.toReactivate.length} reactivated, ${diff.toDeactivateNonMembers.length} to deactivate, ${diff.toFlagMembers.length} members flagged — awaiting admin review`);
-            const hasChanges = diff.toInsert.length + diff.toReactivate.length + diff.toDeactivateNonMembers.length + diff.toFlagMembers.length > 0;
+            await savePendingAtpDiff();
+            const { diff } = PENDING_ATP_DIFF;
+            const counts = atpIngest.summarizeAtpDiff(diff);
+            await logEvent('atp_diff_pending', { new_url: newUrl, ...counts });
+            console.log(`📋 STEP 2: New PDF parsed — ${counts.inserts} new, ${counts.reactivations} reactivated, ${counts.deactivations} to deactivate, ${counts.flagged_members} members flagged, ${counts.quarantined} quarantined — awaiting admin review`);
+            const hasChanges = Object.values(counts).some(n => n > 0);
             if (hasChanges) {
-                await notifyAtpDiffPending(diff);
+                await atpIngest.notifyAtpDiffPending(diff);
             } else {
                 console.log('📋 STEP 2: No actual changes in this diff — skipping notification email');
             }
@@ -477,11 +238,33 @@ async function checkForPdfUpdate() {
     } catch (err) {
         console.error('❌ STEP 2: PDF update check failed:', err.message);
         // If we already have data from STEP 1, keep serving it — no problem
+        if (err instanceof AtpLayoutError) await reportAtpLayoutError(err);
     } finally {
         PDF_CHECK_IN_PROGRESS = false;
     }
 }
 
+// ATP changed the report template enough that the parser couldn't place the
+// columns. Nothing was diffed or written — record it and tell the admin so the
+// parser gets fixed, instead of waiting for someone to notice the stale data.
+async function reportAtpLayoutError(err) {
+    await logEvent('atp_layout_error', { url: PDF_URL, page: err.page, message: err.message });
+    if (LAST_LAYOUT_ERROR_URL === PDF_URL) return;
+    LAST_LAYOUT_ERROR_URL = PDF_URL;
+
+    const notifyPath = path.join(__dirname, 'public', 'notify.php');
+    const message = `<html><body style="font-family:Arial,sans-serif;font-size:14px;color:#111;">
+<h2 style="color:#cc0000;">⚠️ No se pudo leer el nuevo reporte de la ATP</h2>
+<p>El formato de columnas del PDF cambió y el parser no encontró una distribución confiable. <strong>No se aplicó ningún cambio</strong> — el sitio sigue mostrando los datos anteriores.</p>
+<p><strong>PDF:</strong> <a href="${PDF_URL}">${PDF_URL}</a><br>
+<strong>Error:</strong> ${err.message}</p>
+<p>Pruebe el parser localmente con <code>node scripts/atp-golden.js parse &lt;archivo.pdf&gt;</code>.</p>
+</body></html>`;
+    await execFileAsync('php', [notifyPath, '⚠️ ATP report layout not recognized — parser needs attention', message, 'info@trustedpanamastays.com'], { timeout: 15000 }).catch(e =>
+        console.error('ATP layout alert email failed:', e.message)
+    );
+}
+
 async function checkPendingAtpApplications() {
     console.log('🔄 Checking pending ATP applications...');
     try {
@@ -570,6 +353,7 @@ async function checkPendingAtpApplications() {
                 verified_at:           new Date().toISOString(),
                 verified_by:           'auto_atp'
             }).eq('id', listing.id);
+            await listingIndex.refresh(listing.id);
 
             // Update application
             await supabaseAdmin.from('membership_applications').update({
@@ -650,117 +434,6 @@ initializeData();
 //  ATP WEBSITE & PDF FUNCTIONS  (unchanged from original)
 // ═════════════════════════════════════════════════════════════════════════════
 
-// ── Extract the report's own update date from its filename, e.g.
-// ".../REPORTE-HOSPEDAJES-VIGENTE-2-7-2026.pdf" → day 2, month 7, year 2026
-function extractPdfDateFromUrl(url) {
-    if (!url) return null;
-    const match = url.match(/(\d{1,2})-(\d{1,2})-(\d{4})\.pdf$/i);
-    if (!match) return null;
-    const [, day, month, year] = match;
-    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
-    if (isNaN(date.getTime())) return null;
-    return date.toISOString().split('T')[0]; // YYYY-MM-DD
-}
-
-async function getLatestPdfUrl() {
-    console.log('🔄 Fetching PDF URL via PHP...');
-
-    // Write a small PHP script to a temp file and execute it
-    const phpScript = `<?php
-$ch = curl_init();
-curl_setopt_array($ch, [
-    CURLOPT_URL => 'https://www.atp.gob.pa/industrias/hoteleros/',
-    CURLOPT_RETURNTRANSFER => true,
-    CURLOPT_FOLLOWLOCATION => true,
-    CURLOPT_SSL_VERIFYPEER => false,
-    CURLOPT_USERAGENT => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-]);
-$html = curl_exec($ch);
-curl_close($ch);
-preg_match('/<a[^>]+href="([^"]*\\.pdf)"[^>]*>\\s*Descargar PDF\\s*<\\/a>/i', $html, $matches);
-if (!empty($matches[1])) {
-    echo json_encode(['pdfUrl' => $matches[1]]);
-} else {
-    preg_match('/href="(https?:\\/\\/www\\.atp\\.gob\\.pa\\/[^"]*\\.pdf)"/i', $html, $matches2);
-    if (!empty($matches2[1])) {
-        echo json_encode(['pdfUrl' => $matches2[1]]);
-    } else {
-        echo json_encode(['error' => 'No PDF found']);
-    }
-}
-?>`;
-
-    const tmpFile = '/tmp/get_pdf_url.php';
-    require('fs').writeFileSync(tmpFile, phpScript);
-
-    const { stdout } = await execFileAsync('php', [tmpFile], { timeout: 20000 });
-    const data = JSON.parse(stdout);
-
-    if (data.error) throw new Error(data.error);
-    if (!data.pdfUrl) throw new Error('No PDF URL returned');
-
-    console.log('✅ PDF URL:', data.pdfUrl);
-    return {
-        pdfUrl: data.pdfUrl,
-        headingText: 'Hospedajes - Registrados por la Autoridad de Turismo de Panamá (ATP)'
-    };
-}
-function extractPdfAndHeading(html, baseUrl) {
-    console.log('🔍 Extracting PDF URL and heading...');
-
-    // New ATP structure: simple anchor tag with .pdf href near "Descargar PDF" text
-    // Matches: <a href="https://www.atp.gob.pa/.../something.pdf">Descargar PDF</a>
-    const pdfLinkRegex = /<a[^>]+href="([^"]*\.pdf)"[^>]*>\s*Descargar PDF\s*<\/a>/i;
-    const match = html.match(pdfLinkRegex);
-
-    if (match) {
-        const pdfUrl = new URL(match[1], baseUrl).href;
-        console.log('✅ Found PDF URL:', pdfUrl);
-
-        // Extract heading from h3 near "Registrados por"
-        const headingText = extractHeadingTextImproved(html, baseUrl);
-        return { pdfUrl, headingText, fullMatch: true };
-    }
-
-    // Fallback: find ANY .pdf link on the page from atp.gob.pa
-    console.log('⚠️  Primary regex failed, trying fallback...');
-    const fallbackRegex = /href="(https:\/\/www\.atp\.gob\.pa\/[^"]*\.pdf)"/i;
-    const fallbackMatch = html.match(fallbackRegex);
-    if (fallbackMatch) {
-        console.log('✅ Fallback PDF URL found:', fallbackMatch[1]);
-        return {
-            pdfUrl: fallbackMatch[1],
-            headingText: extractHeadingTextImproved(html, baseUrl),
-            fullMatch: false
-        };
-    }
-
-    console.log('❌ No PDF URL found');
-    return { pdfUrl: null, headingText: null };
-}
-
-function extractHeadingTextImproved(html, baseUrl) {
-    const h4Match = html.match(/<h4[^>]*>([^<]+)<\/h4>/i);
-    const h3Match = html.match(/<h3[^>]*>([^<]+)<\/h3>/i);
-    let headingParts = [];
-    if (h4Match && h4Match[1]) headingParts.push(h4Match[1].trim());
-    if (h3Match && h3Match[1]) headingParts.push(h3Match[1].trim());
-    if (headingParts.length > 0) {
-        const fullHeading = headingParts.join(' - ');
-        console.log('📝 Extracted full heading:', fullHeading);
-        return fullHeading;
-    }
-    const hospedajesIndex = html.indexOf('Hospedajes');
-    if (hospedajesIndex !== -1) {
-        const context = html.substring(Math.max(0, hospedajesIndex - 50), hospedajesIndex + 500);
-        const dateMatch = context.match(/Actualizado al (\d+ de [a-z]+ de \d{4})/i);
-        if (dateMatch) {
-            return `Hospedajes - Registrados por la Autoridad de Turismo de Panamá (ATP). ${dateMatch[0]}`;
-        }
-    }
-    return "Hospedajes - Registrados por la Autoridad de Turismo de Panamá (ATP)";
-}
-
 function extractHeadingText(html) {
     const h4Match = html.match(/<h4[^>]*>([^<]+)<\/h4>/i);
     const h3Match = html.match(/<h3[^>]*>([^<]+)<\/h3>/i);
@@ -836,181 +509,19 @@ function convertSpanishDateToUS(spanishDate) {
     return spanishDate;
 }
 
-function groupIntoRows(textItems) {
-    const rows = {};
-    const Y_TOLERANCE = 1.5;
-    textItems.forEach(item => {
-        if (!item.text.trim()) return;
-        const existingKey = Object.keys(rows).find(y => Math.abs(parseFloat(y) - item.y) <= Y_TOLERANCE);
-        const rowY = existingKey || item.y.toString();
-        if (!rows[rowY]) rows[rowY] = [];
-        rows[rowY].push(item);
-    });
-    return Object.entries(rows)
-        .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
-        .map(([y, items]) => ({ y: parseFloat(y), items: items.sort((a, b) => a.x - b.x) }));
-}
-
-function parseRowData(row) {
-    const rental = { name: '', rental_type: '', email: '', phone: '' };
-    row.items.forEach(item => {
-        if (item.x >= COLUMN_BOUNDARIES.NOMBRE.start && item.x < COLUMN_BOUNDARIES.NOMBRE.end) {
-            rental.name += (rental.name ? ' ' : '') + item.text;
-        } else if (item.x >= COLUMN_BOUNDARIES.MODALIDAD.start && item.x < COLUMN_BOUNDARIES.MODALIDAD.end) {
-            rental.rental_type += (rental.rental_type ? ' ' : '') + item.text;
-        } else if (item.x >= COLUMN_BOUNDARIES.CORREO.start && item.x < COLUMN_BOUNDARIES.CORREO.end) {
-            rental.email += item.text;
-        } else if (item.x >= COLUMN_BOUNDARIES.TELEFONO.start && item.x < COLUMN_BOUNDARIES.TELEFONO.end) {
-            rental.phone += (rental.phone ? ' ' : '') + item.text;
-        }
-    });
-    rental.name = rental.name.trim();
-    rental.rental_type = rental.rental_type.trim();
-    rental.email = rental.email.trim();
-    rental.phone = rental.phone.trim();
-    return rental;
-}
-
-function isContinuationRow(rowData, previousRowData) {
-    if (previousRowData.rental_type === 'Hostal' && rowData.rental_type === 'Familiar') return true;
-    if (previousRowData.rental_type === 'Sitio de' && rowData.rental_type === 'acampar') return true;
-    if (!rowData.rental_type) return true;
-    if (previousRowData.email && rowData.email && !rowData.rental_type) {
-        const complete = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(previousRowData.email);
-        if (!complete) return true;
-    }
-    if (previousRowData.phone && rowData.phone && !rowData.rental_type) {
-        if (previousRowData.phone.endsWith('-')) return true;
-        if (previousRowData.phone.endsWith('/') && !rowData.phone.endsWith('/')) return true;
-    }
-    return false;
-}
-
-function mergeRentalRows(prev, cont) {
-    const merged = { ...prev };
-    if (cont.name) merged.name = (prev.name + ' ' + cont.name).trim();
-    if (cont.rental_type) {
-        if (prev.rental_type === 'Hostal' && cont.rental_type === 'Familiar') merged.rental_type = 'Hostal Familiar';
-        else if (prev.rental_type === 'Sitio de' && cont.rental_type === 'acampar') merged.rental_type = 'Sitio de acampar';
-    }
-    if (cont.email) merged.email = (prev.email + cont.email).trim();
-    if (cont.phone) {
-        if (prev.phone.endsWith('/')) merged.phone = (prev.phone + ' ' + cont.phone).trim();
-        else if (prev.phone.endsWith('-')) merged.phone = (prev.phone.slice(0, -1) + cont.phone).trim();
-        else merged.phone = (prev.phone + ' ' + cont.phone).trim();
-    }
-    return merged;
-}
-
-function isHeaderRow(rowText) {
-    if (rowText.includes('Reporte de Hospedajes vigentes') ||
-        rowText.includes('Página') ||
-        rowText.includes('Total por provincia') ||
-        rowText.includes('rep_hos_web')) {
-        return true;
-    }
-    if (rowText.includes('Nombre') && (rowText.includes('Modalidad') || rowText.includes('Correo'))) {
-        return true;
-    }
-    return false;
-}
-
 // PDF parsing (unchanged logic, just called from checkForPdfUpdate now)
 async function parsePDFWithCoordinates() {
-    const startTime = Date.now();
     try {
         console.log('Starting parsePDFWithCoordinates()...');
         PDF_STATUS = "Downloading PDF...";
 
-        // Download the PDF (PDF_URL already set by checkForPdfUpdate)
-        let response;
-        try {
-            console.log('🔄 Trying direct PDF download...');
-            response = await axios.get(PDF_URL, {
-                responseType: 'arraybuffer',
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'Accept': 'application/pdf, */*',
-                    'Referer': 'https://www.atp.gob.pa/'
-                }
-            });
-            console.log('✅ Direct download successful');
-        } catch (directError) {
-            console.log('❌ Direct download failed, trying proxy...');
-            const proxyPdfUrl = `https://api.allorigins.win/raw?url=${encodeURIComponent(PDF_URL)}`;
-            response = await axios.get(proxyPdfUrl, {
-                responseType: 'arraybuffer',
-                timeout: 30000,
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-            });
-            console.log('✅ Proxy download successful');
-        }
-
-        const data = new Uint8Array(response.data);
-        if (!(data[0] === 0x25 && data[1] === 0x50 && data[2] === 0x44 && data[3] === 0x46)) {
-            throw new Error('Invalid PDF format');
-        }
-        console.log('Processing PDF...');
-        const pdfjsLib = await getPdfjsLib();
-        const pdf = await pdfjsLib.getDocument({ data, standardFontDataUrl: PDFJS_STANDARD_FONTS_URL }).promise;
-        const numPages = pdf.numPages;
-        console.log(`PDF loaded with ${numPages} pages...`);
-
-        const allRentals = [];
-        let currentProvince = '';
-        let currentRental = null;
-
-        for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-            const page = await pdf.getPage(pageNum);
-            const textContent = await page.getTextContent();
-            const textItems = textContent.items.map(item => ({
-                text: item.str,
-                x: Math.round(item.transform[4] * 100) / 100,
-                y: Math.round(item.transform[5] * 100) / 100,
-                page: pageNum
-            }));
-
-            const rows = groupIntoRows(textItems);
-            console.log(`Page ${pageNum}: ${rows.length} rows found`);
-
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                const rowText = row.items.map(item => item.text).join(' ');
-
-                if (rowText.includes('Provincia:')) {
-                    currentProvince = rowText.replace('Provincia:', '').replace(/Total.*/, '').trim();
-                    console.log(`Found province: ${currentProvince}`);
-                    continue;
-                }
-                if (isHeaderRow(rowText) || !currentProvince) continue;
-                if (rowText.includes('Total por')) continue;
-
-                const rowData = parseRowData(row);
-
-                if (currentRental && isContinuationRow(rowData, currentRental)) {
-                    currentRental = mergeRentalRows(currentRental, rowData);
-                    continue;
-                }
-                if (currentRental && rowData.name && rowData.name.trim() &&
-                    (rowData.type || rowData.email || rowData.phone)) {
-                    allRentals.push(currentRental);
-                    currentRental = { ...rowData, province: currentProvince };
-                } else if (!currentRental && rowData.name && rowData.name.trim() &&
-                           (rowData.type || rowData.email || rowData.phone)) {
-                    currentRental = { ...rowData, province: currentProvince };
-                } else if (!currentRental && rowData.name && rowData.name.trim()) {
-                    currentRental = { ...rowData, province: currentProvince };
-                }
-            }
-        }
-
-        if (currentRental) allRentals.push(currentRental);
+        // Download, parse and archive (PDF_URL already set by checkForPdfUpdate)
+        const { rentals: allRentals, numPages, versionId } = await atpIngest.fetchAtpReport(supabaseAdmin, { pdfUrl: PDF_URL, heading: PDF_HEADING });
 
         PDF_RENTALS = allRentals;
         PDF_STATUS = `PDF parsed: ${allRentals.length} rentals found from ${numPages} pages`;
         console.log(`✅ ${PDF_STATUS}`);
-        return { success: true, rentals: allRentals.length };
+        return { success: true, rentals: allRentals.length, versionId };
 
     } catch (error) {
         console.error(`❌ PDF parsing failed:`, error.message);
@@ -1027,7 +538,7 @@ async function parsePDFWithCoordinates() {
 app.get('/api/stats', (req, res) => {
     try {
         res.json({
-            total_rentals: CURRENT_RENTALS.length,
+            total_rentals: listingIndex.size,
             last_updated: new Date().toISOString(),
             status: PDF_STATUS || "Data Loaded",
             features: "Search by name, type, province",
@@ -1039,30 +550,13 @@ app.get('/api/stats', (req, res) => {
 });
 
 
-app.get('/api/provinces', async (req, res) => {
-    // Start with ATP in-memory counts
-    const provinceCounts = CURRENT_RENTALS.reduce((acc, rental) => {
+app.get('/api/provinces', (req, res) => {
+    // ATP and MiCI listings alike are in the index — count each row once
+    const provinceCounts = listingIndex.all().reduce((acc, rental) => {
         if (rental.province) acc[rental.province] = (acc[rental.province] || 0) + 1;
         return acc;
     }, {});
 
-    // Add MiCI listings from database
-    try {
-        const { data: miciListings } = await supabase
-            .from('listings')
-            .select('province')
-            .eq('registry_source', 'mici')
-            .eq('atp_active', false);
-
-        if (miciListings) {
-            miciListings.forEach(r => {
-                if (r.province) provinceCounts[r.province] = (provinceCounts[r.province] || 0) + 1;
-            });
-        }
-    } catch (err) {
-        console.error('Error fetching MiCI province counts:', err.message);
-    }
-
     const provinces = Object.entries(provinceCounts)
         .map(([province, count]) => ({ province, count }))
         .sort((a, b) => a.province.localeCompare(b.province));
@@ -1071,216 +565,75 @@ app.get('/api/provinces', async (req, res) => {
 });
 
 app.get('/api/types', (req, res) => {
-    const types = [...new Set(CURRENT_RENTALS.map(r => r.rental_type))].filter(Boolean).sort();
+    const types = [...new Set(listingIndex.all().map(r => r.rental_type))].filter(Boolean).sort();
     res.json(types);
 });
 
-app.get('/api/rentals', async (req, res) => {
-    const { search, province, type, keyword } = req.query;
-
-    // Enrich ATP-sourced rentals with member-edited data BEFORE filtering, so
-    // search (and type/province filters) can match either the original ATP
-    // registry value or the member-corrected value.
-    let enriched = CURRENT_RENTALS;
-    try {
-        const ids = CURRENT_RENTALS.map(r => r.id).filter(Boolean);
-        if (ids.length > 0) {
-            let memberData = [];
-            let from = 0;
-            const BATCH = 1000;
-            while (true) {
-                const { data, error } = await supabase
-                    .from('listings')
-                    .select('id, phone_member, email_member, address, photos, is_member, membership_paid_until, slug, rental_type, apatel_member, feature_rank, listing_keywords')
-                    .in('id', ids)
-                    .range(from, from + BATCH - 1);
-                if (error) throw error;
-                memberData = memberData.concat(data);
-                if (data.length < BATCH) break;
-                from += BATCH;
-            }
-            const memberMap = {};
-            memberData.forEach(m => { memberMap[m.id] = m; });
-            enriched = CURRENT_RENTALS.map(r => {
-                const m = memberMap[r.id];
-                if (!m) return r;
-                return {
-                    ...r,
-                    phone_member:          m.phone_member || null,
-                    email_member:          m.email_member || null,
-                    address:               m.address || null,
-                    photos:                m.photos || null,
-                    is_member:             m.is_member || false,
-                    membership_paid_until: m.membership_paid_until || null,
-                    slug:                  m.slug || null,
-                    rental_type:           m.rental_type || r.rental_type,
-                    feature_rank:          m.feature_rank || 0,
-                    listing_keywords:      m.listing_keywords || [],
-                    apatel_member:         m.apatel_member || false
-                };
-            });
-        }
-    } catch (err) {
-        console.error('Error enriching rentals with member data:', err.message);
-    }
-
-    let filtered = [...enriched];
-
-    // Apply filters to ATP listings
-    if (search) {
-        // Direct ID or phone search — strip common phone formatting (spaces, hyphens, dots, slashes)
-        // so a number can be typed any way and still match.
-        const idSearch = search.replace('#','').trim();
-        const digitsOnly = idSearch.replace(/[\s\-\.\/]/g, '');
-        const isNumericSearch = digitsOnly.length > 0 && /^\d+$/.test(digitsOnly);
-
-        if (isNumericSearch && digitsOnly.length <= 5) {
-            // Short numeric input — treat as a listing ID
-            const idMatch = filtered.find(r => String(r.id) === digitsOnly);
-            filtered = idMatch ? [idMatch] : [];
-        } else if (isNumericSearch && digitsOnly.length >= 7) {
-            // Longer numeric input — treat as a phone number. Check both the
-            // ATP-registry phone AND the member-edited phone, comparing digits-only
-            // on both sides so formatting (spaces/hyphens/dots) never matters.
-            filtered = filtered.filter(r => {
-                const atpDigits    = (r.phone||'').replace(/[^\d]/g,'');
-                const memberDigits = (r.phone_member||'').replace(/[^\d]/g,'');
-                return atpDigits.includes(digitsOnly) || memberDigits.includes(digitsOnly);
-            });
-        } else if (isNumericSearch) {
-            // 6 digits is ambiguous — too long for an ID, too short for a real phone number
-            filtered = [];
-        } else {
-        const s = search.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-        const words = s.split(/\s+/).filter(w => w.length >= 3);
-        const normalize = str => (str||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-
-        // Score each listing
-        const tokenize = str => (str||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[\s@._\-\/]+/).filter(t => t.length > 0);
-        const scored = filtered.map(r => {
-            const n = normalize(r.name);
-            const e = normalize(r.email_member || r.email || '');
-            const p = normalize(r.phone_member || r.phone || '');
-            const v = normalize(r.province||'');
-            const allTokens = [...tokenize(r.name), ...tokenize(r.email_member||r.email||''), ...tokenize(r.phone_member||r.phone||''), ...tokenize(r.province||''), ...tokenize(r.address||'')];
-            let score = 0;
-            const a = normalize(r.address||'');
-            const sRe = new RegExp('(^|\\s)' + s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(\\s|$)');
-            if (sRe.test(n) || sRe.test(e) || sRe.test(p) || sRe.test(v)) score = 100;
-            else if (n.includes(s) || e.includes(s) || p.includes(s) || v.includes(s)) score = 90;
-            else if (words.every(w => allTokens.some(t => t === w))) score = 80;
-            else if (words.some(w => allTokens.some(t => t === w))) score = 40;
-            else if (words.some(w => n.includes(w) || e.includes(w) || p.includes(w) || v.includes(w))) score = 5;
-            if (score > 0) {
-                if (r.is_member)     score += 3;
-                if (r.apatel_member) score += 2;
-                if (r.atp_active)    score += 1;
-            }
-            return { r, score };
-        });
-        const atpGood = scored.filter(x => x.score >= 40);
-        const atpFinal = atpGood.length > 0 ? atpGood : scored.filter(x => x.score > 0);
-        atpFinal.sort((a, b) => b.score - a.score);
-        filtered = atpFinal.map(x => x.r);
-        } // end else (non-ID search)
-    }
-    if (province) filtered = filtered.filter(r => r.province === province);
-    if (type)     filtered = filtered.filter(r => r.rental_type === type);
+// ── GET /api/rentals — the directory query (listing-query.js): search, near/
+// bbox, facet filters (listing-facets.js) and sort=relevance|distance|featured|
+// name|province|newest. Paging with limit/offset and facets=1 are opt-in.
+app.get('/api/rentals', (req, res) => {
+    let result;
+    try { result = listingQuery.run(req.query); }
+    catch (err) {
+        if (err instanceof ListingQueryError) return res.status(400).json({ error: err.message });
+        throw err;
+    }
+    const { rows: filtered, matching, facetQuery, sort, origin, distances } = result;
+
+    // fields=id,name,phone_numbers — `id` always comes along; phone_numbers is
+    // only worked out when asked for (or when no projection is given)
+    const fields = req.query.fields ? ['id', ...String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)] : null;
+    const project = r => {
+        let row = !fields || fields.includes('phone_numbers') ? withPhoneNumbers(r) : r;
+        if (origin) row = { ...row, distance_km: Math.round(distances.get(r.id) * 10) / 10 };
+        return fields ? Object.fromEntries(fields.filter(f => f in row).map(f => [f, row[f]])) : row;
+    };
 
-    // Add MiCI-only listings from database (not in ATP PDF)
-    try {
-        let miciQuery = supabase
-            .from('listings')
-            .select('id, name, phone, email, province, rental_type, phone_member, email_member, address, photos, is_member, membership_paid_until, slug, registry_source, atp_active')
-            .eq('registry_source', 'mici')
-            .eq('atp_active', false);
-
-        // Apply same filters to MiCI listings
-        if (province) miciQuery = miciQuery.eq('province', province);
-        if (type)     miciQuery = miciQuery.eq('rental_type', type);
-
-        const { data: miciListings } = await miciQuery;
-
-        if (miciListings && miciListings.length > 0) {
-          let miciFiltered = miciListings;
-          if (search) {
-              const s = search.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-              const words = s.split(/\s+/).filter(w => w.length >= 3);
-              const normalize = str => (str||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-              const tokenizeMici = str => (str||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[\s@._\-\/]+/).filter(t => t.length > 0);
-              const scored = miciListings.map(r => {
-                  const n = normalize(r.name);
-                  const e = normalize(r.email_member || r.email || '');
-                  const p = normalize(r.phone_member || r.phone || '');
-                  const v = normalize(r.province||'');
-                  const allTokens = [...tokenizeMici(r.name), ...tokenizeMici(r.email_member||r.email||''), ...tokenizeMici(r.phone_member||r.phone||''), ...tokenizeMici(r.province||'')];
-                  let score = 0;
-                  const a = normalize(r.address||'');
-                  const sRe = new RegExp('(^|\\s)' + s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(\\s|$)');
-                  if (sRe.test(n) || sRe.test(e) || sRe.test(p) || sRe.test(v)) score = 100;
-                  else if (n.includes(s) || e.includes(s) || p.includes(s) || v.includes(s)) score = 90;
-                  else if (words.every(w => allTokens.some(t => t === w))) score = 80;
-                  else if (words.some(w => allTokens.some(t => t === w))) score = 40;
-                  else if (words.some(w => n.includes(w) || e.includes(w) || p.includes(w) || v.includes(w))) score = 5;
-                  if (score > 0) {
-                      if (r.is_member)     score += 3;
-                      if (r.apatel_member) score += 2;
-                      if (r.atp_active)    score += 1;
-                  }
-                  return { r, score };
-              });
-              const miciGood = scored.filter(x => x.score >= 40);
-              const miciFinal = miciGood.length > 0 ? miciGood : scored.filter(x => x.score > 0);
-              miciFinal.sort((a, b) => b.score - a.score);
-              miciFiltered = miciFinal.map(x => x.r);
-          }
-          filtered = [...filtered, ...miciFiltered];
-      }
-    } catch (err) {
-        console.error('Error fetching MiCI listings:', err.message);
-    }
+    // Paging (and facets=1) is opt-in so existing callers keep getting the whole array
+    res.set('X-Total-Count', String(filtered.length));
+    const withFacets = ['1', 'true'].includes(String(req.query.facets));
+    if (req.query.limit === undefined && req.query.offset === undefined && !withFacets) return res.json(filtered.map(project));
+    const { limit, offset } = parsePage(req.query);
+    const nextOffset = offset + limit < filtered.length ? offset + limit : null;
+    res.json({
+        total:       filtered.length,
+        offset,
+        limit,
+        sort,
+        next_offset: nextOffset,
+        items:       filtered.slice(offset, offset + limit).map(project),
+        ...(withFacets && { facets: facetCounts(matching, facetQuery) })
+    });
+});
 
+// ── GET /api/rentals/suggest?q=cas&lang=en ───────────────────────────────────
+// Completions for the search box while the visitor types: names (with id/slug
+// when the name is a single listing), provinces and keywords. When the text
+// as typed finds no listing, `did_you_mean` offers a spelling that does.
+app.get('/api/rentals/suggest', (req, res) => {
+    const q = String(req.query.q || '').slice(0, 100);
+    if (!q.trim()) return res.json({ query: q, suggestions: [], did_you_mean: null });
+    const lang  = req.query.lang === 'en' ? 'en' : 'es';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
 
-    // Deduplicate: MiCI listings may share name with ATP listings
-    // Keep MiCI version (has registry_source) over ATP version when duplicate
-    const seen = new Map();
-    for (const r of filtered) {
-        const key = `${r.name?.toLowerCase().trim()}|${r.province?.toLowerCase().trim()}`;
-        if (!seen.has(key)) {
-            seen.set(key, r);
-        } else {
-            // Prefer the one with registry_source set (MiCI) over bare ATP entry
-            const existing = seen.get(key);
-            if (!existing.registry_source && r.registry_source) {
-                seen.set(key, r);
-            }
-        }
+    const suggestions = suggestIndex.suggest(q, { lang, limit });
+    let didYouMean = null;
+    if (!searchIndex.search(q).length) {
+        const corrected = suggestIndex.correct(q);
+        if (corrected && searchIndex.search(corrected, { prefix: false }).length) didYouMean = corrected;
     }
-    filtered = Array.from(seen.values());
-    const keywords = req.query.keyword
-        ? (Array.isArray(req.query.keyword) ? req.query.keyword : [req.query.keyword])
-        : [];
-    if (keywords.length) filtered = filtered.filter(r =>
-        Array.isArray(r.listing_keywords) && keywords.every(kw => r.listing_keywords.includes(kw))
-    );
-    if (!search) {
-        filtered.sort((a, b) => {
-            const ra = a.feature_rank || 0;
-            const rb = b.feature_rank || 0;
-            if (ra > 0 && rb > 0) return ra - rb;
-            if (ra > 0) return -1;
-            if (rb > 0) return 1;
-            return 0;
-        });
-    }
-    res.json(filtered);
+    res.json({ query: q, suggestions, did_you_mean: didYouMean });
 });
 
+// ── /api/v1 — the partner API (api-v1.js), keys issued from the admin page ──
+app.use('/api/v1', createApiV1({ listingIndex, listingQuery, apiKeys }));
+
 app.get('/api/status', (req, res) => {
     res.json({
         status: PDF_STATUS,
         lastUpdated: new Date().toISOString(),
-        rentalsCount: CURRENT_RENTALS.length,
+        rentalsCount: listingIndex.size,
         pdfUrl: PDF_URL,
         pdfHeading: PDF_HEADING,
         dataSource: DATA_SOURCE,
@@ -1302,26 +655,15 @@ app.get('/api/ping', (req, res) => {
 });
 
 app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString(), pdf_status: PDF_STATUS, total_rentals: CURRENT_RENTALS.length });
+    res.json({ status: 'OK', timestamp: new Date().toISOString(), pdf_status: PDF_STATUS, total_rentals: listingIndex.size });
 });
 
 // Manual trigger to check ATP for updates. By default does a genuine check —
 // only re-parses if the PDF URL actually changed. Pass ?force=true to bypass
 // that and re-parse regardless (e.g. to re-run the diff after a code change).
-app.post('/api/reload-pdf', async (req, res) => {
-    // Accepts either an admin session token (from the admin panel button) OR
-    // the shared secret (from the daily GitHub Actions cron job), since the
-    // latter runs from rotating IPs and can't pass the IP-locked admin login.
-    const bearer = req.headers['authorization']?.replace('Bearer ', '');
-    let isAdminToken = false;
-    if (bearer) {
-        try {
-            isAdminToken = Buffer.from(bearer, 'base64').toString().split(':')[0] === 'admin';
-        } catch {}
-    }
-    const bodySecret = req.body?.secret;
-    const isCronSecret = bodySecret && bodySecret === process.env.ADMIN_SECRET;
-    if (!isAdminToken && !isCronSecret) return res.status(403).json({ error: 'Denied' });
+// Called by the admin panel button (registry permission) and by the daily
+// GitHub Actions workflow (its reload-pdf job token).
+app.post('/api/reload-pdf', requireJob('reload-pdf', { fallback: requireAdmin('registry') }), async (req, res) => {
     try {
         console.log('🔄 PDF reload triggered...');
         if (req.query.force === 'true') {
@@ -1331,7 +673,7 @@ app.post('/api/reload-pdf', async (req, res) => {
         res.json({
             success: true,
             dataSource: DATA_SOURCE,
-            rentalsCount: CURRENT_RENTALS.length,
+            rentalsCount: listingIndex.size,
             pdfUrl: PDF_URL,
             heading: PDF_HEADING,
             pendingDiff: !!PENDING_ATP_DIFF
@@ -1341,22 +683,16 @@ app.post('/api/reload-pdf', async (req, res) => {
     }
 });
 
-// Debug endpoints
-app.get('/api/debug-rentals', (req, res) => {
-    res.json({
-        CURRENT_RENTALS_length: CURRENT_RENTALS.length,
-        PDF_URL, PDF_HEADING, PDF_STATUS, DATA_SOURCE
-    });
-});
-
-app.get('/api/test-heading', async (req, res) => {
-    try {
-        const result = await getLatestPdfUrl();
-        res.json(result);
-    } catch (error) {
-        res.json({ error: error.message });
-    }
-});
+// PDF state, Supabase, mailer, jobs, request headers — see diagnostics.js.
+// Replaces the old public /api/debug-* and /api/test-* endpoints.
+app.use('/api/admin/diagnostics', createDiagnostics({
+    db: supabaseAdmin,
+    listingIndex,
+    atpIngest,
+    jobTokens,
+    state: () => ({ PDF_URL, PDF_HEADING, PDF_STATUS, DATA_SOURCE, PENDING_ATP_DIFF }),
+    requireAdmin
+}));
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -1364,40 +700,87 @@ app.get('/', (req, res) => {
 
 // The /api/debug-reload endpoint was removed because it could rewrite the database unintentionally
 
+// Pages link "Call"/WhatsApp from these instead of parsing the raw phone strings
+const withPhoneNumbers = r => ({ ...r, phone_numbers: listingPhoneNumbers(r) });
+
 // Slug endpoint to find record with slug and ID
 app.get('/api/listing/slug/:slug', async (req, res) => {
     const { slug } = req.params;
     const { data, error } = await supabase
         .from('listings')
-        .select('id, name, phone, email, province, rental_type, atp_active, atp_first_seen, atp_last_seen, address, description_en, description_es, photos, website_url, booking_url, is_member, membership_paid_until, contact_name, slug, phone_member, email_member, custom_links, is_trial, trial_started_at, registry_source, apatel_member, listing_keywords')
+        .select('id, name, phone, email, province, rental_type, atp_active, atp_first_seen, atp_last_seen, address, description_en, description_es, photos, website_url, booking_url, is_member, membership_paid_until, contact_name, slug, phone_member, email_member, custom_links, is_trial, trial_started_at, registry_source, apatel_member, listing_keywords, whatsapp, latitude, longitude, geo_source, geo_place')
         .eq('slug', slug)
         .single();
     if (error || !data) return res.status(404).json({ error: 'Not found' });
-    res.json(data);
+    res.json(withPhoneNumbers(data));
 });
 
 app.get('/api/listing/:id', async (req, res) => {
     const { id } = req.params;
     const { data, error } = await supabase
         .from('listings')
-        .select('id, name, phone, email, province, rental_type, atp_active, atp_first_seen, atp_last_seen, address, description_en, description_es, photos, website_url, booking_url, is_member, membership_paid_until, contact_name, phone_member, email_member, custom_links, slug, is_trial, trial_started_at, registry_source, apatel_member, listing_keywords')
+        .select('id, name, phone, email, province, rental_type, atp_active, atp_first_seen, atp_last_seen, address, description_en, description_es, photos, website_url, booking_url, is_member, membership_paid_until, contact_name, phone_member, email_member, custom_links, slug, is_trial, trial_started_at, registry_source, apatel_member, listing_keywords, whatsapp, latitude, longitude, geo_source, geo_place')
         .eq('id', id)
         .single();
     if (error || !data) return res.status(404).json({ error: 'Not found' });
-    res.json(data);
+    res.json(withPhoneNumbers(data));
+});
+
+// ── GET /api/badge/:slug?format=svg|html|json&lang=es|en ─────────────────────
+// The badge members embed on their own sites (badge.js) and the data behind
+// verify.html. Read from the listing index, so it follows the applied ATP
+// report; caches only briefly for the same reason. An unknown slug still gets
+// a badge ("not found") so a broken embed shows why.
+app.get('/api/badge/:slug', (req, res) => {
+    const key = req.params.slug;
+    const row = /^\d+$/.test(key)
+        ? listingIndex.get(Number(key))
+        : listingIndex.all().find(r => r.slug === key);
+    const status = badgeStatus(row || null);
+    const lang = req.query.lang === 'en' ? 'en' : 'es';
+
+    res.status(row ? 200 : 404).set('Cache-Control', 'public, max-age=300');
+    if (req.query.format === 'json') return res.json({ ...status, checked_at: new Date().toISOString() });
+    if (req.query.format === 'html') return res.type('html').send(renderBadgeHtml(status, { lang }));
+    res.type('image/svg+xml').send(renderBadgeSvg(status, { lang }));
 });
 
 // ── Admin-only: mint a valid listing session token without the member's ──
-// password. Uses the exact same token format /api/listing-login produces,
-// so it works identically once loaded — no password reset, no shared
+// password. A member session like /api/listing-login's (member-sessions.js),
+// marked via 'admin' and shorter-lived — no password reset, no shared
 // credential, member's own password is completely untouched.
-app.get('/api/admin/listing-access-token/:id', requireAdmin, async (req, res) => {
+app.get('/api/admin/listing-access-token/:id', requireAdmin('members'), async (req, res) => {
     const id = parseInt(req.params.id);
     const { data, error } = await supabaseAdmin
         .from('listings').select('id, is_member').eq('id', id).single();
     if (error || !data) return res.status(404).json({ error: 'Listing not found' });
-    const token = Buffer.from(`${id}:${Date.now()}:${process.env.ADMIN_SECRET}`).toString('base64');
-    res.json({ token });
+    try {
+        const token = await memberSessions.issue(id, { via: 'admin', req });
+        await logEvent('admin_listing_session', { listing_id: id });
+        res.json({ token });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── Admin kill-switch: a listing's member sessions, and ending all of them ──
+app.get('/api/admin/listing-sessions/:id', requireAdmin('members'), async (req, res) => {
+    try {
+        res.json(await memberSessions.list(parseInt(req.params.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/listing-sessions/:id/revoke', requireAdmin('members'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    try {
+        const revoked = await memberSessions.revokeListing(id, 'admin');
+        await logEvent('member_sessions_revoked', { listing_id: id, revoked });
+        res.json({ success: true, revoked });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 
@@ -1416,63 +799,206 @@ app.post('/api/listing-login', async (req, res) => {
         return res.status(403).json({ error: 'Not a member' });
     }
 
-    // Check membership is still valid
-    const paidUntil = new Date(data.membership_paid_until);
-    if (paidUntil < new Date()) {
-        return res.status(403).json({ error: 'Membership expired' });
+    // Check membership is still valid
+    const paidUntil = new Date(data.membership_paid_until);
+    if (paidUntil < new Date()) {
+        return res.status(403).json({ error: 'Membership expired' });
+    }
+
+    // Verify password
+    const match = await bcrypt.compare(password, data.member_password);
+    if (!match) return res.status(401).json({ error: 'Invalid password' });
+
+    try {
+        const token = await memberSessions.issue(data.id, { via: 'password', req });
+        res.json({ token, message: 'Login successful' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Ends the session the request carries; an already dead token is fine
+app.post('/api/listing-logout', async (req, res) => {
+    const bearer = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+    try {
+        const { sessionId } = await memberSessions.verify((bearer && bearer[1]) || req.body.token);
+        await memberSessions.revoke(sessionId, 'logout');
+    } catch (err) {
+        if (!(err instanceof MemberSessionError)) return res.status(500).json({ error: err.message });
+    }
+    res.json({ success: true });
+});
+
+// ── Magic-link login: an alternative to the password ─────────────────────────
+// POST /api/request-login-link mails a one-time link to the member's address
+// (email_member, else the ATP email). It answers the same whether or not a
+// link went out, like /api/request-password-reset. At most 3 links per
+// listing per 15 minutes, so the form can't be used to flood an inbox.
+const loginLinkRateLimit = new Map(); // listing id -> { count, reset }
+
+app.post('/api/request-login-link', async (req, res) => {
+    const id = parseInt(req.body.id);
+    const lang = req.body.lang === 'en' ? 'en' : 'es';
+    if (!id) return res.status(400).json({ error: 'Missing id' });
+
+    const now = Date.now();
+    const rl = loginLinkRateLimit.get(id) || { count: 0, reset: now + 15 * 60 * 1000 };
+    if (now > rl.reset) { rl.count = 0; rl.reset = now + 15 * 60 * 1000; }
+    rl.count++;
+    loginLinkRateLimit.set(id, rl);
+    if (rl.count > 3) return res.status(429).json({ error: 'Too many requests. Try again later.' });
+
+    const { data: listing, error } = await supabaseAdmin
+        .from('listings')
+        .select('id, name, is_member, membership_paid_until, email_member, email')
+        .eq('id', id)
+        .maybeSingle();
+    if (error) return res.status(500).json({ error: error.message });
+    if (!listing || !listing.is_member || new Date(listing.membership_paid_until) < new Date()) {
+        return res.json({ success: true });
+    }
+    const to = listingEmail(listing, await loadBouncedEmails(supabaseAdmin));
+    if (!isMailable(to.status)) return res.json({ success: true });
+
+    try {
+        const token = await memberSessions.issueLoginLink(listing.id, { req });
+        const linkUrl = `https://trustedpanamastays.com/api/login-link?token=${token}&lang=${lang}`;
+        const t = lang === 'en'
+            ? { subject: 'Your login link — Trusted Panama Stays', intro: `Here is your link to edit the page of <strong>${listing.name}</strong>:`, button: 'Log in',
+                valid: 'The link works once, within <strong>15 minutes</strong>.', ignore: 'If you did not ask for it, ignore this message — nobody can log in without it.' }
+            : { subject: 'Su enlace de acceso — Trusted Panama Stays', intro: `Este es su enlace para editar la página de <strong>${listing.name}</strong>:`, button: 'Ingresar',
+                valid: 'El enlace sirve una sola vez, durante <strong>15 minutos</strong>.', ignore: 'Si no lo solicitó, ignore este mensaje — nadie puede ingresar sin él.' };
+        const html = `
+<html><body style="font-family:Arial,sans-serif;font-size:14px;color:#111;max-width:600px;">
+<div style="background:linear-gradient(135deg,#005ca9,#00a859);padding:1.5rem;border-radius:10px;margin-bottom:1.5rem;">
+    <h1 style="color:white;margin:0;font-size:1.4rem;">Trusted Panama Stays</h1>
+</div>
+<p>${t.intro}</p>
+<p style="margin:1.5rem 0;">
+    <a href="${linkUrl}"
+       style="background:#005ca9;color:white;padding:10px 20px;text-decoration:none;border-radius:6px;font-weight:bold;">
+        ${t.button}
+    </a>
+</p>
+<p style="color:#666;font-size:0.85rem;">${t.valid}</p>
+<p style="color:#666;font-size:0.85rem;">${t.ignore}</p>
+<hr style="border:none;border-top:1px solid #e1e5e9;margin:1.5rem 0;">
+<p style="color:#888;font-size:0.78rem;">Trusted Panama Stays · Tuscany Real Estates SA · RUC 1401220-1-627960 DV21</p>
+</body></html>`;
+        await sendEmail(supabaseAdmin, { subject: t.subject, html, to: to.address }, { source: 'login_link' });
+    } catch (err) {
+        console.error('Login link email failed:', err.message);
+        return res.status(500).json({ error: 'Could not send the login link' });
+    }
+
+    await logEvent('login_link_requested', { listing_id: listing.id, field: to.field });
+    res.json({ success: true });
+});
+
+// ── GET /api/login-link — the link in the email. Like /api/extend-trial it
+// only shows a confirmation page and writes nothing, so Safe Links and other
+// scanners that open it first don't use it up; the member's click on the
+// button POSTs to /api/login-link/confirm, which starts the session, stores
+// it the way listing.html does and opens the listing in edit mode. ──
+app.get('/api/login-link', async (req, res) => {
+    const isEn = req.query.lang === 'en';
+    const t = isEn
+        ? { title: 'Log in to Trusted Panama Stays', text: 'Click the button to log in and edit your listing.', button: 'Log in →', working: 'Logging in…', failed: 'Something went wrong. Please request a new link.', invalid: 'Link not valid' }
+        : { title: 'Ingresar a Trusted Panama Stays', text: 'Haga clic en el botón para ingresar y editar su listado.', button: 'Ingresar →', working: 'Ingresando…', failed: 'Ocurrió un error. Solicite un enlace nuevo.', invalid: 'Enlace no válido' };
+    const page = body => res.send(`<html><head><meta name="viewport" content="width=device-width, initial-scale=1.0"><meta name="robots" content="noindex"></head>
+<body style="font-family:Arial,sans-serif;text-align:center;padding:60px 20px;color:#111;">${body}
+<p><a href="https://trustedpanamastays.com" style="color:#005ca9;">trustedpanamastays.com</a></p>
+</body></html>`);
+
+    try {
+        await memberSessions.checkLoginLink(req.query.token);
+    } catch (err) {
+        if (!(err instanceof MemberSessionError)) console.error('login-link error:', err.message);
+        return page(`<h2 style="color:#c0392b;">${t.invalid}</h2><p>${err instanceof MemberSessionError ? err.message : t.failed}</p>`);
     }
 
-    // Verify password
-    const match = await bcrypt.compare(password, data.member_password);
-    if (!match) return res.status(401).json({ error: 'Invalid password' });
+    // The token passed the lookup above, so it is one we issued (base64url)
+    const tokenJs = JSON.stringify(String(req.query.token));
+    return page(`<h2 style="color:#00a859;">${t.title}</h2>
+<p>${t.text}</p>
+<button id="confirmBtn" style="background-color:#005ca9;color:white;border:none;border-radius:8px;padding:12px 32px;font-weight:700;font-size:1rem;cursor:pointer;">${t.button}</button>
+<p id="resultMsg" style="margin-top:20px;"></p>
+<script>
+document.getElementById('confirmBtn').addEventListener('click', async () => {
+    const btn = document.getElementById('confirmBtn');
+    btn.disabled = true; btn.textContent = ${JSON.stringify(t.working)};
+    try {
+        const resp = await fetch('/api/login-link/confirm', {
+            method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: ${tokenJs} })
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error);
+        sessionStorage.setItem('tps_token_' + data.listing_id, data.token);
+        location.href = '/listing.html?id=' + data.listing_id + '&lang=${isEn ? 'en' : 'es'}';
+    } catch (e) {
+        document.getElementById('resultMsg').innerHTML = '<strong style="color:#c0392b;"></strong>';
+        document.getElementById('resultMsg').firstChild.textContent = e.message || ${JSON.stringify(t.failed)};
+        btn.style.display = 'none';
+    }
+});
+</script>`);
+});
 
-    // Return a simple session token (id + timestamp, signed)
-    const token = Buffer.from(`${id}:${Date.now()}:${process.env.ADMIN_SECRET}`).toString('base64');
-    res.json({ token, message: 'Login successful' });
+// ── POST /api/login-link/confirm — uses the link up and returns a member
+// session, as /api/listing-login does after a password. ──
+app.post('/api/login-link/confirm', async (req, res) => {
+    try {
+        const { token, listingId } = await memberSessions.redeemLoginLink(req.body.token, { req });
+        await logEvent('login_link_used', { listing_id: listingId });
+        res.json({ token, listing_id: listingId, message: 'Login successful' });
+    } catch (err) {
+        if (err instanceof MemberSessionError) return res.status(err.status).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
 });
 
-app.post('/api/listing-update', async (req, res) => {
-    const bcrypt = require('bcrypt');
-    const { id, token, address, phone_member, email_member, description_en,
+app.post('/api/listing-update', requireMemberSession(req => req.body.id), async (req, res) => {
+    const { id, address, phone_member, email_member, description_en,
         description_es, website_url, booking_url, photos, custom_links, listing_keywords } = req.body;
 
-    // Verify token
-    try {
-        const decoded = Buffer.from(token, 'base64').toString();
-        const [tokenId] = decoded.split(':');
-        if (tokenId !== String(id)) return res.status(403).json({ error: 'Invalid token' });
-    } catch {
-        return res.status(403).json({ error: 'Invalid token' });
+    // Coordinates: a pin sent from the form wins. Without one — the member
+    // cleared it, or never set one — place the listing from its (new) address
+    // against the gazetteer; an older page that doesn't send the pin keeps it.
+    const updates = { address, phone_member, email_member, description_en, description_es, website_url, booking_url, photos, custom_links, listing_keywords };
+    const current = listingIndex.get(id);
+    const { latitude, longitude } = req.body;
+    if (latitude != null && latitude !== '') {
+        const pin = geo.memberCoordinates(latitude, longitude);
+        if (!pin) return res.status(400).json({ error: 'The map pin must be a latitude/longitude in Panama' });
+        Object.assign(updates, pin);
+    } else if (current && ('latitude' in req.body || current.geo_source !== 'member')) {
+        Object.assign(updates, geo.geocodeListing({ ...current, address }) || geo.NO_COORDINATES);
     }
 
     // Only allow member-owned fields — never ATP fields
     const { error } = await supabaseAdmin
         .from('listings')
-        .update({ address, phone_member, email_member, description_en, description_es, website_url, booking_url, photos, custom_links, listing_keywords })
+        .update(updates)
         .eq('id', id);
 
     if (error) return res.status(500).json({ error: error.message });
+    await listingIndex.refresh(id);
 
     // Re-rank featured listings — a member adding photos/description here can
     // move them into a higher tier (e.g. trial+photo vs trial+no-photo), which
     // this endpoint previously never triggered a recalculation for.
     await recalculateFeatureRanks();
 
-    res.json({ success: true });
+    // Where the listing ended up on the map, for the form to show
+    const location = 'latitude' in updates
+        ? { latitude: updates.latitude, longitude: updates.longitude, geo_source: updates.geo_source, geo_place: updates.geo_place }
+        : undefined;
+    res.json({ success: true, location });
 });
 
-app.post('/api/listing-photo-upload', upload.single('photo'), async (req, res) => {
-    const { listingId, token } = req.body;
-    if (!listingId || !token) return res.status(400).json({ error: 'Missing params' });
-
-    // Verify token
-    try {
-        const decoded = Buffer.from(token, 'base64').toString();
-        const [tokenId] = decoded.split(':');
-        if (tokenId !== String(listingId)) return res.status(403).json({ error: 'Invalid token' });
-    } catch {
-        return res.status(403).json({ error: 'Invalid token' });
-    }
+app.post('/api/listing-photo-upload', upload.single('photo'), requireMemberSession(req => req.body.listingId), async (req, res) => {
+    const { listingId } = req.body;
 
     if (!req.file) return res.status(400).json({ error: 'No file received' });
 
@@ -1503,9 +1029,8 @@ app.post('/api/listing-photo-upload', upload.single('photo'), async (req, res) =
 });
 
 // ── Update admin IP (call this from phone/PC daily) ───────────────────────────
-app.get('/api/update-admin-ip', async (req, res) => {
-    const { secret, ip: explicitIp } = req.query;
-    if (secret !== process.env.ADMIN_SECRET) return res.status(403).send('Denied');
+app.get('/api/update-admin-ip', requireJob('admin-ip'), async (req, res) => {
+    const { ip: explicitIp } = req.query;
     // Prefer an explicitly-passed IP (from updateMyIP.php, which already knows
     // the real caller's IP from its own $_SERVER["REMOTE_ADDR"]) over detecting
     // it from this request's connection — since this endpoint is often called
@@ -1521,7 +1046,7 @@ app.get('/api/update-admin-ip', async (req, res) => {
     res.send(`✅ Admin IP updated: ${ip}`);
 });
 
-app.post('/api/admin/update-ip', requireAdmin, async (req, res) => {
+app.post('/api/admin/update-ip', requireAdmin('settings'), async (req, res) => {
     const ip = req.headers['x-forwarded-for']?.split(',')[0].trim()
              || req.socket.remoteAddress;
     const { error } = await supabaseAdmin
@@ -1542,11 +1067,11 @@ async function getAdminIP() {
     return data ? data.value : null;
 }
 
-// ── Admin login (IP + password) ───────────────────────────────────────────────
+// ── Admin login (username + password, TOTP code when enabled) ─────────────────
 const adminLoginRateLimit = new Map(); // ip -> { count, reset }
 
 app.post('/api/admin-login', async (req, res) => {
-    const { password } = req.body;
+    const { username, password, code } = req.body;
     const visitorIP = req.headers['x-forwarded-for']?.split(',')[0].trim()
                     || req.socket.remoteAddress;
 
@@ -1562,46 +1087,74 @@ app.post('/api/admin-login', async (req, res) => {
         return res.status(429).json({ error: 'Too many attempts. Try again later.' });
     }
 
-    if (password !== process.env.ADMIN_PASSWORD) {
-        return res.status(401).json({ error: 'Wrong password' });
+    try {
+        const { token, user } = await adminAuth.login({ username, password, code });
+        console.log(`✅ Admin login: ${user.username} (${user.role}) from ${visitorIP}`);
+        await logEvent('admin_login', { admin_user: user.username, admin_user_id: user.id, ip: visitorIP });
+        res.json({ token, user, permissions: permissionsOf(user) });
+    } catch (err) {
+        if (err instanceof AdminAuthError) return res.status(err.status).json({ error: err.message, ...err.extra });
+        res.status(500).json({ error: err.message });
     }
-
-    const token = Buffer.from(`admin:${Date.now()}:${process.env.ADMIN_SECRET}`).toString('base64');
-    console.log(`✅ Admin login from ${visitorIP}`);
-    res.json({ token });
 });
 
-// ── Admin auth middleware ──────────────────────────────────────────────────────
-async function requireAdmin(req, res, next) {
-    const token = req.headers['authorization']?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ error: 'No token' });
+// ── The logged-in admin: who they are and what their role allows ─────────────
+app.get('/api/admin/me', requireAdmin(), (req, res) => {
+    res.json({ user: publicUser(req.admin), permissions: permissionsOf(req.admin), roles: Object.keys(ROLES) });
+});
 
+// Own password and authenticator (TOTP). Setup returns a secret to add to the
+// app; enable switches it on once a code from the app matches.
+const adminAccountRoute = fn => async (req, res) => {
     try {
-        const decoded = Buffer.from(token, 'base64').toString();
-        const [role, timestamp, secret] = decoded.split(':');
-        if (role !== 'admin') return res.status(403).json({ error: 'Not admin' });
-        if (secret !== process.env.ADMIN_SECRET) return res.status(403).json({ error: 'Invalid token' });
-
-        // Token expires after 4 hours
-        if (Date.now() - parseInt(timestamp) > 4 * 60 * 60 * 1000) {
-            return res.status(401).json({ error: 'Session expired' });
-        }
-
-        next();
-    } catch {
-        return res.status(403).json({ error: 'Invalid token' });
+        res.json({ success: true, ...(await fn(req)) });
+    } catch (err) {
+        if (err instanceof AdminAuthError) return res.status(err.status).json({ error: err.message });
+        res.status(500).json({ error: err.message });
     }
-}
+};
+app.post('/api/admin/me/password', requireAdmin(), adminAccountRoute(async req => {
+    await adminAuth.changeOwnPassword(req.admin, req.body.current_password, req.body.new_password);
+    await logEvent('admin_password_changed', {});
+}));
+app.post('/api/admin/me/totp/setup', requireAdmin(), adminAccountRoute(req => adminAuth.setupTotp(req.admin)));
+app.post('/api/admin/me/totp/enable', requireAdmin(), adminAccountRoute(async req => {
+    await adminAuth.enableTotp(req.admin, req.body.code);
+    await logEvent('admin_totp_enabled', {});
+}));
+app.post('/api/admin/me/totp/disable', requireAdmin(), adminAccountRoute(async req => {
+    await adminAuth.disableTotp(req.admin, req.body.code);
+    await logEvent('admin_totp_disabled', {});
+}));
+
+// ── Admin accounts (superadmins) ──────────────────────────────────────────────
+app.get('/api/admin/users', requireAdmin('settings'), adminAccountRoute(async () => ({ users: await adminAuth.listUsers(), roles: ROLES })));
+app.post('/api/admin/users', requireAdmin('settings'), adminAccountRoute(async req => {
+    const { username, display_name, password, role } = req.body;
+    const user = await adminAuth.createUser({ username, display_name, password, role });
+    await logEvent('admin_user_created', { id: user.id, username: user.username, role: user.role });
+    return { user };
+}));
+app.post('/api/admin/users/:id', requireAdmin('settings'), adminAccountRoute(async req => {
+    const { role, display_name, active, password, reset_totp } = req.body;
+    const user = await adminAuth.updateUser(parseInt(req.params.id), { role, display_name, active, password, reset_totp });
+    await logEvent('admin_user_updated', {
+        id: user.id, username: user.username, role, active,
+        password_reset: !!password, totp_reset: !!reset_totp
+    });
+    return { user };
+}));
 
 // ── Admin API: get all members ────────────────────────────────────────────────
-app.get('/api/admin/members', requireAdmin, async (req, res) => {
+// Campaign managers read the list too — it is what they pick recipients from
+app.get('/api/admin/members', requireAdmin(['members', 'campaigns']), async (req, res) => {
     let allData = [];
     let from = 0;
     const BATCH = 1000;
     while (true) {
       const { data, error } = await supabase
           .from('listings')
-          .select('id, name, email, phone, province, rental_type, is_member, is_trial, membership_paid_until, invitation_sent_at, invitation_status, atp_active, slug, contact_name, notes, password_changed, apatel_member, feature_rank, whatsapp, photos, registry_source')
+          .select('id, name, email, email_member, phone, province, rental_type, is_member, is_trial, membership_paid_until, invitation_sent_at, invitation_status, atp_active, slug, contact_name, notes, password_changed, apatel_member, feature_rank, whatsapp, photos, registry_source')
           .order('name')
           .range(from, from + BATCH - 1);
         if (error) return res.status(500).json({ error: error.message });
@@ -1609,11 +1162,32 @@ app.get('/api/admin/members', requireAdmin, async (req, res) => {
         if (data.length < BATCH) break;
         from += BATCH;
     }
-    res.json(allData);
+    const bounced = await loadBouncedEmails(supabaseAdmin);
+    res.json(allData.map(m => ({ ...withPhoneNumbers(m), contact_email: listingEmail(m, bounced) })));
+});
+
+// ── Admin API: addresses the mailer rejected (recorded by sendEmail) ────────
+app.get('/api/admin/email-bounces', requireAdmin('members'), async (req, res) => {
+    const { data, error } = await supabaseAdmin
+        .from('email_bounces')
+        .select('email, reason, source, bounced_at')
+        .order('bounced_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data);
+});
+
+// Forget a bounce once the owner confirms the mailbox works again
+app.post('/api/admin/email-bounces/clear', requireAdmin('members'), async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Missing email' });
+    const { error } = await supabaseAdmin.from('email_bounces').delete().eq('email', email.toLowerCase().trim());
+    if (error) return res.status(500).json({ error: error.message });
+    await logEvent('email_bounce_cleared', { email });
+    res.json({ success: true });
 });
 
 // ── Admin API: update member ──────────────────────────────────────────────────
-app.post('/api/admin/update-member', requireAdmin, async (req, res) => {
+app.post('/api/admin/update-member', requireAdmin('members'), async (req, res) => {
     const { id, is_member, membership_paid_until, contact_name,
             slug, notes, phone, email, rental_type, apatel_member, set_featured } = req.body;
     if (!id) return res.status(400).json({ error: 'Missing id' });
@@ -1639,13 +1213,14 @@ app.post('/api/admin/update-member', requireAdmin, async (req, res) => {
         .update(updates)
         .eq('id', id);
     if (error) return res.status(500).json({ error: error.message });
+    await listingIndex.refresh(id);
     if (set_featured !== undefined) await recalculateFeatureRanks();
     await logEvent('admin_update_member', { id, is_member, contact_name, apatel_member, set_featured });
     res.json({ success: true });
 });
 
 // ── Admin API: set member password ────────────────────────────────────────────
-app.post('/api/admin/set-password', requireAdmin, async (req, res) => {
+app.post('/api/admin/set-password', requireAdmin('members'), async (req, res) => {
     const bcrypt = require('bcrypt');
     const { id, password } = req.body;
     if (!id || !password) return res.status(400).json({ error: 'Missing fields' });
@@ -1655,12 +1230,14 @@ app.post('/api/admin/set-password', requireAdmin, async (req, res) => {
         .update({ member_password: hash })
         .eq('id', id);
     if (error) return res.status(500).json({ error: error.message });
-    await logEvent('admin_set_password', { id });
+    const revoked = await memberSessions.revokeListing(id, 'admin_set_password')
+        .catch(err => { console.error('Session revoke after admin password set failed:', err.message); return 0; });
+    await logEvent('admin_set_password', { id, sessions_revoked: revoked });
     res.json({ success: true });
 });
 
 // ── Admin API: mark invitation sent ──────────────────────────────────────────
-app.post('/api/admin/mark-invited', requireAdmin, async (req, res) => {
+app.post('/api/admin/mark-invited', requireAdmin('campaigns'), async (req, res) => {
     const { id } = req.body;
     const { error } = await supabase
         .from('listings')
@@ -1674,7 +1251,7 @@ app.post('/api/admin/mark-invited', requireAdmin, async (req, res) => {
 // ── Send a real invitation email to a single listing (used by the admin ──
 // panel's status badge, so clicking "INVITE" actually invites instead of
 // just relabeling the status without contacting anyone).
-app.post('/api/admin/invite-single', requireAdmin, async (req, res) => {
+app.post('/api/admin/invite-single', requireAdmin('campaigns'), async (req, res) => {
     const { id } = req.body;
     if (!id) return res.status(400).json({ error: 'Missing id' });
 
@@ -1684,8 +1261,9 @@ app.post('/api/admin/invite-single', requireAdmin, async (req, res) => {
         .eq('id', id)
         .single();
     if (fetchErr || !listing) return res.status(404).json({ error: 'Listing not found' });
-    if (!listing.email || !listing.email.includes('@')) {
-        return res.status(400).json({ error: 'This listing has no valid email on file' });
+    const { status, address } = classifyEmail(listing.email, await loadBouncedEmails(supabaseAdmin));
+    if (!isMailable(status)) {
+        return res.status(400).json({ error: `This listing has no mailable email on file (${status})` });
     }
 
     const listUrl = listing.slug
@@ -1721,14 +1299,13 @@ app.post('/api/admin/invite-single', requireAdmin, async (req, res) => {
 </body></html>`;
 
     try {
-        const notifyPath = path.join(__dirname, 'public', 'notify.php');
-        await execFileAsync('php', [notifyPath, subject, message, listing.email], { timeout: 15000 });
+        await sendEmail(supabaseAdmin, { subject, html: message, to: address }, { source: 'invite_single' });
         await supabaseAdmin.from('listings').update({
             invitation_status: 'invited',
             invitation_sent_at: new Date().toISOString(),
             general_campaign_sent_at: new Date().toISOString() // so the batch campaign doesn't re-send later
         }).eq('id', id);
-        await logEvent('invitation_email_sent', { listing_id: id, name: listing.name, email: listing.email, source: 'manual_single' });
+        await logEvent('invitation_email_sent', { listing_id: id, name: listing.name, email: address, source: 'manual_single' });
         res.json({ success: true });
     } catch (err) {
         console.error(`Manual invite failed for ${listing.name}:`, err.message);
@@ -1736,28 +1313,10 @@ app.post('/api/admin/invite-single', requireAdmin, async (req, res) => {
     }
 });
 
-// ── Extracts a WhatsApp-ready international number from a phone string that ──
-// may contain multiple numbers separated by '/'. A number prefixed with '-'
-// (e.g. "-64427132") has been confirmed NOT on WhatsApp and is permanently
-// skipped — this makes re-running the scan always safe.
-function resolveWhatsAppNumber(phoneStr) {
-    if (!phoneStr) return null;
-    const parts = phoneStr.split('/').map(p => p.trim()).filter(Boolean);
-    for (const raw of parts) {
-        if (raw.startsWith('-')) continue; // confirmed not on WhatsApp
-        const hasPlus = raw.startsWith('+');
-        const digits  = raw.replace(/\D/g,'');
-        if (!digits) continue;
-        if (hasPlus) return digits;
-        if (digits.length === 11 && digits.startsWith('1')) return digits;
-        if (digits.length === 10) return '1' + digits;
-        if (digits.length === 8 && digits.startsWith('6')) return '507' + digits;
-    }
-    return null;
-}
-
 // ── Scan the whole directory and populate/refresh the whatsapp column ────────
-app.post('/api/admin/scan-whatsapp-candidates', requireAdmin, async (req, res) => {
+// whatsappCandidate() (phone.js) skips numbers prefixed with '-' — confirmed
+// NOT on WhatsApp — so re-running the scan is always safe.
+app.post('/api/admin/scan-whatsapp-candidates', requireAdmin('members'), async (req, res) => {
     try {
         let all = [];
         let from = 0;
@@ -1771,15 +1330,18 @@ app.post('/api/admin/scan-whatsapp-candidates', requireAdmin, async (req, res) =
             from += BATCH;
         }
         let updated = 0, cleared = 0, unchanged = 0;
+        const changedIds = [];
         for (const l of all) {
-            const candidate = resolveWhatsAppNumber(l.phone);
+            const candidate = whatsappCandidate(l.phone);
             if (candidate !== (l.whatsapp || null)) {
                 await supabaseAdmin.from('listings').update({ whatsapp: candidate }).eq('id', l.id);
+                changedIds.push(l.id);
                 candidate ? updated++ : cleared++;
             } else {
                 unchanged++;
             }
         }
+        await listingIndex.refresh(changedIds);
         await logEvent('whatsapp_scan_completed', { updated, cleared, unchanged, total: all.length });
         res.json({ success: true, updated, cleared, unchanged, total: all.length });
     } catch (err) {
@@ -1790,7 +1352,7 @@ app.post('/api/admin/scan-whatsapp-candidates', requireAdmin, async (req, res) =
 // ── Confirm a number is NOT on WhatsApp: mark it in the phone field so a ────
 // future scan never re-suggests it, clear the whatsapp column, and revert
 // the (incorrectly set) invited status since no message actually arrived.
-app.post('/api/admin/mark-whatsapp-invalid', requireAdmin, async (req, res) => {
+app.post('/api/admin/mark-whatsapp-invalid', requireAdmin('members'), async (req, res) => {
     const { id } = req.body;
     if (!id) return res.status(400).json({ error: 'Missing id' });
     try {
@@ -1798,19 +1360,12 @@ app.post('/api/admin/mark-whatsapp-invalid', requireAdmin, async (req, res) => {
             .from('listings').select('id, phone, whatsapp').eq('id', id).single();
         if (fetchErr || !listing) return res.status(404).json({ error: 'Listing not found' });
 
-        let newPhone = listing.phone || '';
-        if (listing.whatsapp && newPhone) {
-            newPhone = newPhone.split('/').map(part => {
-                const trimmed = part.trim();
-                if (trimmed.startsWith('-')) return part;
-                return resolveWhatsAppNumber(trimmed) === listing.whatsapp ? part.replace(trimmed, '-' + trimmed) : part;
-            }).join('/');
-        }
+        const newPhone = markNotOnWhatsApp(listing.phone, listing.whatsapp);
 
         // Immediately check if another mobile number in the same field is a
-        // fresh candidate — resolveWhatsAppNumber already skips '-' prefixed
+        // fresh candidate — whatsappCandidate already skips '-' prefixed
         // (confirmed invalid) numbers, so this naturally finds the next one.
-        const nextCandidate = resolveWhatsAppNumber(newPhone);
+        const nextCandidate = whatsappCandidate(newPhone);
 
         const { error } = await supabaseAdmin.from('listings').update({
             phone: newPhone,
@@ -1819,6 +1374,7 @@ app.post('/api/admin/mark-whatsapp-invalid', requireAdmin, async (req, res) => {
             invitation_sent_at: null
         }).eq('id', id);
         if (error) return res.status(500).json({ error: error.message });
+        await listingIndex.refresh(id);
         await logEvent('whatsapp_marked_invalid', { listing_id: id, old_phone: listing.phone, new_phone: newPhone, next_candidate: nextCandidate });
         res.json({ success: true, phone: newPhone, whatsapp: nextCandidate });
     } catch (err) {
@@ -1831,12 +1387,12 @@ app.post('/api/admin/mark-whatsapp-invalid', requireAdmin, async (req, res) => {
 // {name} and {url} are replaced with the listing's name and its listing page link.
 const WA_TEMPLATE_DEFAULT = `Hola! Su hospedaje *{name}* aparece en *Trusted Panama Stays*, el directorio oficial de hospedajes registrados ante la ATP en Panamá.\n\nCon una membresía de prueba (30 días gratis) puede agregar fotos, descripción completa y enlaces de reserva a su perfil.\n\nMás información: https://trustedpanamastays.com/about.html?lang=es\n\nVer su listado actual: {url}\n\n¿Le interesa? Con gusto le ayudamos a configurar su perfil.`;
 
-app.get('/api/admin/wa-template', requireAdmin, async (req, res) => {
+app.get('/api/admin/wa-template', requireAdmin('campaigns'), async (req, res) => {
     const { data } = await supabaseAdmin.from('settings').select('value').eq('key', 'wa_campaign_template_es').maybeSingle();
     res.json({ template: data?.value || WA_TEMPLATE_DEFAULT, isDefault: !data?.value });
 });
 
-app.post('/api/admin/wa-template', requireAdmin, async (req, res) => {
+app.post('/api/admin/wa-template', requireAdmin('campaigns'), async (req, res) => {
     const { template } = req.body;
     if (!template || !template.trim()) return res.status(400).json({ error: 'Template cannot be empty' });
     const { error } = await supabaseAdmin.from('settings').upsert({
@@ -1848,7 +1404,7 @@ app.post('/api/admin/wa-template', requireAdmin, async (req, res) => {
 });
 
 // ── WhatsApp campaign queue — persistent, click-through-one-at-a-time list ───
-app.post('/api/admin/wa-queue/add', requireAdmin, async (req, res) => {
+app.post('/api/admin/wa-queue/add', requireAdmin('campaigns'), async (req, res) => {
     const { targets } = req.body;
     if (!Array.isArray(targets) || !targets.length) return res.status(400).json({ error: 'No targets provided' });
     const rows = targets.filter(t => t.whatsapp).map(t => ({
@@ -1862,7 +1418,7 @@ app.post('/api/admin/wa-queue/add', requireAdmin, async (req, res) => {
     res.json({ success: true, added: rows.length });
 });
 
-app.get('/api/admin/wa-queue', requireAdmin, async (req, res) => {
+app.get('/api/admin/wa-queue', requireAdmin('campaigns'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('wa_campaign_queue')
         .select('id, listing_id, name, slug, whatsapp, status, created_at')
@@ -1872,7 +1428,7 @@ app.get('/api/admin/wa-queue', requireAdmin, async (req, res) => {
     res.json(data);
 });
 
-app.post('/api/admin/wa-queue/:id/mark-sent', requireAdmin, async (req, res) => {
+app.post('/api/admin/wa-queue/:id/mark-sent', requireAdmin('campaigns'), async (req, res) => {
     const id = parseInt(req.params.id);
     const { data: row } = await supabaseAdmin.from('wa_campaign_queue').select('listing_id').eq('id', id).single();
     await supabaseAdmin.from('wa_campaign_queue').update({ status: 'sent', sent_at: new Date().toISOString() }).eq('id', id);
@@ -1884,7 +1440,7 @@ app.post('/api/admin/wa-queue/:id/mark-sent', requireAdmin, async (req, res) =>
     res.json({ success: true });
 });
 
-app.post('/api/admin/wa-queue/:id/skip', requireAdmin, async (req, res) => {
+app.post('/api/admin/wa-queue/:id/skip', requireAdmin('campaigns'), async (req, res) => {
     await supabaseAdmin.from('wa_campaign_queue').update({ status: 'skipped' }).eq('id', parseInt(req.params.id));
     res.json({ success: true });
 });
@@ -1913,7 +1469,7 @@ const HELP_FILES = {
     // add one entry here each time a new button/section gets tagged with data-help
 };
 
-app.get('/api/admin/help-content/:key', requireAdmin, async (req, res) => {
+app.get('/api/admin/help-content/:key', requireAdmin(), async (req, res) => {
     if (!HELP_FILES[req.params.key]) return res.status(400).json({ error: 'Unknown help content key' });
     try {
         const { data } = await supabaseAdmin
@@ -1930,7 +1486,7 @@ app.get('/api/admin/help-content/:key', requireAdmin, async (req, res) => {
     }
 });
 
-app.post('/api/admin/save-help-content', requireAdmin, async (req, res) => {
+app.post('/api/admin/save-help-content', requireAdmin('settings'), async (req, res) => {
     const { key, html } = req.body;
     if (!HELP_FILES[key]) return res.status(400).json({ error: 'Unknown help content key' });
     if (typeof html !== 'string' || !html.trim()) return res.status(400).json({ error: 'Empty content' });
@@ -1946,7 +1502,7 @@ app.post('/api/admin/save-help-content', requireAdmin, async (req, res) => {
     }
 });
 
-app.post('/api/admin/set-invitation-status', requireAdmin, async (req, res) => {
+app.post('/api/admin/set-invitation-status', requireAdmin('campaigns'), async (req, res) => {
     const { id, status } = req.body;
     if (!id || !status) return res.status(400).json({ error: 'Missing fields' });
     const validStatuses = ['not_invited', 'invited', 'no_response', 'refused'];
@@ -1965,10 +1521,12 @@ app.post('/api/admin/set-invitation-status', requireAdmin, async (req, res) => {
 
 // ── Event logger ──────────────────────────────────────────────────────────────
 async function logEvent(type, data) {
+    // Inside an admin route the acting admin goes with the event (admin-users.js)
+    const admin = adminAuth.currentAdmin();
     try {
         const { error } = await supabaseAdmin.from('event_log').insert({
             event_type: type,
-            event_data: data,
+            event_data: admin ? { ...data, admin_user: admin.username, admin_user_id: admin.id } : data,
             created_at: new Date().toISOString()
         });
         if (error) console.error('Log error (RLS/insert):', error.message);
@@ -2038,7 +1596,7 @@ function generateEmailHtml(app, type, password, paidUntil, rejectReason) {
 }
 
 // ── Admin: get log entries ────────────────────────────────────────────────────
-app.get('/api/admin/log', requireAdmin, async (req, res) => {
+app.get('/api/admin/log', requireAdmin('settings'), async (req, res) => {
     const limit = parseInt(req.query.limit) || 100;
     const { data, error } = await supabaseAdmin
         .from('event_log')
@@ -2050,60 +1608,13 @@ app.get('/api/admin/log', requireAdmin, async (req, res) => {
 });
 
 // ── Admin: IP info ────────────────────────────────────────────────────────────
-app.get('/api/admin/ip-info', requireAdmin, async (req, res) => {
+app.get('/api/admin/ip-info', requireAdmin('settings'), async (req, res) => {
     const yourIP = req.headers['x-forwarded-for']?.split(',')[0].trim()
                  || req.socket.remoteAddress;
     const adminIP = await getAdminIP();
     res.json({ adminIP, yourIP });
 });
 
-app.get('/api/test-anthropic', async (req, res) => {
-    const { secret } = req.query;
-    if (secret !== process.env.ADMIN_SECRET) return res.status(403).json({
-        error: 'No',
-        received_length: secret?.length,
-        expected_length: process.env.ADMIN_SECRET?.length
-    });
-    res.json({
-        key_exists: !!process.env.ANTHROPIC_API_KEY,
-        key_prefix: process.env.ANTHROPIC_API_KEY?.substring(0, 10) + '...'
-    });
-});
-
-app.get('/api/env-check', (req, res) => {
-    res.json({
-        keys_present: Object.keys(process.env).filter(k =>
-            ['ADMIN_SECRET','ADMIN_PASSWORD','SUPABASE_URL','SUPABASE_ANON_KEY','ANTHROPIC_API_KEY']
-            .includes(k)
-        ),
-        total_env_vars: Object.keys(process.env).length
-    });
-});
-
-// ── TEMPORARY DEBUG — diagnosing IP-detection mismatch, remove once resolved ──
-app.get('/api/debug-ip', (req, res) => {
-    res.json({
-        x_forwarded_for_raw: req.headers['x-forwarded-for'] || null,
-        computed_visitor_ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
-        socket_remote_address: req.socket.remoteAddress,
-        x_real_ip: req.headers['x-real-ip'] || null,
-        cf_connecting_ip: req.headers['cf-connecting-ip'] || null
-    });
-});
-
-app.get('/api/secret-debug', (req, res) => {
-    const { secret } = req.query;
-    const stored = process.env.ADMIN_SECRET;
-    res.json({
-        received:          secret,
-        stored_first_char: stored?.charCodeAt(0),
-        stored_last_char:  stored?.charCodeAt(stored.length-1),
-        received_first:    secret?.charCodeAt(0),
-        received_last:     secret?.charCodeAt(secret.length-1),
-        match:             secret === stored
-    });
-});
-
 // ═════════════════════════════════════════════════════════════════════════════
 //  MEMBERSHIP APPLICATION ENDPOINT
 // ═════════════════════════════════════════════════════════════════════════════
@@ -2354,6 +1865,7 @@ app.post('/api/membership-apply',
                     contact_name: application.contact_name,
                     feature_rank: 999
                 }).eq('id', listingId);
+                await listingIndex.refresh(listingId);
                 await supabaseAdmin.from('membership_applications').update({
                     status: 'approved',
                     reviewed_at: new Date().toISOString(),
@@ -2386,7 +1898,7 @@ app.post('/api/membership-apply',
 // ═════════════════════════════════════════════════════════════════════════════
 
 // ── Get all applications ──────────────────────────────────────────────────────
-app.get('/api/admin/applications', requireAdmin, async (req, res) => {
+app.get('/api/admin/applications', requireAdmin('applications'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('membership_applications')
         .select('*')
@@ -2396,7 +1908,7 @@ app.get('/api/admin/applications', requireAdmin, async (req, res) => {
 });
 
 // ── Get single application ────────────────────────────────────────────────────
-app.get('/api/admin/application/:id', requireAdmin, async (req, res) => {
+app.get('/api/admin/application/:id', requireAdmin('applications'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('membership_applications')
         .select('*')
@@ -2416,12 +1928,12 @@ app.get('/api/admin/application/:id', requireAdmin, async (req, res) => {
 });
 
 // ── Update application status ─────────────────────────────────────────────────
-app.post('/api/admin/application-status', requireAdmin, async (req, res) => {
+app.post('/api/admin/application-status', requireAdmin('applications'), async (req, res) => {
     const { id, status, notes } = req.body;
     if (!id || !status) return res.status(400).json({ error: 'Missing fields' });
     const { error } = await supabaseAdmin
         .from('membership_applications')
-        .update({ status, notes, reviewed_at: new Date().toISOString(), reviewed_by: 'admin' })
+        .update({ status, notes, reviewed_at: new Date().toISOString(), reviewed_by: currentAdminName() })
         .eq('id', id);
     if (error) return res.status(500).json({ error: error.message });
     await logEvent('application_status_changed', { id, status });
@@ -2429,7 +1941,7 @@ app.post('/api/admin/application-status', requireAdmin, async (req, res) => {
 });
 
 // ── Approve application ───────────────────────────────────────────────────────
-app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
+app.post('/api/admin/approve-application', requireAdmin('applications'), async (req, res) => {
     const bcrypt = require('bcrypt');
     const { application_id } = req.body;
     if (!application_id) return res.status(400).json({ error: 'Missing application_id' });
@@ -2482,31 +1994,28 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
                         slug,
                         invitation_status:     'member',
                         verified_at:           new Date().toISOString(),
-                        verified_by:           'admin'
+                        verified_by:           currentAdminName()
                     })
                     .select()
                     .single();
 
                 if (insertError) throw new Error('Could not create MiCI listing: ' + insertError.message);
                 listingId = newListing.id;
+                await listingIndex.refresh(listingId);
 
                 // Update application with new listing_id and approved status
                 await supabaseAdmin.from('membership_applications').update({
                     listing_id:  listingId,
                     status:      'approved',
                     reviewed_at: new Date().toISOString(),
-                    reviewed_by: 'admin'
+                    reviewed_by: currentAdminName()
                 }).eq('id', application_id);
 
                 // Log invoice for paid plans
                 if (!isTrial) {
                     const amount = app.duration_months === 24 ? 45 : 24;
                     const itbms  = parseFloat((amount * 0.07).toFixed(2));
-                    await supabaseAdmin.from('event_log').insert({
-                      event_type: 'invoice_pending',
-                      event_data: { application_id, listing_id: listingId, property_name: app.property_name, contact_name: app.contact_name, contact_email: app.contact_email, ruc: null, amount, itbms, total: parseFloat((amount+itbms).toFixed(2)), plan: app.duration_months+' months', payment_method: app.payment_method, date: new Date().toISOString() },
-                      created_at: new Date().toISOString()
-                  });
+                    await logEvent('invoice_pending', { application_id, listing_id: listingId, property_name: app.property_name, contact_name: app.contact_name, contact_email: app.contact_email, ruc: null, amount, itbms, total: parseFloat((amount+itbms).toFixed(2)), plan: app.duration_months+' months', payment_method: app.payment_method, date: new Date().toISOString() });
                 }
 
                 // Send welcome email
@@ -2525,7 +2034,7 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
                     } catch (err) { console.error('Welcome email failed:', err.message); waText = waMsg; }
                 } else { waText = waMsg; }
 
-                const phone = app.contact_phone?.replace(/[^\d]/g,'').substring(0,8) || null;
+                const phone = whatsappCandidate(app.contact_phone, { source: 'member' });
                 await logEvent('application_approved_mici', { application_id, listing_id: listingId, property_name: app.property_name, paid_until: paidUntilStr });
                 return res.json({ success: true, password, paid_until: paidUntilStr, listing_id: listingId, property_name: app.property_name, email_sent: emailSent, whatsapp_text: waText, phone, mici: true });
 
@@ -2539,7 +2048,7 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
                     auto_activate:      true,
                     notes:              'Documentos verificados. En espera de registro ATP.',
                     reviewed_at:        new Date().toISOString(),
-                    reviewed_by:        'admin'
+                    reviewed_by:        currentAdminName()
                 }).eq('id', application_id);
 
                 const notFoundMsg = `
@@ -2577,7 +2086,7 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
                 } else { waText = waFallback; }
 
                 await logEvent('application_pending_atp', { application_id, property_name: app.property_name, email_sent: emailSent });
-                const phone = app.contact_phone?.replace(/[^\d]/g,'').substring(0,8) || null;
+                const phone = whatsappCandidate(app.contact_phone, { source: 'member' });
                 return res.json({ success: true, pending_atp: true, email_sent: emailSent, whatsapp_text: waText, property_name: app.property_name, phone });
             }
         }
@@ -2615,22 +2124,19 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
             slug,
             invitation_status:     'member',
             verified_at:           new Date().toISOString(),
-            verified_by:           'admin'
+            verified_by:           currentAdminName()
         }).eq('id', listingId);
+        await listingIndex.refresh(listingId);
 
         // ── Log invoice for paid plans ────────────────────────────────────
         if (!isTrial) {
             const amount = app.duration_months === 24 ? 45 : 24;
             const itbms  = parseFloat((amount * 0.07).toFixed(2));
-            await supabaseAdmin.from('event_log').insert({
-                event_type: 'invoice_pending',
-                event_data: { application_id, listing_id: listingId, property_name: app.property_name, contact_name: app.contact_name, contact_email: app.contact_email, ruc: null, amount, itbms, total: parseFloat((amount+itbms).toFixed(2)), plan: app.duration_months+' months', payment_method: app.payment_method, date: new Date().toISOString() },
-                created_at: new Date().toISOString()
-            });
+            await logEvent('invoice_pending', { application_id, listing_id: listingId, property_name: app.property_name, contact_name: app.contact_name, contact_email: app.contact_email, ruc: null, amount, itbms, total: parseFloat((amount+itbms).toFixed(2)), plan: app.duration_months+' months', payment_method: app.payment_method, date: new Date().toISOString() });
         }
 
         // ── Update application status ─────────────────────────────────────
-        await supabaseAdmin.from('membership_applications').update({ status: 'approved', reviewed_at: new Date().toISOString(), reviewed_by: 'admin' }).eq('id', application_id);
+        await supabaseAdmin.from('membership_applications').update({ status: 'approved', reviewed_at: new Date().toISOString(), reviewed_by: currentAdminName() }).eq('id', application_id);
 
         // ── Send welcome email ────────────────────────────────────────────
         const msgType   = isTrial ? 'approved_trial' : 'approved_paid';
@@ -2648,7 +2154,7 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
             } catch (err) { console.error('Welcome email failed:', err.message); waText = waMsg; }
         } else { waText = waMsg; }
 
-        const phone = app.contact_phone?.replace(/[^\d]/g,'').substring(0,8) || null;
+        const phone = whatsappCandidate(app.contact_phone, { source: 'member' });
         await logEvent('application_approved', { application_id, listing_id: listingId, membership_type: app.membership_type, paid_until: paidUntilStr });
         await recalculateFeatureRanks();
         res.json({ success: true, password, paid_until: paidUntilStr, listing_id: listingId, property_name: app.property_name, email_sent: emailSent, whatsapp_text: waText, phone });
@@ -2661,7 +2167,7 @@ app.post('/api/admin/approve-application', requireAdmin, async (req, res) => {
 
 
 // ── Reject application ────────────────────────────────────────────────────────
-app.post('/api/admin/reject-application', requireAdmin, async (req, res) => {
+app.post('/api/admin/reject-application', requireAdmin('applications'), async (req, res) => {
     const { application_id, reason, custom_note, is_payment_issue, silent } = req.body;
     if (!application_id || !reason) return res.status(400).json({ error: 'Missing fields' });
     const { data: app, error: appError } = await supabaseAdmin.from('membership_applications').select('*').eq('id', application_id).single();
@@ -2669,7 +2175,7 @@ app.post('/api/admin/reject-application', requireAdmin, async (req, res) => {
 
     const fullReason = reason + (custom_note ? '. ' + custom_note : '');
     const newStatus = silent ? 'archived' : 'rejected';
-    await supabaseAdmin.from('membership_applications').update({ status: newStatus, notes: 'Razón: ' + fullReason, reviewed_at: new Date().toISOString(), reviewed_by: 'admin' }).eq('id', application_id);
+    await supabaseAdmin.from('membership_applications').update({ status: newStatus, notes: 'Razón: ' + fullReason, reviewed_at: new Date().toISOString(), reviewed_by: currentAdminName() }).eq('id', application_id);
     await logEvent('application_rejected', { application_id, reason, is_payment_issue, silent });
     if (silent) return res.json({ success: true, email_sent: false });
     const hasEmail  = !!(app.contact_email && app.contact_email.includes('@'));
@@ -2685,12 +2191,12 @@ app.post('/api/admin/reject-application', requireAdmin, async (req, res) => {
         catch (err) { console.error('Rejection email failed:', err.message); waText = waMsg; }
     } else { waText = waMsg; }
 
-    const phone = app.contact_phone?.replace(/[^\d]/g,'').substring(0,8) || null;
+    const phone = whatsappCandidate(app.contact_phone, { source: 'member' });
     res.json({ success: true, email_sent: emailSent, whatsapp_text: waText, property_name: app.property_name, phone });
 });
 
 // ── Get pending invoice log (for monthly QB export) ───────────────────────────
-app.get('/api/admin/invoice-log', requireAdmin, async (req, res) => {
+app.get('/api/admin/invoice-log', requireAdmin('billing'), async (req, res) => {
     try {
         // Legacy pending-invoice log entries (not yet issued through eFacturaPty)
         const { data: pendingEvents, error: pendingErr } = await supabaseAdmin
@@ -2750,7 +2256,7 @@ app.get('/api/admin/invoice-log', requireAdmin, async (req, res) => {
 });
 
 // ── Get applicant contact/documents + payment/invoice info for a given listing ──
-app.get('/api/admin/listing-application-info/:listingId', requireAdmin, async (req, res) => {
+app.get('/api/admin/listing-application-info/:listingId', requireAdmin('applications'), async (req, res) => {
     const listingId = parseInt(req.params.listingId);
     try {
         const { data: application } = await supabaseAdmin
@@ -2769,6 +2275,7 @@ app.get('/api/admin/listing-application-info/:listingId', requireAdmin, async (r
             .limit(1)
             .single();
 
+        if (application) application.contact_whatsapp = whatsappCandidate(application.contact_phone, { source: 'member' });
         res.json({ application: application || null, payment: payment || null });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -2784,10 +2291,12 @@ app.post('/api/submit-payment',
     if (!listing_id) return res.status(400).json({ error: 'Missing listing_id' });
     if (token) {
         try {
-            const decoded = Buffer.from(token, 'base64').toString();
-            const [tokenId] = decoded.split(':');
-            if (tokenId !== String(listing_id)) return res.status(403).json({ error: 'Invalid token' });
-        } catch { return res.status(403).json({ error: 'Invalid token' }); }
+            const session = await memberSessions.verify(token);
+            if (String(session.listingId) !== String(listing_id)) return res.status(403).json({ error: 'Invalid token' });
+        } catch (err) {
+            if (err instanceof MemberSessionError) return res.status(err.status).json({ error: err.message });
+            return res.status(500).json({ error: err.message });
+        }
     }
     try {
         const { data: listing } = await supabase
@@ -2871,6 +2380,7 @@ overall: PASS (amount correct, recent, REALIZADA), REVIEW (minor issues), FAIL (
                         detectedPlan === '2year' ? baseDate.setFullYear(baseDate.getFullYear() + 2) : baseDate.setFullYear(baseDate.getFullYear() + 1);
                         const paidUntilStr = baseDate.toISOString().split('T')[0];
                         await supabaseAdmin.from('listings').update({ is_member: true, is_trial: false, membership_paid_until: paidUntilStr, invitation_status: 'member' }).eq('id', listing_id);
+                        await listingIndex.refresh(listing_id);
                         autoActivated = true;
                         await recalculateFeatureRanks();
                         await logEvent('payment_auto_activated', { listing_id: parseInt(listing_id), plan: detectedPlan, paid_until: paidUntilStr });
@@ -2942,7 +2452,7 @@ overall: PASS (amount correct, recent, REALIZADA), REVIEW (minor issues), FAIL (
         res.status(500).json({ error: err.message });
     }
 });
-app.get('/api/admin/document-url', requireAdmin, async (req, res) => {
+app.get('/api/admin/document-url', requireAdmin('applications'), async (req, res) => {
     const { path: filePath } = req.query;
     if (!filePath) return res.status(400).json({ error: 'Missing path' });
     const { data, error } = await supabaseAdmin.storage
@@ -2953,21 +2463,14 @@ app.get('/api/admin/document-url', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/listing-change-password ─────────────────────────────────────────
-app.post('/api/listing-change-password', async (req, res) => {
+app.post('/api/listing-change-password', requireMemberSession(req => req.body.id), async (req, res) => {
     const bcrypt = require('bcrypt');
-    const { id, token, current_password, new_password } = req.body;
-    if (!id || !token || !current_password || !new_password)
+    const { id, current_password, new_password } = req.body;
+    if (!id || !current_password || !new_password)
         return res.status(400).json({ error: 'Missing fields' });
     if (new_password.length < 6)
         return res.status(400).json({ error: 'La contraseña debe tener al menos 6 caracteres' });
 
-    // Verify token
-    try {
-        const decoded = Buffer.from(token, 'base64').toString();
-        const [tokenId] = decoded.split(':');
-        if (tokenId !== String(id)) return res.status(403).json({ error: 'Invalid token' });
-    } catch { return res.status(403).json({ error: 'Invalid token' }); }
-
     // Get current password hash
     const { data, error } = await supabase
         .from('listings')
@@ -2988,7 +2491,10 @@ app.post('/api/listing-change-password', async (req, res) => {
         .eq('id', id);
     if (updateError) return res.status(500).json({ error: updateError.message });
 
-    await logEvent('member_password_changed', { listing_id: id });
+    // Anyone else holding a session for this listing is logged out; this one stays
+    const revoked = await memberSessions.revokeListing(id, 'password_changed', { except: req.memberSession.sessionId })
+        .catch(err => { console.error('Session revoke after password change failed:', err.message); return 0; });
+    await logEvent('member_password_changed', { listing_id: id, sessions_revoked: revoked });
     res.json({ success: true });
 });
 
@@ -3106,7 +2612,10 @@ app.post('/api/reset-password', async (req, res) => {
         .update({ used: true })
         .eq('id', resetToken.id);
 
-    await logEvent('password_reset_completed', { listing_id });
+    // Whoever was logged in with the old password is logged out
+    const revoked = await memberSessions.revokeListing(listing_id, 'password_reset')
+        .catch(err => { console.error('Session revoke after password reset failed:', err.message); return 0; });
+    await logEvent('password_reset_completed', { listing_id, sessions_revoked: revoked });
     res.json({ success: true });
 });
 
@@ -3120,7 +2629,7 @@ app.get('/api/featured-listing', async (req, res) => {
       const today = new Date().toISOString().split('T')[0];
       const { data: listings, error } = await supabase
           .from('listings')
-          .select('id, name, phone, email, province, rental_type, phone_member, email_member, address, photos, is_member, membership_paid_until, slug, website_url, booking_url, registry_source, atp_active, apatel_member, is_trial, feature_rank')
+          .select('id, name, phone, email, province, rental_type, phone_member, email_member, address, photos, is_member, membership_paid_until, slug, website_url, booking_url, registry_source, atp_active, apatel_member, is_trial, feature_rank, whatsapp')
           .gt('feature_rank', 0)
           .eq('is_member', true)
           .gte('membership_paid_until', today)
@@ -3130,7 +2639,7 @@ app.get('/api/featured-listing', async (req, res) => {
         if (!listings || listings.length === 0)
             return res.status(404).json({ error: 'No featured listings' });
 
-        res.json(listings);  // returns array
+        res.json(listings.map(withPhoneNumbers));  // returns array
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -3138,7 +2647,7 @@ app.get('/api/featured-listing', async (req, res) => {
 
 
 
-app.post('/api/admin/send-invitation-emails', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-invitation-emails', requireAdmin('campaigns'), async (req, res) => {
     const { filter, dry_run } = req.body;
     // filter: 'all' | 'apatel' | 'no-email' (for WA list)
     // dry_run: true = just count, don't send
@@ -3152,37 +2661,32 @@ app.post('/api/admin/send-invitation-emails', requireAdmin, async (req, res) =>
             .is('invitation_sent_at', null); // not yet invited
 
             if (filter === 'apatel') query = query.eq('apatel_member', true);
-            if (filter === 'no-email') {
-                query = query.or('email.is.null,email.eq.,email.ilike.no%,email.ilike.n/t');
-            } else {
-                query = query.not('email', 'is', null).neq('email', '').not('email', 'ilike', 'no%').not('email', 'ilike', 'n/t');
-            }
 
             let { data: listings, error } = await query;
             if (error) throw new Error(error.message);
 
-            // Final validation pass: a proper email regex catches anything that slipped
-            // through the SQL-level filter — malformed addresses (missing @), stray phone
-            // numbers typed into the email field, etc. Never count/send to these.
-            const isValidEmail = e => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((e||'').trim());
-            if (filter !== 'no-email') {
-                listings = (listings||[]).filter(l => isValidEmail(l.email));
-            }
+            // Classify every address (email.js) — placeholder text, stray phone
+            // numbers, provider typos and addresses that bounced before are never
+            // counted or sent to; 'no-email' lists exactly those for the WA list
+            const bounced = await loadBouncedEmails(supabaseAdmin);
+            listings = (listings || []).map(l => ({ ...l, email_class: classifyEmail(l.email, bounced) }));
+            const mailable = l => isMailable(l.email_class.status);
+            listings = listings.filter(l => filter === 'no-email' ? !mailable(l) : mailable(l));
 
             if (!listings || listings.length === 0)
                 return res.json({ success: true, sent: 0, skipped: 0, message: 'No eligible listings found' });
 
             if (dry_run)
                 return res.json({ success: true, dry_run: true, count: listings.length,
-                    has_email: listings.filter(l => isValidEmail(l.email)).length,
-                    no_email: listings.filter(l => !isValidEmail(l.email)).length,
+                    has_email: listings.filter(mailable).length,
+                    no_email: listings.filter(l => !mailable(l)).length,
+                    by_status: listings.reduce((acc, l) => ({ ...acc, [l.email_class.status]: (acc[l.email_class.status] || 0) + 1 }), {}),
                     apatel: listings.filter(l => l.apatel_member).length });
 
-        const notifyPath = path.join(__dirname, 'public', 'notify.php');
         let sent = 0, skipped = 0, errors = 0;
 
         for (const listing of listings) {
-            if (!listing.email || !listing.email.includes('@')) { skipped++; continue; }
+            if (!mailable(listing)) { skipped++; continue; }
 
             const listUrl = listing.slug
                 ? `https://trustedpanamastays.com/listing.html?slug=${listing.slug}&lang=es`
@@ -3237,9 +2741,7 @@ app.post('/api/admin/send-invitation-emails', requireAdmin, async (req, res) =>
 </body></html>`;
 
             try {
-                await execFileAsync('php', [
-                    notifyPath, subject, message, listing.email
-                ], { timeout: 15000 });
+                await sendEmail(supabaseAdmin, { subject, html: message, to: listing.email_class.address }, { source: 'invitation_campaign' });
 
                 // Mark as invited
                 await supabase.from('listings').update({
@@ -3250,7 +2752,7 @@ app.post('/api/admin/send-invitation-emails', requireAdmin, async (req, res) =>
                 await logEvent('invitation_email_sent', {
                     listing_id: listing.id,
                     name:       listing.name,
-                    email:      listing.email,
+                    email:      listing.email_class.address,
                     apatel:     isApatel
                 });
 
@@ -3275,7 +2777,7 @@ app.post('/api/admin/send-invitation-emails', requireAdmin, async (req, res) =>
 
 
 // ── GET /api/admin/invitation-stats ──────────────────────────────────────────
-app.get('/api/admin/invitation-stats', requireAdmin, async (req, res) => {
+app.get('/api/admin/invitation-stats', requireAdmin('campaigns'), async (req, res) => {
     try {
       let data = [];
       let from = 0;
@@ -3292,12 +2794,16 @@ app.get('/api/admin/invitation-stats', requireAdmin, async (req, res) => {
           from += BATCH;
       }
 
+        const bounced  = await loadBouncedEmails(supabaseAdmin);
+        const statuses = data.map(l => classifyEmail(l.email, bounced).status);
+        const mailable = (l, i) => isMailable(statuses[i]);
         const stats = {
             total_non_members: data.length,
-            has_email:         data.filter(l => l.email && l.email.includes('@')).length,
-            no_email:          data.filter(l => !l.email || !l.email.includes('@')).length,
+            has_email:         data.filter(mailable).length,
+            no_email:          data.filter((l, i) => !mailable(l, i)).length,
+            email_status:      statuses.reduce((acc, st) => ({ ...acc, [st]: (acc[st] || 0) + 1 }), {}),
             apatel:            data.filter(l => l.apatel_member).length,
-            apatel_email:      data.filter(l => l.apatel_member && l.email && l.email.includes('@')).length,
+            apatel_email:      data.filter((l, i) => l.apatel_member && mailable(l, i)).length,
             not_invited:       data.filter(l => !l.invitation_sent_at).length,
             invited:           data.filter(l => !!l.invitation_sent_at).length,
         };
@@ -3346,7 +2852,7 @@ app.post('/api/track', async (req, res) => {
 
 
 // ── GET /api/admin/analytics ──────────────────────────────────────────────────
-app.get('/api/admin/analytics', requireAdmin, async (req, res) => {
+app.get('/api/admin/analytics', requireAdmin('analytics'), async (req, res) => {
     const days = parseInt(req.query.days) || 7;
     const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     try {
@@ -3409,7 +2915,7 @@ app.get('/api/admin/analytics', requireAdmin, async (req, res) => {
 
 
 // ── GET /api/admin/analytics/listing/:id ─────────────────────────────────────
-app.get('/api/admin/analytics/listing/:id', requireAdmin, async (req, res) => {
+app.get('/api/admin/analytics/listing/:id', requireAdmin('analytics'), async (req, res) => {
     const listingId = parseInt(req.params.id);
     const days      = parseInt(req.query.days) || 30;
     const since     = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
@@ -3445,10 +2951,114 @@ app.get('/api/admin/analytics/listing/:id', requireAdmin, async (req, res) => {
 });
 
 
+// ── Partner API keys (api-keys.js) ────────────────────────────────────────────
+// Usage is counted from api_key_events over the last `days` (default 30)
+app.get('/api/admin/api-keys', requireAdmin('settings'), async (req, res) => {
+    const days  = parseInt(req.query.days) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    try {
+        const { data: keys, error } = await supabaseAdmin
+            .from('api_keys')
+            .select('id, name, contact_email, key_prefix, rate_limit_per_minute, created_at, revoked_at, last_used_at, notes')
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        let events = [];
+        let from = 0;
+        const BATCH = 1000;
+        while (true) {
+            const { data, error: evError } = await supabaseAdmin
+                .from('api_key_events')
+                .select('api_key_id, status')
+                .gte('created_at', since)
+                .range(from, from + BATCH - 1);
+            if (evError) throw evError;
+            events = events.concat(data);
+            if (data.length < BATCH) break;
+            from += BATCH;
+        }
+        const usage = {};
+        events.forEach(e => {
+            const u = usage[e.api_key_id] || (usage[e.api_key_id] = { requests: 0, rate_limited: 0, errors: 0 });
+            u.requests++;
+            if (e.status === 429) u.rate_limited++;
+            else if (e.status >= 400) u.errors++;
+        });
+
+        res.json({
+            days,
+            keys: keys.map(k => ({ ...k, usage: usage[k.id] || { requests: 0, rate_limited: 0, errors: 0 } }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The plain key is in this response only — it is stored hashed
+app.post('/api/admin/api-keys', requireAdmin('settings'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Missing name' });
+    const rateLimit = parseInt(req.body.rate_limit_per_minute) || DEFAULT_RATE_LIMIT;
+    if (rateLimit < 1 || rateLimit > 6000) return res.status(400).json({ error: 'rate_limit_per_minute must be 1–6000' });
+    try {
+        const { key, row } = await apiKeys.issue({
+            name,
+            contact_email:         String(req.body.contact_email || '').trim() || null,
+            notes:                 String(req.body.notes || '').trim() || null,
+            rate_limit_per_minute: rateLimit
+        });
+        await logEvent('api_key_issued', { id: row.id, name, key_prefix: row.key_prefix, rate_limit_per_minute: rateLimit });
+        res.json({ success: true, key, api_key: row });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/api-keys/:id/revoke', requireAdmin('settings'), async (req, res) => {
+    try {
+        const revoked = await apiKeys.revoke(parseInt(req.params.id));
+        if (!revoked) return res.status(404).json({ error: 'No active key with that id' });
+        await logEvent('api_key_revoked', { id: parseInt(req.params.id) });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── Job tokens (job-tokens.js) ────────────────────────────────────────────────
+// Plain tokens are in the issue/rotate responses only — they are stored hashed
+const jobTokenRoute = fn => async (req, res) => {
+    try {
+        res.json({ success: true, ...(await fn(req)) });
+    } catch (err) {
+        if (err instanceof JobTokenError) return res.status(err.status).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+};
+app.get('/api/admin/job-tokens', requireAdmin('settings'), jobTokenRoute(async () => ({ tokens: await jobTokens.list(), jobs: JOBS })));
+app.post('/api/admin/job-tokens', requireAdmin('settings'), jobTokenRoute(async req => {
+    const { token, row } = await jobTokens.issue({
+        scope:     req.body.scope,
+        name:      String(req.body.name || '').trim() || null,
+        createdBy: currentAdminName()
+    });
+    await logEvent('job_token_issued', { id: row.id, scope: row.scope, token_prefix: row.token_prefix });
+    return { token, job_token: row };
+}));
+app.post('/api/admin/job-tokens/:id/rotate', requireAdmin('settings'), jobTokenRoute(async req => {
+    const { token, row } = await jobTokens.rotate(parseInt(req.params.id), { createdBy: currentAdminName() });
+    await logEvent('job_token_rotated', { replaced_id: parseInt(req.params.id), id: row.id, scope: row.scope, token_prefix: row.token_prefix });
+    return { token, job_token: row };
+}));
+app.post('/api/admin/job-tokens/:id/revoke', requireAdmin('settings'), jobTokenRoute(async req => {
+    const revoked = await jobTokens.revoke(parseInt(req.params.id));
+    if (!revoked) throw new JobTokenError('No live token with that id', 404);
+    await logEvent('job_token_revoked', { id: revoked.id, scope: revoked.scope });
+}));
+
+
 // ── GET /api/admin/send-weekly-report ─────────────────────────────────────────
-app.get('/api/admin/send-weekly-report', async (req, res) => {
-    const { secret } = req.query;
-    if (secret !== process.env.ADMIN_SECRET) return res.status(403).send('Denied');
+app.get('/api/admin/send-weekly-report', requireJob('weekly-report'), async (req, res) => {
 
     try {
         const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
@@ -3519,7 +3129,7 @@ app.get('/api/admin/send-weekly-report', async (req, res) => {
 });
 
 // ── GET /api/admin/apatel-campaign-stats ──────────────────────────────────────
-app.get('/api/admin/apatel-campaign-stats', requireAdmin, async (req, res) => {
+app.get('/api/admin/apatel-campaign-stats', requireAdmin('campaigns'), async (req, res) => {
     try {
         const { data } = await supabaseAdmin
             .from('event_log')
@@ -3540,7 +3150,7 @@ app.get('/api/admin/apatel-campaign-stats', requireAdmin, async (req, res) => {
 // ── Preview: builds the actual email HTML using the real template function,
 // with example placeholder values — so the in-panel preview genuinely matches
 // what a real recipient receives, instead of a separately-maintained copy.
-app.post('/api/admin/preview-followup-html', requireAdmin, async (req, res) => {
+app.post('/api/admin/preview-followup-html', requireAdmin('campaigns'), async (req, res) => {
     const { body } = req.body;
     if (typeof body !== 'string') return res.status(400).json({ error: 'Missing body' });
     const sampleBody = body.includes('{url}')
@@ -3553,7 +3163,7 @@ app.post('/api/admin/preview-followup-html', requireAdmin, async (req, res) => {
 
 // ── POST /api/admin/send-followup-test ───────────────────────────────────────
 // Send test email to info@ only
-app.post('/api/admin/send-followup-test', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-followup-test', requireAdmin('campaigns'), async (req, res) => {
     const { subject, body, from } = req.body;
     if (!subject || !body) return res.status(400).json({ error: 'Missing subject or body' });
 
@@ -3579,21 +3189,20 @@ app.post('/api/admin/send-followup-test', requireAdmin, async (req, res) => {
 
 // ── POST /api/admin/send-followup-all ────────────────────────────────────────
 // Send follow-up to all APATEL members
-app.post('/api/admin/send-followup-all', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-followup-all', requireAdmin('campaigns'), async (req, res) => {
     const { subject, body } = req.body;
     if (!subject || !body) return res.status(400).json({ error: 'Missing subject or body' });
 
-    const APATEL_ROSTER = require('./apatel_emails.json');
+    const APATEL_ROSTER = mailableTargets(require('./apatel_emails.json'), await loadBouncedEmails(supabaseAdmin));
     const notifyPath    = path.join(__dirname, 'public', 'notify.php');
     let sent = 0, errors = 0;
     let sampleCopy = null; // first successfully-sent email, included in the report below
     // Send in background, return immediately
     res.json({ success: true, message: 'Campaign started', total: APATEL_ROSTER.length });
     for (const member of APATEL_ROSTER) {
-    if (!member.email || !member.email.includes('@')) continue;
     try {
         const html = buildFollowupHtml(member.hotel, member.manager, body);
-        await execFileAsync('php', [notifyPath, subject, html, member.email], { timeout: 15000 });
+        await sendEmail(supabaseAdmin, { subject, html, to: member.email }, { source: 'followup_campaign' });
         if (!sampleCopy) sampleCopy = { subject, html, to: member.email };
         await logEvent('followup_sent', { hotel: member.hotel, email: member.email });
         sent++;
@@ -3731,7 +3340,7 @@ fs.writeFileSync(apatelDirectPath, apatelDirectTemplate.trim(), 'utf8');
 }
 
 // ── GET /api/admin/templates ──────────────────────────────────────────────────
-app.get('/api/admin/templates', requireAdmin, (req, res) => {
+app.get('/api/admin/templates', requireAdmin('campaigns'), (req, res) => {
     try {
         const files = fs.readdirSync(TEMPLATES_DIR)
             .filter(f => f.endsWith('.html'))
@@ -3743,7 +3352,7 @@ app.get('/api/admin/templates', requireAdmin, (req, res) => {
 });
 
 // ── GET /api/admin/templates/:name ───────────────────────────────────────────
-app.get('/api/admin/templates/:name', requireAdmin, (req, res) => {
+app.get('/api/admin/templates/:name', requireAdmin('campaigns'), (req, res) => {
     try {
         const name = req.params.name.replace(/[^a-z0-9_.-]/gi, '_');
         const filePath = path.join(TEMPLATES_DIR, name);
@@ -3757,7 +3366,7 @@ app.get('/api/admin/templates/:name', requireAdmin, (req, res) => {
 });
 
 // ── POST /api/admin/templates/:name ──────────────────────────────────────────
-app.post('/api/admin/templates/:name', requireAdmin, (req, res) => {
+app.post('/api/admin/templates/:name', requireAdmin('campaigns'), (req, res) => {
     try {
         const name = req.params.name.replace(/[^a-z0-9_.-]/gi, '_');
         if (!name.endsWith('.html')) return res.status(400).json({ error: 'Must be .html file' });
@@ -3773,7 +3382,7 @@ app.post('/api/admin/templates/:name', requireAdmin, (req, res) => {
 });
 
 
-app.post('/api/admin/send-welcome-manual', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-welcome-manual', requireAdmin('campaigns'), async (req, res) => {
     const { listing_id, contact_name, property_name, email, password, paid_until, type } = req.body;
     const appData = { listing_id, contact_name, property_name, email, duration_months: 0 };
     const html = generateEmailHtml(appData, type || 'approved_trial', password, paid_until);
@@ -3794,10 +3403,10 @@ app.post('/api/admin/send-welcome-manual', requireAdmin, async (req, res) => {
 // ═════════════════════════════════════════════════════════════════════════════
 
 // ── GET /api/admin/apatel-roster-count ───────────────────────────────────────
-app.get('/api/admin/apatel-roster-count', requireAdmin, (req, res) => {
+app.get('/api/admin/apatel-roster-count', requireAdmin('campaigns'), async (req, res) => {
     try {
         const roster = require('./apatel_emails.json');
-        res.json({ count: roster.filter(m => m.email && m.email.includes('@')).length });
+        res.json({ count: mailableTargets(roster, await loadBouncedEmails(supabaseAdmin)).length });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -3805,7 +3414,7 @@ app.get('/api/admin/apatel-roster-count', requireAdmin, (req, res) => {
 // Returns APATEL roster members who WERE contacted (invitation sent) but are
 // NOT currently an active member — the "reminder" segment, as opposed to the
 // "never contacted" segment above.
-app.get('/api/admin/apatel-contacted-not-member-count', requireAdmin, async (req, res) => {
+app.get('/api/admin/apatel-contacted-not-member-count', requireAdmin('campaigns'), async (req, res) => {
     try {
         const roster = require('./apatel_emails.json');
         const { data } = await supabaseAdmin
@@ -3826,13 +3435,13 @@ app.get('/api/admin/apatel-contacted-not-member-count', requireAdmin, async (req
         });
 
         const targets = roster.filter(m => m.email && contactedNotMemberEmails.has(m.email.toLowerCase().trim()));
-        res.json({ count: targets.length });
+        res.json({ count: mailableTargets(targets, await loadBouncedEmails(supabaseAdmin)).length });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── GET /api/admin/apatel-not-contacted-count ─────────────────────────────────
 // Returns count of APATEL roster members whose email is NOT in any invited listing
-app.get('/api/admin/apatel-not-contacted-count', requireAdmin, async (req, res) => {
+app.get('/api/admin/apatel-not-contacted-count', requireAdmin('campaigns'), async (req, res) => {
     try {
         const roster = require('./apatel_emails.json');
         // Get all APATEL listings that have been contacted
@@ -3847,13 +3456,13 @@ app.get('/api/admin/apatel-not-contacted-count', requireAdmin, async (req, res)
             if (l.email_member) contactedEmails.add(l.email_member.toLowerCase().trim());
         });
         const notContacted = roster.filter(m => m.email && !contactedEmails.has(m.email.toLowerCase().trim()));
-        res.json({ count: notContacted.length });
+        res.json({ count: mailableTargets(notContacted, await loadBouncedEmails(supabaseAdmin)).length });
     } catch(err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── POST /api/admin/send-followup-reminder ────────────────────────────────────
 // Send to APATEL roster members who were contacted but never became members
-app.post('/api/admin/send-followup-reminder', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-followup-reminder', requireAdmin('campaigns'), async (req, res) => {
     const { subject, body } = req.body;
     if (!subject || !body) return res.status(400).json({ error: 'Missing subject or body' });
 
@@ -3883,7 +3492,7 @@ app.post('/api/admin/send-followup-reminder', requireAdmin, async (req, res) =>
 
 // ── POST /api/admin/send-followup-new ────────────────────────────────────────
 // Send to APATEL roster members not yet contacted
-app.post('/api/admin/send-followup-new', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-followup-new', requireAdmin('campaigns'), async (req, res) => {
     const { subject, body } = req.body;
     if (!subject || !body) return res.status(400).json({ error: 'Missing subject or body' });
 
@@ -3905,7 +3514,7 @@ app.post('/api/admin/send-followup-new', requireAdmin, async (req, res) => {
     await sendToRosterList(targets, subject, body);
 });
 
-app.post('/api/admin/send-followup-specific', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-followup-specific', requireAdmin('campaigns'), async (req, res) => {
     const { subject, body, emails, targets: directTargets, from } = req.body;
     let targets;
     if (Array.isArray(directTargets) && directTargets.length) {
@@ -3961,13 +3570,22 @@ async function resolveListingUrl(member) {
     }
 }
 
+// Roster-format targets whose address can be mailed (email.js), each with
+// `email` replaced by the cleaned-up address classifyEmail() picked
+function mailableTargets(targets, bounced) {
+    return targets
+        .map(m => ({ m, c: classifyEmail(m.email, bounced) }))
+        .filter(({ c }) => isMailable(c.status))
+        .map(({ m, c }) => ({ ...m, email: c.address }));
+}
+
 async function sendToRosterList(targets, subject, body, from) {
-    const notifyPath = path.join(__dirname, 'public', 'notify.php');
     const sender = resolveSender(from);
     let sent = 0, errors = 0;
     let sampleCopy = null; // the first successfully-sent email, included below so the report always shows the real content — even for a 1-recipient campaign
+    const requested = targets.length;
+    targets = mailableTargets(targets, await loadBouncedEmails(supabaseAdmin));
     for (const member of targets) {
-        if (!member.email || !member.email.includes('@')) continue;
         try {
             // Replace the {url} placeholder (if the message uses it) with this
             // recipient's actual listing page — works for any send path.
@@ -3979,7 +3597,7 @@ async function sendToRosterList(targets, subject, body, from) {
                 ? subject.split('{id}').join(member.id)
                 : subject;
             const html = buildFollowupHtml(member.hotel || member.email, member.manager || '', personalizedBody);
-            await execFileAsync('php', [notifyPath, personalizedSubject, html, member.email, sender.email, sender.name], { timeout: 15000 });
+            await sendEmail(supabaseAdmin, { subject: personalizedSubject, html, to: member.email, fromEmail: sender.email, fromName: sender.name }, { source: 'roster_campaign' });
             if (!sampleCopy) sampleCopy = { subject: personalizedSubject, html, to: member.email };
             // Mark as contacted in DB
             await supabase.from('listings')
@@ -3999,7 +3617,7 @@ async function sendToRosterList(targets, subject, body, from) {
     const sampleHtml = sampleCopy
         ? `<hr style="margin:1.5rem 0;"><p style="color:#666;font-size:0.85rem;">Copia real enviada a ${sampleCopy.to} (asunto: "${sampleCopy.subject}"):</p><div style="border:1px solid #ddd;border-radius:8px;padding:1rem;">${sampleCopy.html}</div>`
         : '<p style="color:#888;">(Ningún correo se envió con éxito — no hay copia disponible.)</p>';
-    const report = `<p>Campaign complete: <strong>${sent}</strong> sent, ${errors} errors out of ${targets.length} total.</p>${sampleHtml}`;
+    const report = `<p>Campaign complete: <strong>${sent}</strong> sent, ${errors} errors out of ${targets.length} total (${requested - targets.length} skipped — no mailable email).</p>${sampleHtml}`;
     execFileAsync('php', [path.join(__dirname, 'public', 'notify.php'),
         'Campaign complete — Trusted Panama Stays', report, 'info@trustedpanamastays.com'],
         { timeout: 15000 }).catch(console.error);
@@ -4111,11 +3729,13 @@ async function recalculateFeatureRanks() {
         // both natural expiry (is_member still true, date lapsed) and manual
         // deactivation (is_member already false), which the old query missed
         // since it required is_member = true.
-        await supabaseAdmin
+        const { data: zeroed } = await supabaseAdmin
             .from('listings')
             .update({ feature_rank: 0 })
             .neq('feature_rank', 0)
-            .or(`is_member.eq.false,membership_paid_until.lt.${today}`);
+            .or(`is_member.eq.false,membership_paid_until.lt.${today}`)
+            .select('id');
+        await listingIndex.refresh([...featured, ...(zeroed || [])].map(l => l.id));
         console.log(`Feature ranks recalculated for ${featured.length} listings`);
     } catch (err) {
         console.error('recalculateFeatureRanks error:', err.message);
@@ -4123,7 +3743,7 @@ async function recalculateFeatureRanks() {
 }
 
 // ── GET /api/admin/recalculate-ranks ─────────────────────────────────────────
-app.get('/api/admin/recalculate-ranks', requireAdmin, async (req, res) => {
+app.get('/api/admin/recalculate-ranks', requireAdmin('registry'), async (req, res) => {
     await recalculateFeatureRanks();
     res.json({ success: true });
 });
@@ -4131,10 +3751,10 @@ app.get('/api/admin/recalculate-ranks', requireAdmin, async (req, res) => {
 // ── Refresh the in-memory listings cache from the database, without a restart ──
 // Useful after a direct DB change, or if apply-atp-diff's own in-memory
 // refresh step was interrupted (e.g. a server restart mid-request).
-app.post('/api/admin/refresh-cache', requireAdmin, async (req, res) => {
+app.post('/api/admin/refresh-cache', requireAdmin('registry'), async (req, res) => {
     try {
-        CURRENT_RENTALS = await loadListingsFromDB();
-        res.json({ success: true, count: CURRENT_RENTALS.length });
+        const count = await listingIndex.load();
+        res.json({ success: true, count });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -4142,7 +3762,7 @@ app.post('/api/admin/refresh-cache', requireAdmin, async (req, res) => {
 
 // ── Quick CSV export/backup for any table — since Supabase dashboard export UI ──
 // isn't available on this plan. Handles pagination for tables over 1000 rows.
-app.get('/api/admin/export-table', requireAdmin, async (req, res) => {
+app.get('/api/admin/export-table', requireAdmin('settings'), async (req, res) => {
     const { table } = req.query;
     const allowed = ['listings', 'membership_applications', 'payments', 'event_log'];
     if (!allowed.includes(table)) return res.status(400).json({ error: 'Table not allowed for export' });
@@ -4190,58 +3810,121 @@ app.get('/api/admin/export-table', requireAdmin, async (req, res) => {
 // ── ATP status check: 3 states — (1) no update, (2) link changed but not yet
 // parsed, (3) already parsed and awaiting review. States 1/2 do a cheap live
 // check (just the ATP webpage, no PDF download); state 3 is free (in memory).
-app.get('/api/admin/atp-diff', requireAdmin, async (req, res) => {
+app.get('/api/admin/atp-diff', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
     if (PENDING_ATP_DIFF) {
         return res.json({
             state: 3,
             pending: true,
             computedAt: PENDING_ATP_DIFF.computedAt,
             newUrl: PENDING_ATP_DIFF.newUrl,
-            reportDate: extractPdfDateFromUrl(PENDING_ATP_DIFF.newUrl),
-            diff: PENDING_ATP_DIFF.diff
+            reportDate: atpIngest.extractPdfDateFromUrl(PENDING_ATP_DIFF.newUrl),
+            diff: { ...PENDING_ATP_DIFF.diff, seenIds: undefined } // thousands of IDs the panel doesn't need
         });
     }
     try {
         const meta = await getSavedPdfUrl();
         const savedUrl  = meta ? meta.pdf_url : null;
-        const atpResult = await getLatestPdfUrl(); // cheap: page fetch only, no PDF download
+        const atpResult = await atpIngest.getLatestPdfUrl(); // cheap: page fetch only, no PDF download
         const liveUrl = atpResult.pdfUrl;
 
         if (liveUrl === savedUrl) {
-            return res.json({ state: 1, pending: false, savedUrl, reportDate: extractPdfDateFromUrl(savedUrl) });
+            return res.json({ state: 1, pending: false, savedUrl, reportDate: atpIngest.extractPdfDateFromUrl(savedUrl) });
         }
-        return res.json({ state: 2, pending: false, savedUrl, liveUrl, reportDate: extractPdfDateFromUrl(liveUrl) });
+        return res.json({ state: 2, pending: false, savedUrl, liveUrl, reportDate: atpIngest.extractPdfDateFromUrl(liveUrl) });
     } catch (err) {
         res.json({ state: 'unknown', error: err.message });
     }
 });
 
+// ── Auto-link threshold for fuzzy rename matches (empty = off) ──
+app.get('/api/admin/atp-auto-link-threshold', requireAdmin('registry'), async (req, res) => {
+    res.json({ threshold: await atpIngest.getAtpAutoLinkThreshold(supabaseAdmin) });
+});
+
+app.post('/api/admin/atp-auto-link-threshold', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
+    const raw = req.body?.threshold;
+    const threshold = raw === null || raw === '' || raw === undefined ? null : parseFloat(raw);
+    if (threshold !== null && !(threshold > 0 && threshold <= 1)) {
+        return res.status(400).json({ error: 'threshold must be between 0 and 1, or empty to disable' });
+    }
+    const { error } = await supabaseAdmin.from('settings').upsert({
+        key: 'atp_auto_link_threshold', value: threshold === null ? '' : String(threshold), updated_at: new Date().toISOString()
+    });
+    if (error) return res.status(500).json({ error: error.message });
+    // Re-mark the pending diff so the panel shows what apply would link now
+    if (PENDING_ATP_DIFF) {
+        PENDING_ATP_DIFF.diff.toInsert.forEach(n => { delete n.autoLink; });
+        atpIngest.markAtpAutoLinks(PENDING_ATP_DIFF.diff.toInsert, threshold);
+        await savePendingAtpDiff();
+    }
+    await logEvent('atp_auto_link_threshold_updated', { threshold });
+    res.json({ success: true, threshold });
+});
+
 // ── Apply the pending ATP diff: writes changes + sends flagged-member emails ──
-app.post('/api/admin/apply-atp-diff', requireAdmin, async (req, res) => {
+app.post('/api/admin/apply-atp-diff', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
     if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff to apply' });
+    const blocker = atpIngest.atpApplyBlockers(PENDING_ATP_DIFF);
+    if (blocker) return res.status(409).json({ error: blocker });
     try {
-        const { newUrl, newHeading, parsedRentals } = PENDING_ATP_DIFF;
-        const result = await mergeListingsWithDB(parsedRentals);
-        await savePdfMeta(newUrl, newHeading);
+        const { newUrl } = PENDING_ATP_DIFF;
+        const result = await atpIngest.applyPendingAtpDiff(supabaseAdmin, PENDING_ATP_DIFF, { logEvent });
 
         // Reload from DB so IDs/enrichment stay correct — never assign PDF_RENTALS directly
-        CURRENT_RENTALS = await loadListingsFromDB();
+        await listingIndex.load();
+        LISTINGS_PDF_URL = newUrl;
         DATA_SOURCE = 'atp-pdf';
         PENDING_ATP_DIFF = null;
 
         await checkPendingAtpApplications();
-        await logEvent('atp_diff_applied', result);
         res.json({ success: true, ...result });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// ── Accept or reject individual diff rows before applying. Body is one
+// { bucket, id, decision } or { decisions: [...] } for bulk toggles; `id` is
+// the listing ID, or the tempId for toInsert rows. Rejected rows are skipped
+// by apply and come back with the next report. Each decision is audited.
+app.post('/api/admin/atp-diff/decision', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
+    if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff' });
+    const items = Array.isArray(req.body?.decisions) ? req.body.decisions : [req.body || {}];
+    try {
+        const diff = PENDING_ATP_DIFF.diff;
+        const changed = [];
+        for (const { bucket, id, decision } of items) {
+            if (!atpIngest.ATP_DIFF_BUCKETS.includes(bucket) || id == null || !['accept', 'reject'].includes(decision)) {
+                return res.status(400).json({ error: 'bucket, id and decision (accept|reject) required' });
+            }
+            const row = diff[bucket].find(x => (bucket === 'toInsert' ? x.tempId : x.id) === id);
+            if (!row) return res.status(400).json({ error: `Row ${id} not found in ${bucket}` });
+            if (row.matched) return res.status(400).json({ error: `${row.name} was already handled as a rename` });
+            if ((row.decision || 'accept') === decision) continue;
+            row.decision = decision;
+            changed.push({ bucket, row, decision });
+        }
+        await savePendingAtpDiff();
+        for (const { bucket, row, decision } of changed) {
+            await logEvent('atp_diff_decision', {
+                bucket, decision,
+                listing_id: row.id || null,
+                name: row.name,
+                province: row.province,
+                report_url: PENDING_ATP_DIFF.newUrl
+            });
+        }
+        res.json({ success: true, changed: changed.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ── Manually confirm a "new" entry is actually a rename of a "dropped" entry ──
 // Renames the existing listing in place instead of drop+insert, preserving its
 // ID, atp_first_seen, and any member/admin data. Marks both diff entries as
 // matched so "Apply changes" skips them afterward.
-app.post('/api/admin/atp-diff/confirm-match', requireAdmin, async (req, res) => {
+app.post('/api/admin/atp-diff/confirm-match', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
     if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff' });
     const { droppedId, newTempId } = req.body || {};
     if (droppedId == null || newTempId == null) return res.status(400).json({ error: 'droppedId and newTempId required' });
@@ -4253,20 +3936,15 @@ app.post('/api/admin/atp-diff/confirm-match', requireAdmin, async (req, res) =>
         if (!newEntry || !droppedInList) return res.status(400).json({ error: 'Match entries not found or already matched' });
 
         const nowIso = new Date().toISOString();
-        const { error } = await supabaseAdmin.from('listings').update({
-            name:                  newEntry.name,
-            province:              newEntry.province,
-            phone:                 newEntry.phone || null,
-            email:                 newEntry.email || null,
-            rental_type:           newEntry.rental_type || null,
-            atp_active:            true,
-            atp_last_seen:         nowIso,
-            atp_review_flagged_at: null
-        }).eq('id', droppedId);
-        if (error) throw new Error(error.message);
+        await atpIngest.renameListingFromAtp(supabaseAdmin, droppedId, newEntry);
+        await listingIndex.refresh(droppedId);
 
         newEntry.matched = true;
         droppedInList.matched = true;
+        PENDING_ATP_DIFF.confirmedMatches = (PENDING_ATP_DIFF.confirmedMatches || []).concat({
+            droppedId, newTempId, oldName: droppedInList.name, newName: newEntry.name, confirmedAt: nowIso
+        });
+        await savePendingAtpDiff();
         await logEvent('atp_diff_manual_match', { listing_id: droppedId, old_name: droppedInList.name, new_name: newEntry.name });
 
         res.json({ success: true });
@@ -4275,6 +3953,90 @@ app.post('/api/admin/atp-diff/confirm-match', requireAdmin, async (req, res) =>
     }
 });
 
+// ── Resolve one quarantined ATP row: accept it (optionally corrected by hand
+// against the PDF text fragment) into the pending rental set, or discard it.
+// Either way the diff is recomputed so New/Dropped reflect the decision.
+app.post('/api/admin/atp-diff/resolve-quarantine', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
+    if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff' });
+    const { qId, action, rental } = req.body || {};
+    if (qId == null || !['accept', 'discard'].includes(action)) {
+        return res.status(400).json({ error: 'qId and action (accept|discard) required' });
+    }
+    try {
+        const quarantined = PENDING_ATP_DIFF.diff.quarantined || [];
+        const entry = quarantined.find(x => x.qId === qId);
+        if (!entry) return res.status(400).json({ error: 'Quarantined row not found or already resolved' });
+
+        let corrected = null;
+        if (action === 'accept') {
+            const pick = f => (rental && typeof rental[f] === 'string' ? rental[f] : entry[f] || '').trim();
+            corrected = {
+                name:        pick('name'),
+                rental_type: pick('rental_type'),
+                email:       pick('email'),
+                phone:       pick('phone'),
+                province:    pick('province')
+            };
+            if (!corrected.name || !corrected.province) return res.status(400).json({ error: 'Name and province are required' });
+            PENDING_ATP_DIFF.parsedRentals.push({ ...corrected, page: entry.page, source: entry.source });
+        }
+
+        PENDING_ATP_DIFF.diff.quarantined = quarantined.filter(x => x.qId !== qId);
+        const diff = await recomputePendingAtpDiff();
+        await savePendingAtpDiff();
+        await logEvent('atp_quarantine_resolved', {
+            action,
+            original: { name: entry.name, rental_type: entry.rental_type, email: entry.email, phone: entry.phone, province: entry.province },
+            corrected,
+            issues: entry.issues
+        });
+        res.json({ success: true, remaining: diff.quarantined.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── Resolve an ambiguous ATP row: link it to one of its candidate listings,
+// or declare it a new property. The choice is stored on the parsed row
+// (`identity`), so it survives recomputes and restarts. A row that was only
+// tied to its candidates by email/phone is a rename: linking it renames the
+// listing the way confirm-match does, so the next report matches by name.
+app.post('/api/admin/atp-diff/resolve-ambiguous', requireAdmin('registry'), syncPendingAtpDiff, async (req, res) => {
+    if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff' });
+    const { rowIndex, action, listingId } = req.body || {};
+    if (rowIndex == null || !['link', 'insert'].includes(action)) {
+        return res.status(400).json({ error: 'rowIndex and action (link|insert) required' });
+    }
+    try {
+        const entry = (PENDING_ATP_DIFF.diff.ambiguous || []).find(x => x.rowIndex === rowIndex);
+        if (!entry) return res.status(400).json({ error: 'Ambiguous row not found or already resolved' });
+        if (action === 'link' && !entry.candidates.some(c => c.id === listingId)) {
+            return res.status(400).json({ error: 'listingId must be one of the row\'s candidates' });
+        }
+
+        const renamed = action === 'link' && entry.reason === 'contact';
+        if (renamed) {
+            await atpIngest.renameListingFromAtp(supabaseAdmin, listingId, entry);
+            await listingIndex.refresh(listingId);
+        }
+
+        PENDING_ATP_DIFF.parsedRentals[rowIndex].identity = action === 'link' ? { listingId } : { insert: true };
+        const diff = await recomputePendingAtpDiff();
+        await savePendingAtpDiff();
+        await logEvent('atp_identity_resolved', {
+            action,
+            renamed,
+            listing_id: action === 'link' ? listingId : null,
+            name: entry.name,
+            province: entry.province,
+            candidates: entry.candidates.map(c => c.id)
+        });
+        res.json({ success: true, remaining: diff.ambiguous.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ── Ask Claude (with web search) what happened to a dropped ATP listing ──
 // Only called on-demand from the admin panel, never from the automated
 // daily checkForPdfUpdate flow — keeps this slow, external-API-dependent
@@ -4339,7 +4101,7 @@ EXPLANATION: <2-3 sentences, mention what you found>`;
 }
 
 // ── On-demand: ask Claude what happened to one dropped listing ──
-app.post('/api/admin/atp-diff/analyze-dropped', requireAdmin, async (req, res) => {
+app.post('/api/admin/atp-diff/analyze-dropped', requireAdmin('registry'), async (req, res) => {
     if (!PENDING_ATP_DIFF) return res.status(400).json({ error: 'No pending diff' });
     const { droppedId } = req.body || {};
     if (droppedId == null) return res.status(400).json({ error: 'droppedId required' });
@@ -4357,8 +4119,127 @@ app.post('/api/admin/atp-diff/analyze-dropped', requireAdmin, async (req, res) =
     }
 });
 
+// ═════════════════════════════════════════════════════════════════════════════
+//  ATP REPORT ARCHIVE — every downloaded report, its hash and its parse
+// ═════════════════════════════════════════════════════════════════════════════
+const ATP_VERSION_META = 'id, pdf_url, pdf_heading, report_date, sha256, page_count, rental_count, storage_path, fetched_at, applied_at';
+
+// ── List archived report versions, newest first (no parsed rows) ──
+app.get('/api/admin/atp-versions', requireAdmin('registry'), async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('atp_report_versions')
+            .select(ATP_VERSION_META)
+            .order('fetched_at', { ascending: false });
+        if (error) throw new Error(error.message);
+        res.json({ versions: data || [] });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── Diff two archived versions: /api/admin/atp-versions/diff?from=ID&to=ID ──
+app.get('/api/admin/atp-versions/diff', requireAdmin('registry'), async (req, res) => {
+    const fromId = parseInt(req.query.from);
+    const toId   = parseInt(req.query.to);
+    if (!fromId || !toId) return res.status(400).json({ error: 'from and to version IDs required' });
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('atp_report_versions')
+            .select(ATP_VERSION_META + ', parsed_rentals')
+            .in('id', [fromId, toId]);
+        if (error) throw new Error(error.message);
+        const from = (data || []).find(v => v.id === fromId);
+        const to   = (data || []).find(v => v.id === toId);
+        if (!from || !to) return res.status(404).json({ error: 'Version not found' });
+
+        const { added, lost, changed } = diffRentalSets(from.parsed_rentals || [], to.parsed_rentals || []);
+        const { parsed_rentals: _f, ...fromMeta } = from;
+        const { parsed_rentals: _t, ...toMeta } = to;
+        res.json({ from: fromMeta, to: toMeta, added, lost, changed });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── When did a listing appear in / vanish from the ATP report? Walks every
+// archived version oldest → newest and records each presence change.
+// Query by ?listing_id=123 or by ?name=...&province=...
+app.get('/api/admin/atp-versions/history', requireAdmin('registry'), async (req, res) => {
+    const normalize = s => (s||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().trim();
+    try {
+        let { name, province } = req.query;
+        if (req.query.listing_id) {
+            const { data: listing } = await supabaseAdmin
+                .from('listings')
+                .select('name, province')
+                .eq('id', req.query.listing_id)
+                .single();
+            if (!listing) return res.status(404).json({ error: 'Listing not found' });
+            ({ name, province } = listing);
+        }
+        if (!name || !province) return res.status(400).json({ error: 'listing_id, or name and province, required' });
+        const key = `${normalize(name)}|${normalize(province)}`;
+
+        // parsed_rentals is large — page through a few versions at a time
+        const events = [];
+        let versionsChecked = 0, wasPresent = false, lastSeen = null, from = 0;
+        const BATCH = 10;
+        while (true) {
+            const { data, error } = await supabaseAdmin
+                .from('atp_report_versions')
+                .select('id, report_date, fetched_at, parsed_rentals')
+                .order('fetched_at', { ascending: true })
+                .range(from, from + BATCH - 1);
+            if (error) throw new Error(error.message);
+            for (const v of data) {
+                const row = (v.parsed_rentals || []).find(r => `${normalize(r.name)}|${normalize(r.province)}` === key);
+                const present = !!row;
+                if (present !== wasPresent) {
+                    events.push({ event: present ? 'appeared' : 'vanished', version_id: v.id, report_date: v.report_date, fetched_at: v.fetched_at, row: row || null });
+                }
+                if (present) lastSeen = { version_id: v.id, report_date: v.report_date, fetched_at: v.fetched_at };
+                wasPresent = present;
+                versionsChecked++;
+            }
+            if (data.length < BATCH) break;
+            from += BATCH;
+        }
+
+        res.json({
+            name, province,
+            versionsChecked,
+            inLatest: wasPresent,
+            firstSeen: events.find(e => e.event === 'appeared') || null,
+            lastSeen,
+            events
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── Short-lived download link for an archived report PDF ──
+app.get('/api/admin/atp-versions/:id/pdf', requireAdmin('registry'), async (req, res) => {
+    try {
+        const { data: version } = await supabaseAdmin
+            .from('atp_report_versions')
+            .select('storage_path')
+            .eq('id', req.params.id)
+            .single();
+        if (!version) return res.status(404).json({ error: 'Version not found' });
+        const { data, error } = await supabaseAdmin.storage
+            .from('atp-reports')
+            .createSignedUrl(version.storage_path, 300); // 5 min expiry
+        if (error) return res.status(500).json({ error: error.message });
+        res.json({ url: data.signedUrl });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ── GET /api/admin/document-url ───────────────────────────────────────────────
-app.get('/api/admin/document-url', requireAdmin, async (req, res) => {
+app.get('/api/admin/document-url', requireAdmin('applications'), async (req, res) => {
     const { path: docPath } = req.query;
     if (!docPath) return res.status(400).json({ error: 'Missing path' });
     try {
@@ -4374,7 +4255,7 @@ app.get('/api/admin/document-url', requireAdmin, async (req, res) => {
 
 // ── Download the CAFE (invoice PDF) from eFacturaPty, proxied through our server ──
 // so the API bearer token never reaches the browser.
-app.get('/api/admin/invoice-pdf/:invoiceId', requireAdmin, async (req, res) => {
+app.get('/api/admin/invoice-pdf/:invoiceId', requireAdmin('billing'), async (req, res) => {
     const { invoiceId } = req.params;
     try {
         const response = await axios.get(
@@ -4399,7 +4280,7 @@ app.get('/api/admin/invoice-pdf/:invoiceId', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/verify-documents ──────────────────────────────────────────
-app.post('/api/admin/verify-documents', requireAdmin, async (req, res) => {
+app.post('/api/admin/verify-documents', requireAdmin('applications'), async (req, res) => {
     const { application_id } = req.body;
     if (!application_id) return res.status(400).json({ error: 'Missing application_id' });
 
@@ -4596,11 +4477,8 @@ ${bodyHtml}
 //   1. 5 days before expiry           → renewal reminder
 //   2. 2 days (48h) before expiry     → one-time 7-day extension offer (click link)
 //   3. On expiry (original or extended) → final notice + demotion
-app.get('/api/send-trial-reminders', async (req, res) => {
-    const { secret } = req.query;
-    if (secret !== process.env.ADMIN_SECRET) return res.status(403).send('Denied');
+app.get('/api/send-trial-reminders', requireJob('trial-reminders'), async (req, res) => {
 
-    const notifyPath = path.join(__dirname, 'public', 'notify.php');
     const today    = new Date();
     const dateStr  = d => d.toISOString().split('T')[0];
     const plusDays = n => { const d = new Date(today); d.setDate(d.getDate() + n); return d; };
@@ -4608,6 +4486,14 @@ app.get('/api/send-trial-reminders', async (req, res) => {
     const results = { reminder5day: 0, extensionOffer: 0, finalNotice: 0, errors: 0 };
 
     try {
+        // Member address first, ATP one as fallback — placeholder, malformed
+        // and bounced addresses get no email (demotion in stage 3 still runs)
+        const bounced = await loadBouncedEmails(supabaseAdmin);
+        const mailableEmail = listing => {
+            const { status, address } = listingEmail(listing, bounced);
+            return isMailable(status) ? address : null;
+        };
+
         // ── Stage 1: 5-day renewal reminder ──────────────────────────────────
         const { data: dueReminder } = await supabaseAdmin
             .from('listings')
@@ -4617,8 +4503,8 @@ app.get('/api/send-trial-reminders', async (req, res) => {
             .eq('membership_paid_until', dateStr(plusDays(5)));
 
         for (const listing of dueReminder || []) {
-            const toEmail = listing.email_member || listing.email;
-            if (!toEmail || !toEmail.includes('@')) continue;
+            const toEmail = mailableEmail(listing);
+            if (!toEmail) continue;
             try {
               const name = listing.contact_name || 'propietario/a';
               const listingUrl = listing.slug
@@ -4638,7 +4524,8 @@ app.get('/api/send-trial-reminders', async (req, res) => {
                 listing_id: listing.id, renew_url: renewUrl, renew_label: renewLabel,
                 listing_url: listingUrl, no_photos_block: noPhotosBlock
                 });
-                await execFileAsync('php', [notifyPath, `Su prueba gratuita vence en 5 días — ${listing.name}`, wrapTrialEmailHtml(listing.name, listing.contact_name, body), toEmail, 'info@trustedpanamastays.com', 'Trusted Panama Stays', 'info@trustedpanamastays.com'], { timeout: 15000 });await supabaseAdmin.from('listings').update({ trial_reminder_sent_at: new Date().toISOString() }).eq('id', listing.id);
+                await sendEmail(supabaseAdmin, { subject: `Su prueba gratuita vence en 5 días — ${listing.name}`, html: wrapTrialEmailHtml(listing.name, listing.contact_name, body), to: toEmail, cc: 'info@trustedpanamastays.com' }, { source: 'trial_reminder' });
+                await supabaseAdmin.from('listings').update({ trial_reminder_sent_at: new Date().toISOString() }).eq('id', listing.id);
                 await logEvent('trial_reminder_sent', { listing_id: listing.id, email: toEmail });
                 results.reminder5day++;
             } catch (err) { results.errors++; console.error(`5-day reminder failed for listing ${listing.id}:`, err.message); }
@@ -4653,16 +4540,16 @@ app.get('/api/send-trial-reminders', async (req, res) => {
             .eq('membership_paid_until', dateStr(plusDays(2)));
 
         for (const listing of dueOffer || []) {
-            const toEmail = listing.email_member || listing.email;
-            if (!toEmail || !toEmail.includes('@')) continue;
+            const toEmail = mailableEmail(listing);
+            if (!toEmail) continue;
             try {
-                const token = Buffer.from(`${listing.id}:${Date.now()}:${process.env.ADMIN_SECRET}`).toString('base64');
-                const extendUrl = `https://trustedpanamastays.com/api/extend-trial?id=${listing.id}&token=${encodeURIComponent(token)}`;
+                const token = await memberSessions.issueExtensionLink(listing.id);
+                const extendUrl = `https://trustedpanamastays.com/api/extend-trial?token=${encodeURIComponent(token)}`;
                 const name = listing.contact_name || 'propietario/a';
                 const body = fillTemplate(loadTemplateFile('trial_extension_offer.html'), {
                     name, listing_name: listing.name, expiry_date: listing.membership_paid_until, extend_url: extendUrl
                 });
-                await execFileAsync('php', [notifyPath, `¿Necesita más tiempo? 7 días gratis — ${listing.name}`, wrapTrialEmailHtml(listing.name, listing.contact_name, body), toEmail, 'info@trustedpanamastays.com', 'Trusted Panama Stays', 'info@trustedpanamastays.com'], { timeout: 15000 });
+                await sendEmail(supabaseAdmin, { subject: `¿Necesita más tiempo? 7 días gratis — ${listing.name}`, html: wrapTrialEmailHtml(listing.name, listing.contact_name, body), to: toEmail, cc: 'info@trustedpanamastays.com' }, { source: 'trial_extension_offer' });
                 await supabaseAdmin.from('listings').update({ trial_extension_offer_sent_at: new Date().toISOString() }).eq('id', listing.id);
                 await logEvent('trial_extension_offer_sent', { listing_id: listing.id, email: toEmail });
                 results.extensionOffer++;
@@ -4678,10 +4565,10 @@ app.get('/api/send-trial-reminders', async (req, res) => {
             .eq('membership_paid_until', dateStr(today));
 
         for (const listing of dueFinalNotice || []) {
-            const toEmail = listing.email_member || listing.email;
+            const toEmail = mailableEmail(listing);
             const wasExtended = !!listing.trial_extended_at;
             try {
-              if (toEmail && toEmail.includes('@')) {
+              if (toEmail) {
                   const name = listing.contact_name || 'propietario/a';
                   const documented = await hasDocumentedApplication(listing.id);
                   const renewUrl = documented
@@ -4692,12 +4579,14 @@ app.get('/api/send-trial-reminders', async (req, res) => {
                     extended_note: wasExtended ? ' (incluyendo los 7 días adicionales)' : '',
                     renew_url: renewUrl
                 });
-                await execFileAsync('php', [notifyPath, `Su prueba gratuita ha finalizado — ${listing.name}`, wrapTrialEmailHtml(listing.name, listing.contact_name, body), toEmail, 'info@trustedpanamastays.com', 'Trusted Panama Stays', 'info@trustedpanamastays.com'], { timeout: 15000 });
+                await sendEmail(supabaseAdmin, { subject: `Su prueba gratuita ha finalizado — ${listing.name}`, html: wrapTrialEmailHtml(listing.name, listing.contact_name, body), to: toEmail, cc: 'info@trustedpanamastays.com' }, { source: 'trial_final_notice' })
+                    .catch(err => { results.errors++; console.error(`Final notice failed for listing ${listing.id}:`, err.message); });  // still demote
               }
                 await supabaseAdmin.from('listings').update({
                     trial_final_notice_sent_at: new Date().toISOString(),
                     is_member: false, is_trial: false, membership_paid_until: null
                 }).eq('id', listing.id);
+                await listingIndex.refresh(listing.id);
                 await logEvent('trial_expired_demoted', { listing_id: listing.id, extended: wasExtended, email: toEmail || null });
                 results.finalNotice++;
             } catch (err) { results.errors++; console.error(`Final notice/demotion failed for listing ${listing.id}:`, err.message); }
@@ -4712,22 +4601,22 @@ app.get('/api/send-trial-reminders', async (req, res) => {
     }
 });
 
-// ── Shared validation for the extend-trial token, used by both the GET
+// ── Shared validation for the extend-trial link (a one-time
+// trial_extension_links token — see member-sessions.js), used by both the GET
 // confirmation page and the POST that actually performs the extension. ──
-async function validateExtendTrialToken(id, token) {
-    const decoded = Buffer.from(token || '', 'base64').toString();
-    const [tokenId, tokenTime, tokenSecret] = decoded.split(':');
-    if (tokenId !== String(id) || tokenSecret !== process.env.ADMIN_SECRET) {
-        return { ok: false, title: 'Enlace inválido', message: 'Este enlace no es válido.' };
-    }
-    if (Date.now() - parseInt(tokenTime, 10) > 10 * 24 * 60 * 60 * 1000) {
-        return { ok: false, title: 'Enlace vencido', message: 'Este enlace ya no es válido.' };
+async function validateExtendTrialToken(token) {
+    let listingId;
+    try {
+        ({ listingId } = await memberSessions.checkExtensionLink(token));
+    } catch (err) {
+        if (!(err instanceof MemberSessionError)) throw err;
+        return { ok: false, title: 'Enlace no válido', message: err.message };
     }
 
     const { data: listing, error } = await supabaseAdmin
         .from('listings')
         .select('id, is_member, is_trial, membership_paid_until, trial_extended_at')
-        .eq('id', id).single();
+        .eq('id', listingId).single();
     if (error || !listing) return { ok: false, title: 'No encontrado', message: 'No se encontró su hospedaje.' };
     if (listing.trial_extended_at) {
         return { ok: false, title: 'Ya utilizado', message: 'Este enlace de extensión ya fue utilizado anteriormente.' };
@@ -4745,16 +4634,19 @@ async function validateExtendTrialToken(id, token) {
 // extension only happens when a visitor clicks the button below, which
 // fires the POST route beneath this one. ──
 app.get('/api/extend-trial', async (req, res) => {
-    const { id, token } = req.query;
+    const { token } = req.query;
     const showPage = (title, message, ok) => res.send(`<html><body style="font-family:Arial,sans-serif;text-align:center;padding:60px 20px;color:#111;">
 <h2 style="color:${ok ? '#00a859' : '#c0392b'};">${title}</h2><p>${message}</p>
 <p><a href="https://trustedpanamastays.com" style="color:#005ca9;">trustedpanamastays.com</a></p>
 </body></html>`);
 
     try {
-        const result = await validateExtendTrialToken(id, token);
+        const result = await validateExtendTrialToken(token);
         if (!result.ok) return showPage(result.title, result.message, false);
 
+        // The token passed the lookup above, so it is one we issued (base64url)
+        const tokenJs = JSON.stringify(String(token));
+
         return res.send(`<html><body style="font-family:Arial,sans-serif;text-align:center;padding:60px 20px;color:#111;">
 <h2 style="color:#00a859;">¿Confirmar 7 días adicionales?</h2>
 <p>Haga clic en el botón para activar la extensión de su prueba gratuita.</p>
@@ -4765,7 +4657,10 @@ document.getElementById('confirmBtn').addEventListener('click', async () => {
     const btn = document.getElementById('confirmBtn');
     btn.disabled = true; btn.textContent = 'Procesando…';
     try {
-        const resp = await fetch('/api/extend-trial/confirm?id=${encodeURIComponent(id || '')}&token=${encodeURIComponent(token || '')}', { method: 'POST' });
+        const resp = await fetch('/api/extend-trial/confirm', {
+            method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: ${tokenJs} })
+        });
         const data = await resp.json();
         document.getElementById('resultMsg').innerHTML = data.success
             ? '<strong style="color:#00a859;">¡Listo! Su prueba ahora vence el ' + data.newExpiry + '.</strong>'
@@ -4787,12 +4682,21 @@ document.getElementById('confirmBtn').addEventListener('click', async () => {
 // ── POST /api/extend-trial/confirm — performs the actual extension. Only
 // reachable via an explicit click on the confirmation page above. ──
 app.post('/api/extend-trial/confirm', async (req, res) => {
-    const { id, token } = req.query;
+    const { token } = req.body;
     try {
-        const result = await validateExtendTrialToken(id, token);
+        const result = await validateExtendTrialToken(token);
         if (!result.ok) return res.json({ success: false, message: result.message });
 
+        // Use the link up first — of two clicks racing here, only one gets past
+        try {
+            await memberSessions.redeemExtensionLink(token, { req });
+        } catch (err) {
+            if (!(err instanceof MemberSessionError)) throw err;
+            return res.json({ success: false, message: err.message });
+        }
+
         const listing = result.listing;
+        const id = listing.id;
         const base = listing.membership_paid_until ? new Date(listing.membership_paid_until) : new Date();
         base.setDate(base.getDate() + 7);
         const newExpiry = base.toISOString().split('T')[0];
@@ -4801,6 +4705,7 @@ app.post('/api/extend-trial/confirm', async (req, res) => {
             membership_paid_until: newExpiry,
             trial_extended_at: new Date().toISOString()
         }).eq('id', id);
+        await listingIndex.refresh(id);
         await logEvent('trial_extended', { listing_id: id, new_expiry: newExpiry });
 
         return res.json({ success: true, newExpiry });
@@ -4871,7 +4776,7 @@ app.post('/api/keyword-suggestion', async (req, res) => {
 });
 
 // ── GET /api/admin/keyword-suggestions ───────────────────────────────────────
-app.get('/api/admin/keyword-suggestions', requireAdmin, async (req, res) => {
+app.get('/api/admin/keyword-suggestions', requireAdmin('members'), async (req, res) => {
     const { data } = await supabaseAdmin
         .from('event_log')
         .select('id, event_data, created_at')
@@ -4886,8 +4791,17 @@ app.get('/api/admin/keyword-suggestions', requireAdmin, async (req, res) => {
     res.json({ suggestions });
 });
 
+// Keyword labels make "pool" find listings tagged "piscina" (search-index.js)
+// and are offered as completions (suggest-index.js)
+async function loadKeywordLabels() {
+    const { data, error } = await supabase.from('keywords').select('slug, label_es, label_en');
+    if (error) return console.error('Keyword labels load failed:', error.message);
+    searchIndex.setKeywordLabels(data);
+    suggestIndex.setKeywords(data);
+}
+
 // ── POST /api/admin/keyword-approve ──────────────────────────────────────────
-app.post('/api/admin/keyword-approve', requireAdmin, async (req, res) => {
+app.post('/api/admin/keyword-approve', requireAdmin('members'), async (req, res) => {
     const { slug, label_es, label_en, category_es, category_en, event_id } = req.body;
     const { error } = await supabaseAdmin.from('keywords').insert({
         slug, label_es, label_en, category_es, category_en, sort_order: 99
@@ -4895,22 +4809,24 @@ app.post('/api/admin/keyword-approve', requireAdmin, async (req, res) => {
     if (error) return res.status(500).json({ error: error.message });
     // Delete from event_log
     if (event_id) await supabaseAdmin.from('event_log').delete().eq('id', event_id);
+    await loadKeywordLabels();
     res.json({ success: true });
 });
 
 // ── POST /api/admin/keyword-dismiss ──────────────────────────────────────────
-app.post('/api/admin/keyword-dismiss', requireAdmin, async (req, res) => {
+app.post('/api/admin/keyword-dismiss', requireAdmin('members'), async (req, res) => {
     const { event_id } = req.body;
     await supabaseAdmin.from('event_log').delete().eq('id', event_id);
     res.json({ success: true });
 });
 
 // ── POST /api/admin/keyword-delete ───────────────────────────────────────────
-app.post('/api/admin/keyword-delete', requireAdmin, async (req, res) => {
+app.post('/api/admin/keyword-delete', requireAdmin('members'), async (req, res) => {
     const { slug } = req.body;
     if (!slug) return res.status(400).json({ error: 'Missing slug' });
     const { error } = await supabaseAdmin.from('keywords').delete().eq('slug', slug);
     if (error) return res.status(500).json({ error: error.message });
+    await loadKeywordLabels();
     res.json({ success: true });
 });
 
@@ -4966,7 +4882,7 @@ function resolveFormaPago(paymentMethod) {
 // ── POST /api/admin/issue-invoice ─────────────────────────────────────────────
 // Called from admin panel "Issue Invoice & Activate" button
 // -------------------------------------------------------------------------------
-app.post('/api/admin/issue-invoice', requireAdmin, async (req, res) => {
+app.post('/api/admin/issue-invoice', requireAdmin('billing'), async (req, res) => {
     const { listing_id, application_id, plan, business_name, ruc, ruc_dv, email } = req.body;
     if (!listing_id || !plan || !business_name || !ruc || !ruc_dv || !email)
         return res.status(400).json({ error: 'Missing required fields' });
@@ -5104,12 +5020,13 @@ app.post('/api/admin/issue-invoice', requireAdmin, async (req, res) => {
             membership_paid_until: paidUntilStr,
             invitation_status:     'member'
         }).eq('id', listing_id);
+        await listingIndex.refresh(listing_id);
 
         if (application_id) {
             await supabaseAdmin.from('membership_applications').update({
                 status:      'approved',
                 reviewed_at: new Date().toISOString(),
-                reviewed_by: 'admin',
+                reviewed_by: currentAdminName(),
                 notes:       `Invoice issued: ${invoice.cufe || invoice.invoice || 'ok'}`
             }).eq('id', application_id);
         }
@@ -5155,7 +5072,7 @@ app.post('/api/admin/issue-invoice', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/deactivate-membership ────────────────────────────────────
-app.post('/api/admin/deactivate-membership', requireAdmin, async (req, res) => {
+app.post('/api/admin/deactivate-membership', requireAdmin('members'), async (req, res) => {
     const { application_id } = req.body;
     if (!application_id) return res.status(400).json({ error: 'Missing application_id' });
 
@@ -5181,6 +5098,7 @@ app.post('/api/admin/deactivate-membership', requireAdmin, async (req, res) => {
         : { is_member: false, is_trial: false, membership_paid_until: null };
 
     await supabaseAdmin.from('listings').update(updates).eq('id', app.listing_id);
+    await listingIndex.refresh(app.listing_id);
     await supabaseAdmin.from('membership_applications')
         .update({ status: 'rejected', notes: 'Payment not received — membership deactivated' })
         .eq('id', application_id);
@@ -5223,14 +5141,16 @@ async function sendGeneralCampaignBatch() {
             .eq('atp_active', true)
             .is('general_campaign_sent_at', null)
             .is('invitation_sent_at', null)
-            .not('email', 'is', null)
-            .limit(280);  // Stay under Brevo 300/day (leaves room for other emails)
+            .not('email', 'is', null);
 
-        // Same email-validity filter as the manual campaign button — excludes
-        // blank strings and placeholder text ("no aporto", "n/t", etc.) that
-        // pass the DB's not-null check but aren't real addresses.
-        const isValidEmail = e => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((e||'').trim());
-        const listings = (rawListings || []).filter(l => isValidEmail(l.email));
+        // Same classification as the manual campaign button — placeholder text,
+        // malformed and bounced addresses pass the not-null check but are
+        // skipped here, before the daily cap is applied
+        const bounced = await loadBouncedEmails(supabaseAdmin);
+        const listings = (rawListings || [])
+            .map(l => ({ ...l, email_class: classifyEmail(l.email, bounced) }))
+            .filter(l => isMailable(l.email_class.status))
+            .slice(0, 280);  // Stay under Brevo 300/day (leaves room for other emails)
 
         if (!listings || listings.length === 0) {
             console.log('General campaign: no eligible listings with a valid email today');
@@ -5243,11 +5163,9 @@ async function sendGeneralCampaignBatch() {
         try { templateBody = fs.readFileSync(templatePath, 'utf8'); }
         catch(e) { console.error('General campaign template not found'); return; }
 
-        const notifyPath = path.join(__dirname, 'public', 'notify.php');
         let sent = 0, errors = 0;
 
         for (const listing of listings) {
-            if (!listing.email || !listing.email.includes('@')) continue;
             try {
               const subject = 'Su hospedaje en Trusted Panama Stays — directorio verificado de turismo';
               const html = `<html><body style="font-family:Arial,sans-serif;font-size:14px;color:#111;margin:0;padding:0;">
@@ -5269,7 +5187,7 @@ ${templateBody}
 </table>
 </body></html>`;
 
-                await execFileAsync('php', [notifyPath, subject, html, listing.email], { timeout: 15000 });
+                await sendEmail(supabaseAdmin, { subject, html, to: listing.email_class.address }, { source: 'general_campaign' });
 
                 await supabaseAdmin.from('listings').update({
                     general_campaign_sent_at: new Date().toISOString(),
@@ -5314,7 +5232,7 @@ const msUntil10am = (() => {
 
 
 // ── POST /api/admin/send-general-campaign-now ────────────────────────────────
-app.post('/api/admin/send-general-campaign-now', requireAdmin, async (req, res) => {
+app.post('/api/admin/send-general-campaign-now', requireAdmin('campaigns'), async (req, res) => {
     res.json({ success: true, message: 'Batch started' });
     sendGeneralCampaignBatch(); // Run in background
 });
@@ -5322,7 +5240,7 @@ app.post('/api/admin/send-general-campaign-now', requireAdmin, async (req, res)
 // ── Message history for one or more members — no 200-entry cap, matches by
 // listing_id when available, falls back to email match for older entries
 // logged before listing_id was captured ──
-app.get('/api/admin/message-history', requireAdmin, async (req, res) => {
+app.get('/api/admin/message-history', requireAdmin('campaigns'), async (req, res) => {
     const EMAIL_EVENT_TYPES = ['followup_sent', 'trial_reminder_sent', 'trial_extension_offer_sent', 'trial_expired_demoted'];
     const ids    = (req.query.ids || '').split(',').map(s => parseInt(s)).filter(Boolean);
     const emails = (req.query.emails || '').split(',').map(s => s.toLowerCase().trim()).filter(Boolean);
@@ -5559,7 +5477,7 @@ app.get('/api/blog/post/:slug', async (req, res) => {
 });
 
 // ── GET /api/admin/blog/pending — drafts awaiting review ──────────────────────
-app.get('/api/admin/blog/pending', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/pending', requireAdmin('blog'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('blog_posts')
         .select('*')
@@ -5570,7 +5488,7 @@ app.get('/api/admin/blog/pending', requireAdmin, async (req, res) => {
 });
 
 // ── GET /api/admin/blog/all — every post, any status ───────────────────────────
-app.get('/api/admin/blog/all', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/all', requireAdmin('blog'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('blog_posts')
         .select('*')
@@ -5580,7 +5498,7 @@ app.get('/api/admin/blog/all', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/:id/edit — admin edits a draft before approving ──────
-app.post('/api/admin/blog/:id/edit', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/edit', requireAdmin('blog'), async (req, res) => {
     const { title_en, title_es, excerpt_en, excerpt_es, body_en, body_es,
             meta_description_en, meta_description_es, featured_image_url, category, slug } = req.body;
     const updates = { updated_at: new Date().toISOString() };
@@ -5602,7 +5520,7 @@ app.post('/api/admin/blog/:id/edit', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/:id/approve ───────────────────────────────────────────
-app.post('/api/admin/blog/:id/approve', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/approve', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_posts').update({
         status: 'published',
         published_at: new Date().toISOString()
@@ -5613,7 +5531,7 @@ app.post('/api/admin/blog/:id/approve', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/:id/reject ────────────────────────────────────────────
-app.post('/api/admin/blog/:id/reject', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/reject', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_posts').update({ status: 'rejected' }).eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     await logEvent('blog_post_rejected', { id: req.params.id });
@@ -5621,7 +5539,7 @@ app.post('/api/admin/blog/:id/reject', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/:id/unpublish — take a live post back to draft ──────
-app.post('/api/admin/blog/:id/unpublish', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/unpublish', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_posts').update({ status: 'pending_review', published_at: null }).eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     await logEvent('blog_post_unpublished', { id: req.params.id });
@@ -5629,7 +5547,7 @@ app.post('/api/admin/blog/:id/unpublish', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/:id/delete ────────────────────────────────────────────
-app.post('/api/admin/blog/:id/delete', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/delete', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_posts').delete().eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     await logEvent('blog_post_deleted', { id: req.params.id });
@@ -5640,7 +5558,7 @@ app.post('/api/admin/blog/:id/delete', requireAdmin, async (req, res) => {
 // stored in blog_preview_tokens (valid 24h). blog-post.php checks it by
 // querying Supabase directly — no self-referencing HTTPS call back into
 // this same Node app, which was unreliable on shared hosting.
-app.get('/api/admin/blog/:id/preview-link', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/:id/preview-link', requireAdmin('blog'), async (req, res) => {
     const { data, error } = await supabaseAdmin.from('blog_posts').select('id, slug').eq('id', req.params.id).single();
     if (error || !data) return res.status(404).json({ error: 'Not found' });
     const token = require('crypto').randomBytes(24).toString('hex');
@@ -5657,7 +5575,7 @@ app.get('/api/admin/blog/:id/preview-link', requireAdmin, async (req, res) => {
 
 // ── POST /api/admin/blog/material — save a raw idea (FB post, legal analysis, ──
 // note) for later use, not tied to any specific post yet.
-app.post('/api/admin/blog/material', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/material', requireAdmin('blog'), async (req, res) => {
     const { title, content, source_type } = req.body;
     if (!content || !content.trim()) return res.status(400).json({ error: 'Missing content' });
     const { data, error } = await supabaseAdmin.from('blog_source_material').insert({
@@ -5671,7 +5589,7 @@ app.post('/api/admin/blog/material', requireAdmin, async (req, res) => {
 });
 
 // ── GET /api/admin/blog/material — list everything, unused first ─────────────
-app.get('/api/admin/blog/material', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/material', requireAdmin('blog'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('blog_source_material')
         .select('*')
@@ -5682,14 +5600,14 @@ app.get('/api/admin/blog/material', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/material/:id/delete ──────────────────────────────────
-app.post('/api/admin/blog/material/:id/delete', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/material/:id/delete', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_source_material').delete().eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true });
 });
 
 // ── POST /api/admin/blog/material/:id/edit — update a saved material item ────
-app.post('/api/admin/blog/material/:id/edit', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/material/:id/edit', requireAdmin('blog'), async (req, res) => {
     const { title, content, source_type } = req.body;
     if (!content || !content.trim()) return res.status(400).json({ error: 'Missing content' });
     const { data, error } = await supabaseAdmin.from('blog_source_material').update({
@@ -5705,7 +5623,7 @@ app.post('/api/admin/blog/material/:id/edit', requireAdmin, async (req, res) =>
 // ── POST /api/admin/blog/knowledge — add PERMANENT reference material (law ──
 // texts, your write-ups, corrected post examples). Unlike Material Bank, these
 // are never marked "used" — every future draft is grounded in ALL of them.
-app.post('/api/admin/blog/knowledge', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/knowledge', requireAdmin('blog'), async (req, res) => {
     const { title, content, category } = req.body;
     if (!content || !content.trim()) return res.status(400).json({ error: 'Missing content' });
     const { data, error } = await supabaseAdmin.from('blog_knowledge_base').insert({
@@ -5719,7 +5637,7 @@ app.post('/api/admin/blog/knowledge', requireAdmin, async (req, res) => {
 });
 
 // ── GET /api/admin/blog/knowledge ─────────────────────────────────────────────
-app.get('/api/admin/blog/knowledge', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/knowledge', requireAdmin('blog'), async (req, res) => {
     const { data, error } = await supabaseAdmin
         .from('blog_knowledge_base')
         .select('*')
@@ -5729,14 +5647,14 @@ app.get('/api/admin/blog/knowledge', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/knowledge/:id/delete ─────────────────────────────────
-app.post('/api/admin/blog/knowledge/:id/delete', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/knowledge/:id/delete', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_knowledge_base').delete().eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true });
 });
 
 // ── POST /api/admin/blog/knowledge/:id/edit — update a saved knowledge item ──
-app.post('/api/admin/blog/knowledge/:id/edit', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/knowledge/:id/edit', requireAdmin('blog'), async (req, res) => {
     const { title, content, category } = req.body;
     if (!content || !content.trim()) return res.status(400).json({ error: 'Missing content' });
     const { data, error } = await supabaseAdmin.from('blog_knowledge_base').update({
@@ -5754,7 +5672,7 @@ app.post('/api/admin/blog/knowledge/:id/edit', requireAdmin, async (req, res) =>
 // the background. A synchronous version reliably got killed by Hostinger's
 // reverse-proxy timeout on long requests, leaving the browser with a
 // meaningless "Request failed" even when generation succeeded server-side.
-app.post('/api/admin/blog/generate-series', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/generate-series', requireAdmin('blog'), async (req, res) => {
     const seedText = req.body?.seed_text;
     if (!seedText || !seedText.trim()) return res.status(400).json({ error: 'Missing seed_text' });
     const { data: job, error: jobErr } = await supabaseAdmin.from('blog_series_jobs').insert({ status: 'running' }).select().single();
@@ -5780,7 +5698,7 @@ app.post('/api/admin/blog/generate-series', requireAdmin, async (req, res) => {
 
 // ── GET /api/admin/blog/generate-series/:jobId/status — polled by the admin ──
 // panel every few seconds while a series job runs in the background.
-app.get('/api/admin/blog/generate-series/:jobId/status', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/generate-series/:jobId/status', requireAdmin('blog'), async (req, res) => {
     const { data: job, error } = await supabaseAdmin.from('blog_series_jobs').select('*').eq('id', req.params.jobId).maybeSingle();
     if (error) return res.status(500).json({ error: error.message });
     if (!job) return res.status(404).json({ error: 'Job not found' });
@@ -5927,16 +5845,8 @@ When finished, call the save_blog_post tool with the completed draft — do not
 
 // ── POST /api/admin/blog/generate-draft ────────────────────────────────────────
 // Called from the admin panel ("Generate topic idea" or "Generate from my notes")
-// AND from the weekly GitHub Actions cron (shared secret, same pattern as /api/reload-pdf).
-app.post('/api/admin/blog/generate-draft', async (req, res) => {
-    const bearer = req.headers['authorization']?.replace('Bearer ', '');
-    let isAdminToken = false;
-    if (bearer) {
-        try { isAdminToken = Buffer.from(bearer, 'base64').toString().split(':')[0] === 'admin'; } catch {}
-    }
-    const isCronSecret = req.body?.secret && req.body.secret === process.env.ADMIN_SECRET;
-    if (!isAdminToken && !isCronSecret) return res.status(403).json({ error: 'Denied' });
-
+// AND from the weekly GitHub Actions cron (its blog-draft job token).
+app.post('/api/admin/blog/generate-draft', requireJob('blog-draft', { fallback: requireAdmin('blog') }), async (req, res) => {
     try {
         const draft = await generateBlogDraft(req.body?.seed_text || null);
         res.json({ success: true, draft });
@@ -6130,7 +6040,7 @@ Call the save_blog_chapter tool with this chapter.`;
 // request body) so it always reflects the latest saved English edits, not
 // whatever was originally generated. Overwrites any existing Spanish fields
 // — the admin panel confirms before calling this if Spanish already exists.
-app.post('/api/admin/blog/:id/translate', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/:id/translate', requireAdmin('blog'), async (req, res) => {
     const { data: post, error: fetchErr } = await supabaseAdmin.from('blog_posts')
         .select('title_en, excerpt_en, meta_description_en, body_en')
         .eq('id', req.params.id).maybeSingle();
@@ -6198,7 +6108,7 @@ Call the save_translation tool with the translated fields.`;
 });
 
 // ── GET /api/admin/blog/comments — list all comments, with post context ─────
-app.get('/api/admin/blog/comments', requireAdmin, async (req, res) => {
+app.get('/api/admin/blog/comments', requireAdmin('blog'), async (req, res) => {
     const { data: comments, error } = await supabaseAdmin.from('blog_comments')
         .select('*, blog_posts(title_en, slug)')
         .order('created_at', { ascending: false });
@@ -6208,7 +6118,7 @@ app.get('/api/admin/blog/comments', requireAdmin, async (req, res) => {
 });
 
 // ── POST /api/admin/blog/comments/:id/approve ─────────────────────────────────
-app.post('/api/admin/blog/comments/:id/approve', requireAdmin, async (req, res) => {
+app.post('/api/admin/blog/comments/:id/approve', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_comments').update({
         status: 'approved', approved_at: new Date().toISOString()
     }).eq('id', req.params.id);
@@ -6217,7 +6127,7 @@ app.post('/api/admin/blog/comments/:id/approve', requireAdmin, async (req, res)
 });
 
 // ── DELETE /api/admin/blog/comments/:id ────────────────────────────────────────
-app.delete('/api/admin/blog/comments/:id', requireAdmin, async (req, res) => {
+app.delete('/api/admin/blog/comments/:id', requireAdmin('blog'), async (req, res) => {
     const { error } = await supabaseAdmin.from('blog_comments').delete().eq('id', req.params.id);
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true });
@@ -6246,4 +6156,7 @@ server.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`📍 Main page: http://localhost:${PORT}`);
     console.log(`📍 Health:    http://localhost:${PORT}/health`);
+    console.log(diagnosticsEnabled()
+        ? `🩺 Diagnostics: http://localhost:${PORT}/api/admin/diagnostics (admin login)`
+        : '🩺 Diagnostics off (production) — set DIAGNOSTICS_ENABLED=true to turn them on');
 });
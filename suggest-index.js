@@ -0,0 +1,211 @@
+// suggest-index.js
+// Search-box completions: listing names, provinces and keyword labels in a
+// character trie, so /api/rentals/suggest answers a prefix without scanning
+// every listing. Each phrase goes in once per word it contains, so "caso"
+// completes "Hostal La Casona" as well as "Casona del Valle".
+// Follows listing-index.js like search-index.js does, and also keeps the word
+// counts "did you mean" corrections are picked from.
+
+const { fold, editDistance } = require('./search-index');
+
+const PER_TYPE = { name: 5, province: 3, keyword: 3 };
+const MAX_COLLECT = 2000;   // entries gathered under one prefix before ranking ("c" alone)
+const SKIP_WORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'y', 'e', 'en', 'a', 'al', 'the', 'and', 'of']);
+
+const phrase = s => fold(s).replace(/[^a-z0-9]+/g, ' ').trim();
+
+function createSuggestIndex() {
+    const root = { children: new Map(), keys: new Set() };
+    const entries = new Map();      // key → { type, text, value, labels, ids (id → link), parts, starts }
+    const docs = new Map();         // listing id → entry keys it counts towards
+    const wordCounts = new Map();   // folded word → listings using it
+    let keywords = new Map();       // slug → { label_es, label_en }
+    let source = null;
+
+    function walk(text, create) {
+        let node = root;
+        for (const ch of text) {
+            let next = node.children.get(ch);
+            if (!next) {
+                if (!create) return null;
+                next = { children: new Map(), keys: new Set() };
+                node.children.set(ch, next);
+            }
+            node = next;
+        }
+        return node;
+    }
+
+    // Every word start of the phrase, as the rest of the phrase from there
+    const starts = text => {
+        const words = text.split(' ');
+        return words.map((w, i) => SKIP_WORDS.has(w) && i > 0 ? null : words.slice(i).join(' ')).filter(Boolean);
+    };
+
+    function insert(key) {
+        const entry = entries.get(key);
+        entry.starts.forEach(s => walk(s, true).keys.add(key));
+    }
+
+    function unlink(key) {
+        const entry = entries.get(key);
+        entry.starts.forEach(s => {
+            // Drop the key, then prune the branch back while it's empty
+            const path = [root];
+            for (const ch of s) path.push(path[path.length - 1].children.get(ch));
+            path[path.length - 1].keys.delete(key);
+            for (let i = s.length; i > 0; i--) {
+                const node = path[i];
+                if (node.keys.size || node.children.size) break;
+                path[i - 1].children.delete(s[i - 1]);
+            }
+        });
+    }
+
+    function countWords(text, delta) {
+        text.split(' ').filter(Boolean).forEach(w => {
+            const n = (wordCounts.get(w) || 0) + delta;
+            if (n > 0) wordCounts.set(w, n); else wordCounts.delete(w);
+        });
+    }
+
+    function entryFor(type, value, text, labels = null) {
+        const key = `${type}:${type === 'name' ? phrase(text) : value}`;
+        if (!entries.has(key)) {
+            const parts = labels ? [labels.label_es, labels.label_en, value.replace(/-/g, ' ')].map(phrase).filter(Boolean) : [phrase(text)];
+            entries.set(key, { type, text, value, labels, ids: new Map(), parts, starts: [...new Set(parts.flatMap(starts))] });
+            insert(key);
+        }
+        return key;
+    }
+
+    function release(key, id) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entry.ids.delete(id);
+        // Keyword entries stay while the keywords table lists them
+        if (!entry.ids.size && !(entry.type === 'keyword' && keywords.has(entry.value))) {
+            unlink(key);
+            entries.delete(key);
+        }
+    }
+
+    function remove(id) {
+        const doc = docs.get(id);
+        if (!doc) return;
+        doc.keys.forEach(key => release(key, id));
+        countWords(doc.words, -1);
+        docs.delete(id);
+    }
+
+    function add(row) {
+        remove(row.id);
+        const keys = [];
+        if (row.name) keys.push(entryFor('name', row.name, row.name));
+        if (row.province) keys.push(entryFor('province', row.province, row.province));
+        (Array.isArray(row.listing_keywords) ? row.listing_keywords : []).forEach(slug =>
+            keys.push(entryFor('keyword', slug, slug, keywords.get(slug) || null)));
+        // A name used by a single listing links straight to it
+        keys.forEach(key => entries.get(key).ids.set(row.id, { id: row.id, slug: row.slug || null }));
+        const words = [row.name, row.province].map(phrase).join(' ');
+        countWords(words, 1);
+        docs.set(row.id, { keys, words });
+    }
+
+    function rebuild(rows) {
+        root.children.clear();
+        root.keys.clear();
+        entries.clear();
+        docs.clear();
+        wordCounts.clear();
+        keywords.forEach((labels, slug) => {
+            entryFor('keyword', slug, slug, labels);
+            countWords(phrase(`${labels.label_es || ''} ${labels.label_en || ''}`), 1);
+        });
+        rows.forEach(add);
+    }
+
+    function follow(listingIndex) {
+        source = listingIndex;
+        rebuild(listingIndex.all());
+        return listingIndex.onChange(change => {
+            if (change.type === 'reload') return rebuild(listingIndex.all());
+            change.ids.forEach(id => {
+                const row = listingIndex.get(id);
+                if (row) add(row); else remove(Number(id));
+            });
+        });
+    }
+
+    // `list` is the keywords table: [{ slug, label_es, label_en }]
+    function setKeywords(list) {
+        keywords = new Map((list || []).map(k => [k.slug, { label_es: k.label_es, label_en: k.label_en }]));
+        if (source) rebuild(source.all());
+    }
+
+    // ── Completions for a prefix → [{ type, text, value, count, id?, slug? }].
+    // Phrases that start with the prefix rank above ones that only contain a
+    // word starting with it; then by how many listings they cover.
+    function suggest(prefix, { lang = 'es', limit = 10 } = {}) {
+        const words = phrase(prefix).split(' ');
+        while (words.length > 1 && SKIP_WORDS.has(words[0])) words.shift();   // "la cas" → "cas"
+        const p = words.join(' ');
+        const node = p && walk(p, false);
+        if (!node) return [];
+        const found = new Set();
+        const stack = [node];
+        while (stack.length && found.size < MAX_COLLECT) {
+            const n = stack.pop();
+            n.keys.forEach(k => found.add(k));
+            n.children.forEach(child => stack.push(child));
+        }
+        const taken = { name: 0, province: 0, keyword: 0 };
+        return [...found]
+            .map(k => entries.get(k))
+            .filter(e => e.ids.size)
+            .map(e => ({ e, head: e.parts.some(part => part.startsWith(p)) ? 0 : 1 }))
+            .sort((a, b) => a.head - b.head || b.e.ids.size - a.e.ids.size || a.e.text.length - b.e.text.length)
+            .filter(({ e }) => taken[e.type]++ < PER_TYPE[e.type])
+            .slice(0, limit)
+            .map(({ e }) => {
+                const text = e.labels ? (lang === 'en' ? e.labels.label_en : e.labels.label_es) || e.text : e.text;
+                const out = { type: e.type, text, value: e.value, count: e.ids.size };
+                if (e.type === 'name' && e.ids.size === 1) Object.assign(out, [...e.ids.values()][0]);
+                return out;
+            });
+    }
+
+    // ── "Did you mean": each unknown word swapped for the closest known one
+    // (1 edit, 2 for long words; the more common word on a tie). Null when
+    // nothing changed. The caller checks the correction actually finds listings.
+    function correct(query) {
+        const words = phrase(query).split(' ').filter(Boolean);
+        let changed = false;
+        const fixed = words.map(w => {
+            if (wordCounts.has(w) || w.length < 4 || /^\d+$/.test(w)) return w;
+            const max = w.length >= 8 ? 2 : 1;
+            let best = null, bestDistance = max + 1, bestCount = 0;
+            wordCounts.forEach((count, candidate) => {
+                const d = editDistance(w, candidate, max);
+                if (d < bestDistance || (d === bestDistance && count > bestCount)) { best = candidate; bestDistance = d; bestCount = count; }
+            });
+            if (!best || bestDistance > max) return w;
+            changed = true;
+            return best;
+        });
+        return changed ? fixed.join(' ') : null;
+    }
+
+    return {
+        add,
+        remove,
+        rebuild,
+        follow,
+        setKeywords,
+        suggest,
+        correct,
+        get size() { return entries.size; }
+    };
+}
+
+module.exports = { createSuggestIndex };
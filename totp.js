@@ -0,0 +1,74 @@
+// totp.js
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 30-second steps, six
+// digits) — what authenticator apps generate — for the optional second
+// factor on admin logins. Secrets are base32, as the apps expect them.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const ch of clean) {
+        const idx = BASE32.indexOf(ch);
+        if (idx < 0) throw new Error('Invalid base32 secret');
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The code for a given 30-second step (RFC 4226 dynamic truncation)
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// ── Does `code` match now, allowing `window` steps of clock drift either way?
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(given)) return false;
+    const step = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let d = -window; d <= window; d++) {
+        const expected = codeAt(secret, step + d);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return true;
+    }
+    return false;
+}
+
+// What authenticator apps scan (as a QR code) or accept pasted
+function otpauthUrl(secret, account, issuer = 'Trusted Panama Stays') {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = { generateSecret, verifyTotp, otpauthUrl, codeAt, base32Encode, base32Decode };